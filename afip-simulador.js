@@ -0,0 +1,318 @@
+// afip-simulador.js — WSFE de mentira para probar sin AFIP homologación (lento y muchas veces caído)
+//
+// Imita la API de afipsdk (POST v1/afip/auth y v1/afip/requests) que usa @afipsdk/afip.js, así el cliente real
+// no cambia: alcanza con AFIP_SDK_URL=http://localhost:4010/api/ en el server.
+//
+//   npm run afip-sim                       (puerto AFIP_SIM_PORT, por defecto 4010)
+//   npm test                               (test/: lo levanta en un puerto libre para cada archivo)
+//
+// Operaciones: FEDummy · FECompUltimoAutorizado · FECAESolicitar · FECompConsultar · FEParamGetCotizacion.
+// Numera por CUIT + punto de venta + tipo y rechaza como AFIP lo más común (numeración, fechas, documento,
+// importes, IVA en Factura C, condición de IVA del receptor, cotización).
+// Padrón (ws_sr_constancia_inscripcion): dummy · getPersona_v2. Inventa una persona para cualquier CUIT válido
+// (los que empiezan con 3 son sociedades responsables inscriptas, el resto monotributistas).
+//
+// Control (JSON), para forzar casos:
+//   GET    /simulador   → configuración y comprobantes autorizados
+//   POST   /simulador   → cambia la configuración (se mezcla con la actual), p. ej.
+//            { "demora_ms": 3000 }                         cada respuesta tarda eso
+//            { "caido": true }                             FEDummy informa caída y el resto responde 503
+//            { "rechazos": [{ "codigo": 10016, "mensaje": "...", "veces": 1 }] }   próximos FECAESolicitar rechazados
+//            { "colgar": { "autoriza": true, "veces": 1 } } autoriza (o no) y nunca responde: el cliente corta por timeout
+//            { "colgar": { "autoriza": true, "autoriza_ms": 800, "corta_ms": 1000 } }   autoriza a los 800 ms y a los
+//                                                          1000 corta la conexión (sin corta_ms, la deja abierta)
+//            { "cotizaciones": { "DOL": 1050.5 } }
+//            { "padron": { "20123456786": null } }         ese CUIT no existe en el padrón
+//            { "padron": { "30712345671": { "datosGenerales": {...}, "datosRegimenGeneral": {...} } } }   respuesta a medida
+//   DELETE /simulador   → vuelve a cero (numeración, comprobantes y configuración)
+'use strict';
+
+const http = require('http');
+
+const CONFIG_INICIAL = {
+  demora_ms: 0,
+  caido: false,
+  rechazos: [],
+  colgar: null,
+  cotizaciones: { DOL: 1000 },
+  padron: {}
+};
+const DIAS_CAE = 10;
+const TIPOS_C = [11, 13, 15];  // Factura, NC y Recibo C: sin IVA discriminado
+const TIPOS_A = [1, 3];        // Factura y NC A: el receptor tiene que informar CUIT
+const CONDICIONES_IVA = [1, 4, 5, 6, 7, 8, 9, 10, 13, 15, 16];
+
+const copia = x => JSON.parse(JSON.stringify(x));
+const pad = (n, len) => String(n).padStart(len, '0');
+const lista = x => (x == null ? [] : Array.isArray(x) ? x : [x]);
+const redondear = n => Math.round(Number(n || 0) * 100) / 100;
+
+// "20261019" ↔ Date (mediodía, para no depender del huso horario)
+function aFecha(s) {
+  const m = String(s || '').match(/^(\d{4})(\d{2})(\d{2})$/);
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12) : null;
+}
+function aYYYYMMDD(d) {
+  return `${d.getFullYear()}${pad(d.getMonth() + 1, 2)}${pad(d.getDate(), 2)}`;
+}
+function sumarDias(d, dias) {
+  const out = new Date(d);
+  out.setDate(out.getDate() + dias);
+  return out;
+}
+
+function cuitValido(cuit) {
+  const s = String(cuit || '');
+  if (!/^\d{11}$/.test(s)) return false;
+  const mult = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+  const suma = mult.reduce((acc, m, i) => acc + m * Number(s[i]), 0);
+  let dv = 11 - (suma % 11);
+  if (dv === 11) dv = 0;
+  if (dv === 10) dv = 9;
+  return dv === Number(s[10]);
+}
+
+/**
+ * @param {object} [o]
+ * @param {Partial<typeof CONFIG_INICIAL>} [o.config]
+ * @param {() => Date} [o.ahora] reloj (para probar fechas)
+ */
+function crearSimulador({ config = {}, ahora = () => new Date() } = {}) {
+  let cfg = { ...copia(CONFIG_INICIAL), ...copia(config) };
+  let ultimos = new Map();      // "cuit-ptovta-tipo" → último número autorizado
+  let comprobantes = new Map(); // "cuit-ptovta-tipo-nro" → detalle (como lo devuelve FECompConsultar)
+
+  const clave = (cuit, pv, tipo) => `${cuit}-${pv}-${tipo}`;
+
+  function configurar(cambios) {
+    cfg = { ...cfg, ...copia(cambios || {}) };
+    return copia(cfg);
+  }
+  function reiniciar() {
+    cfg = { ...copia(CONFIG_INICIAL), ...copia(config) };
+    ultimos = new Map();
+    comprobantes = new Map();
+  }
+  function estado() {
+    return { config: copia(cfg), comprobantes: [...comprobantes.values()].map(copia) };
+  }
+  // Consume un uso de una regla con "veces" (sin "veces" aplica siempre)
+  function consumir(regla) {
+    if (regla.veces == null) return true;
+    if (regla.veces <= 0) return false;
+    regla.veces--;
+    return true;
+  }
+
+  // Observaciones de AFIP para el detalle (vacío = se autoriza)
+  function validarDetalle(cuit, cab, det) {
+    const obs = [];
+    const tipo = Number(cab.CbteTipo);
+    const hoy = aFecha(aYYYYMMDD(ahora()));
+    const ult = ultimos.get(clave(cuit, cab.PtoVta, tipo)) || 0;
+    if (Number(det.CbteDesde) !== ult + 1 || Number(det.CbteHasta) !== Number(det.CbteDesde)) {
+      obs.push([10016, 'El numero o fecha del comprobante no se corresponde con el proximo a autorizar. Consultar metodo FECompUltimoAutorizado.']);
+    }
+
+    const fch = aFecha(det.CbteFch || aYYYYMMDD(hoy));
+    const margen = Number(det.Concepto) === 1 ? 5 : 10;
+    if (!fch || fch < sumarDias(hoy, -margen) || fch > sumarDias(hoy, margen)) {
+      obs.push([10016, `La fecha del comprobante debe estar entre ${margen} dias antes y ${margen} dias despues de la fecha de envio.`]);
+    } else {
+      const previo = comprobantes.get(clave(cuit, cab.PtoVta, tipo) + `-${ult}`);
+      if (previo && det.CbteFch && det.CbteFch < previo.CbteFch) {
+        obs.push([10016, 'La fecha del comprobante no puede ser anterior a la del ultimo comprobante autorizado.']);
+      }
+    }
+    if ([2, 3].includes(Number(det.Concepto)) && (!det.FchServDesde || !det.FchServHasta || !det.FchVtoPago)) {
+      obs.push([10035, 'Para Concepto 2 o 3 son obligatorios FchServDesde, FchServHasta y FchVtoPago.']);
+    } else if (det.FchServDesde && det.FchServHasta && det.FchServDesde > det.FchServHasta) {
+      obs.push([10036, 'FchServDesde no puede ser posterior a FchServHasta.']);
+    }
+
+    const docTipo = Number(det.DocTipo), docNro = String(det.DocNro ?? '');
+    if (TIPOS_A.includes(tipo) && docTipo !== 80) obs.push([10013, 'Para comprobantes clase A el campo DocTipo debe ser 80 (CUIT).']);
+    if (docTipo === 80 && !cuitValido(docNro)) obs.push([10015, 'Campo DocNro invalido: el CUIT no es valido.']);
+    if (docTipo === 99 && Number(docNro) !== 0) obs.push([10015, 'Campo DocNro invalido: para DocTipo 99 debe ser 0.']);
+    if (docTipo === 96 && !/^\d{6,8}$/.test(docNro)) obs.push([10015, 'Campo DocNro invalido: el DNI debe tener entre 6 y 8 digitos.']);
+
+    if (det.CondicionIVAReceptorId == null || det.CondicionIVAReceptorId === '') {
+      obs.push([10242, 'El campo CondicionIVAReceptorId es obligatorio.']);
+    } else if (!CONDICIONES_IVA.includes(Number(det.CondicionIVAReceptorId))) {
+      obs.push([10243, 'El campo CondicionIVAReceptorId no es valido.']);
+    }
+
+    const suma = redondear(Number(det.ImpTotConc || 0) + Number(det.ImpNeto || 0) + Number(det.ImpOpEx || 0)
+      + Number(det.ImpTrib || 0) + Number(det.ImpIVA || 0));
+    if (Math.abs(suma - redondear(det.ImpTotal)) > 0.01) {
+      obs.push([10048, "El campo 'Importe Total' ImpTotal, debe ser igual a la suma de ImpTotConc + ImpNeto + ImpOpEx + ImpTrib + ImpIVA."]);
+    }
+    const alicuotas = lista(det.Iva?.AlicIva);
+    if (TIPOS_C.includes(tipo)) {
+      if (alicuotas.length || Number(det.ImpIVA || 0) !== 0) obs.push([10071, 'Para comprobantes tipo C el objeto IVA no debe informarse.']);
+    } else {
+      const iva = redondear(alicuotas.reduce((acc, a) => acc + Number(a.Importe || 0), 0));
+      if (Math.abs(iva - redondear(det.ImpIVA)) > 0.01) obs.push([10051, 'La suma de los importes de AlicIva debe ser igual a ImpIVA.']);
+    }
+
+    const mon = det.MonId || 'PES';
+    if (mon !== 'PES' && !(Number(det.MonCotiz) > 0)) obs.push([10119, 'Para moneda extranjera MonCotiz debe ser mayor a 0.']);
+    if (mon === 'PES' && Number(det.MonCotiz || 1) !== 1) obs.push([10119, 'Para pesos MonCotiz debe ser 1.']);
+
+    for (const r of cfg.rechazos) {
+      if (r.doc_nro && String(r.doc_nro) !== docNro) continue;
+      if (consumir(r)) obs.push([Number(r.codigo) || 10000, r.mensaje || 'Rechazo configurado en el simulador.']);
+    }
+    return obs.map(([Code, Msg]) => ({ Code, Msg }));
+  }
+
+  function autorizar(cuit, cab, det) {
+    const tipo = Number(cab.CbteTipo), nro = Number(det.CbteDesde);
+    const fch = det.CbteFch || aYYYYMMDD(ahora());
+    const cae = `7${pad(cab.PtoVta, 4)}${pad(tipo, 2)}${pad(nro, 7)}`;
+    const vto = aYYYYMMDD(sumarDias(aFecha(fch), DIAS_CAE));
+    ultimos.set(clave(cuit, cab.PtoVta, tipo), nro);
+    comprobantes.set(clave(cuit, cab.PtoVta, tipo) + `-${nro}`, {
+      ...copia(det), CbteFch: fch, PtoVta: Number(cab.PtoVta), CbteTipo: tipo,
+      Resultado: 'A', CodAutorizacion: cae, EmisionTipo: 'CAE', FchVto: vto, FchProceso: aYYYYMMDD(ahora())
+    });
+    return { cae, vto };
+  }
+
+  // Respuesta con la forma de WSFE: { <Operacion>Result: {...} }
+  const operaciones = {
+    FEDummy() {
+      const st = cfg.caido ? 'No' : 'OK';
+      return { AppServer: st, DbServer: st, AuthServer: st };
+    },
+    FECompUltimoAutorizado({ Auth, PtoVta, CbteTipo }) {
+      return { PtoVta, CbteTipo, CbteNro: ultimos.get(clave(Auth?.Cuit, PtoVta, Number(CbteTipo))) || 0 };
+    },
+    FECAESolicitar({ Auth, FeCAEReq }) {
+      const cab = FeCAEReq.FeCabReq;
+      const det = lista(FeCAEReq.FeDetReq.FECAEDetRequest)[0];
+      const obs = validarDetalle(Auth?.Cuit, cab, det);
+      const resp = { Concepto: det.Concepto, DocTipo: det.DocTipo, DocNro: det.DocNro, CbteDesde: det.CbteDesde, CbteHasta: det.CbteHasta,
+        CbteFch: det.CbteFch || aYYYYMMDD(ahora()) };
+      if (obs.length) {
+        Object.assign(resp, { Resultado: 'R', CAE: '', CAEFchVto: '', Observaciones: { Obs: obs } });
+      } else {
+        const { cae, vto } = autorizar(Auth?.Cuit, cab, det);
+        Object.assign(resp, { Resultado: 'A', CAE: cae, CAEFchVto: vto });
+      }
+      return {
+        FeCabResp: { Cuit: Auth?.Cuit, PtoVta: cab.PtoVta, CbteTipo: cab.CbteTipo, FchProceso: aYYYYMMDD(ahora()), CantReg: 1,
+          Resultado: obs.length ? 'R' : 'A', Reproceso: 'N' },
+        FeDetResp: { FECAEDetResponse: [ resp ] }
+      };
+    },
+    FECompConsultar({ Auth, FeCompConsReq: q }) {
+      const c = comprobantes.get(clave(Auth?.Cuit, q.PtoVta, Number(q.CbteTipo)) + `-${Number(q.CbteNro)}`);
+      if (!c) return { Errors: { Err: [{ Code: 602, Msg: 'No existen datos en nuestros registros para los parametros ingresados.' }] } };
+      return { ResultGet: copia(c) };
+    },
+    FEParamGetCotizacion({ MonId }) {
+      const cotiz = cfg.cotizaciones[MonId];
+      if (!cotiz) return { Errors: { Err: [{ Code: 600, Msg: `No hay cotizacion para la moneda ${MonId}.` }] } };
+      return { ResultGet: { MonId, MonCotiz: cotiz, FchCotiz: aYYYYMMDD(ahora()) } };
+    }
+  };
+
+  // Padrón: como getPersona_v2 (personaReturn sin metadata)
+  function personaPadron(cuit) {
+    const id = String(cuit);
+    if (Object.prototype.hasOwnProperty.call(cfg.padron, id)) return copia(cfg.padron[id]);
+    if (!cuitValido(id)) return null;
+    const domicilioFiscal = { direccion: `CALLE FALSA ${Number(id.slice(-4))}`, localidad: 'CIUDAD AUTONOMA BUENOS AIRES',
+      codPostal: '1000', idProvincia: 0, descripcionProvincia: 'CIUDAD AUTONOMA BUENOS AIRES', tipoDomicilio: 'FISCAL' };
+    if (id.startsWith('3')) {
+      return {
+        datosGenerales: { idPersona: Number(id), tipoPersona: 'JURIDICA', tipoClave: 'CUIT', estadoClave: 'ACTIVO',
+          razonSocial: `SOCIEDAD SIMULADA ${id.slice(2, 10)} SA`, domicilioFiscal },
+        datosRegimenGeneral: { impuesto: [{ idImpuesto: 30, descripcionImpuesto: 'IVA', periodo: 201901 }] }
+      };
+    }
+    return {
+      datosGenerales: { idPersona: Number(id), tipoPersona: 'FISICA', tipoClave: 'CUIT', estadoClave: 'ACTIVO',
+        apellido: 'SIMULADO', nombre: `PERSONA ${id.slice(2, 10)}`, domicilioFiscal },
+      datosMonotributo: { categoriaMonotributo: { idCategoria: 1, descripcionCategoria: 'A LOCACIONES DE SERVICIO' } }
+    };
+  }
+  function responderPadron(res, body) {
+    if (cfg.caido) return responder(res, 503, { message: 'Servicio no disponible (simulador)' });
+    if (body.method === 'dummy') return responder(res, 200, { return: { appserver: 'OK', authserver: 'OK', dbserver: 'OK' } });
+    if (body.method !== 'getPersona_v2') return responder(res, 400, { message: `Operación no simulada: ${body.method}` });
+    const persona = personaPadron(body.params?.idPersona);
+    if (!persona) return responder(res, 400, { message: 'No existe persona con ese Id' });
+    return responder(res, 200, { personaReturn: persona });
+  }
+
+  function responder(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+  function leerJSON(req) {
+    return new Promise((resolve, reject) => {
+      let txt = '';
+      req.on('data', c => { txt += c; });
+      req.on('end', () => {
+        try { resolve(txt ? JSON.parse(txt) : {}); }
+        catch (e) { reject(e); }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  async function manejar(req, res) {
+    const ruta = req.url.split('?')[0].replace(/\/+$/, '');
+    const body = await leerJSON(req);
+
+    if (ruta === '/simulador') {
+      if (req.method === 'GET') return responder(res, 200, estado());
+      if (req.method === 'POST') return responder(res, 200, configurar(body));
+      if (req.method === 'DELETE') { reiniciar(); return responder(res, 200, estado()); }
+    }
+    if (cfg.demora_ms > 0) await new Promise(r => setTimeout(r, cfg.demora_ms));
+
+    if (ruta.endsWith('/v1/afip/auth')) {
+      if (cfg.caido) return responder(res, 503, { message: 'Servicio no disponible (simulador)' });
+      const vence = new Date(Date.now() + 12 * 3600 * 1000).toISOString();
+      return responder(res, 200, { token: 'simulador', sign: 'simulador', expiration: vence });
+    }
+    if (ruta.endsWith('/v1/afip/requests')) {
+      if (body.wsid === 'ws_sr_constancia_inscripcion') return responderPadron(res, body);
+      const op = operaciones[body.method];
+      if (!op) return responder(res, 400, { message: `Operación no simulada: ${body.method}` });
+      if (cfg.caido && body.method !== 'FEDummy') return responder(res, 503, { message: 'Servicio no disponible (simulador)' });
+      if (body.method === 'FECAESolicitar' && cfg.colgar && consumir(cfg.colgar)) {
+        const { autoriza, autoriza_ms = 0, corta_ms } = cfg.colgar;
+        // AFIP autorizó (en seguida o un rato después), pero la respuesta no llega
+        if (autoriza) setTimeout(() => { try { op(body.params); } catch { /* como si AFIP no lo hubiera recibido */ } }, autoriza_ms);
+        if (corta_ms != null) setTimeout(() => req.socket.destroy(), corta_ms);
+        return; // sin respuesta: el cliente corta por su timeout
+      }
+      return responder(res, 200, { [`${body.method}Result`]: op(body.params || {}) });
+    }
+    responder(res, 404, { message: `No existe ${req.method} ${ruta}` });
+  }
+
+  const server = http.createServer((req, res) => {
+    manejar(req, res).catch(e => responder(res, 500, { message: e.message }));
+  });
+
+  return {
+    server,
+    listen: (port = 0) => new Promise(resolve => server.listen(port, () => resolve(server.address().port))),
+    close: () => new Promise(resolve => { server.closeAllConnections?.(); server.close(() => resolve()); }),
+    configurar, reiniciar, estado
+  };
+}
+
+module.exports = { crearSimulador, cuitValido };
+
+if (require.main === module) {
+  const port = Number(process.env.AFIP_SIM_PORT || '4010');
+  crearSimulador().listen(port).then(p => {
+    console.log(`[AFIP SIM] escuchando en http://localhost:${p} — en el server: AFIP_SDK_URL=http://localhost:${p}/api/`);
+  });
+}
@@ -0,0 +1,57 @@
+// clientes.js — clientes externos del server: bot de Telegram, Google Sheets y Google Drive
+//
+// Por defecto se arman con las credenciales de siempre (TELEGRAM_TOKEN, GOOGLE_SA_JSON, GOOGLE_OAUTH_*).
+// Para probar sin red, antes de cargar server.js:
+//
+//   const { inyectarClientes } = require('./clientes');
+//   const { crearBotSimulado, crearSheetsSimulado, crearDriveSimulado } = require('./simulados');
+//   inyectarClientes({ bot: crearBotSimulado(), sheets: crearSheetsSimulado(), drive: crearDriveSimulado({ dir }) });
+//   const { bot, storage } = require('./server');   // bot.recibir(chatId, 'texto') · bot.enviados · storage.listarFacturas()
+//   (así no abre el puerto ni programa timers: iniciar() / detener() si hacen falta)
+//
+// Lo que no se inyecta se crea normalmente.
+'use strict';
+
+let inyectados = {};
+
+/** @param {{ bot?: object, sheets?: object, drive?: object, driveUser?: object }} c */
+function inyectarClientes(c) {
+  inyectados = { ...inyectados, ...c };
+}
+
+function crearBot(env = process.env) {
+  if (inyectados.bot) return inyectados.bot;
+  const TelegramBot = require('node-telegram-bot-api');
+  const bot = new TelegramBot(env.TELEGRAM_TOKEN, { webHook: true });
+  bot.setWebHook(env.WEBHOOK_URL);
+  return bot;
+}
+
+// Cliente de Sheets inyectado (si no, storage arma el real con GOOGLE_SA_JSON)
+function sheetsInyectado() {
+  return inyectados.sheets || null;
+}
+
+// Drive con la cuenta de servicio y Drive con OAuth del usuario (usa su cuota). null si no hay credenciales.
+function crearDrives(env = process.env, credenciales = null) {
+  if (inyectados.drive || inyectados.driveUser) {
+    return { drive: inyectados.drive || null, driveUser: inyectados.driveUser || null };
+  }
+  const { google } = require('googleapis');
+  const drive = credenciales
+    ? google.drive({ version: 'v3', auth: new google.auth.GoogleAuth({
+      credentials: credenciales,
+      scopes: ['https://www.googleapis.com/auth/drive.file']
+    }) })
+    : null;
+
+  let driveUser = null;
+  if (env.GOOGLE_OAUTH_REFRESH_TOKEN) {
+    const oauth2Client = new google.auth.OAuth2(env.GOOGLE_OAUTH_CLIENT_ID, env.GOOGLE_OAUTH_CLIENT_SECRET);
+    oauth2Client.setCredentials({ refresh_token: env.GOOGLE_OAUTH_REFRESH_TOKEN });
+    driveUser = google.drive({ version: 'v3', auth: oauth2Client });
+  }
+  return { drive, driveUser };
+}
+
+module.exports = { inyectarClientes, crearBot, crearDrives, sheetsInyectado };
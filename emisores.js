@@ -0,0 +1,114 @@
+// emisores.js — perfiles de emisor: CUIT, certificado, punto de venta, datos del PDF, Drive y pestaña de facturas
+//
+// Con un archivo EMISORES_FILE (por defecto ./emisores.json) se cargan varios perfiles en el mismo deploy.
+// Sin archivo hay un solo emisor, armado con las variables de siempre (AFIP_CUIT, AFIP_PTO_VTA, EMISOR_*, ...).
+//
+// emisores.json (una lista; solo id y cuit son obligatorios):
+// [
+//   { "id": "ana", "nombre": "Lic. Ana Pérez", "cuit": "27301112223",
+//     "cert_file": "./certs/ana.crt", "key_file": "./certs/ana.key",   ← o "cert" / "key" con el PEM
+//     "pto_vta": 2, "cbte_tipo": 11, "cond_iva": "MONOTRIBUTO", "monotributo_categoria": "D",
+//     "domicilio": "Av. Siempreviva 742", "resp_iva": "Monotributista", "iibb": "...", "inicio_act": "01/03/2020",
+//     "logo_url": "https://...", "logo_base64": "...",
+//     "drive_folder_id": "...", "hoja": "Facturas Ana",               ← sin hoja: la pestaña de SHEET_NAME
+//     "usuarios": ["123456789"] }                                     ← IDs de Telegram; sin lista, cualquiera con permiso
+// ]
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ID_RE = /^[a-z0-9_-]{1,20}$/i; // va en los botones de Telegram (callback_data)
+const COND_RI = ['RI', 'RESPONSABLE_INSCRIPTO'];
+
+// PEM desde archivo (relativo al emisores.json) o inline con "\n" escapados
+function leerPem(valor, archivo, base) {
+  if (archivo) return fs.readFileSync(path.resolve(base, archivo), 'utf8');
+  return valor ? String(valor).replace(/\\n/g, '\n') : undefined;
+}
+
+function perfil(o, base) {
+  const cuit = String(o.cuit ?? '').replace(/\D/g, '');
+  const cond_iva = String(o.cond_iva || 'MONOTRIBUTO').toUpperCase();
+  const ri = COND_RI.includes(cond_iva);
+  return {
+    id: String(o.id || '').trim(),
+    cuit: Number(cuit),
+    nombre: o.nombre || `CUIT ${cuit}`,
+    cert: leerPem(o.cert, o.cert_file, base),
+    key: leerPem(o.key, o.key_file, base),
+    pto_vta: Number(o.pto_vta || 1),
+    cbte_tipo: Number(o.cbte_tipo || 11), // 11 = Factura C (en RI el tipo sale del receptor: A o B)
+    cond_iva,
+    ri,
+    domicilio: o.domicilio || '',
+    resp_iva: o.resp_iva || (ri ? 'Responsable Inscripto' : 'Monotributista'),
+    iibb: o.iibb || '',
+    inicio_act: o.inicio_act || '',
+    logo_base64: o.logo_base64 || '', // PNG/JPG en base64 (sin data:)
+    logo_url: o.logo_url || '',       // URL pública https a imagen
+    drive_folder_id: o.drive_folder_id || '',
+    hoja: o.hoja || '',
+    monotributo_categoria: String(o.monotributo_categoria || '').trim().toUpperCase(),
+    usuarios: (o.usuarios || []).map(String)
+  };
+}
+
+// El emisor único de siempre, con las variables de entorno
+function perfilDesdeEnv(env) {
+  return perfil({
+    id: env.EMISOR_ID || 'principal',
+    cuit: env.AFIP_CUIT || '20409378472', // homologación
+    nombre: env.EMISOR_NOMBRE,
+    cert: env.AFIP_CERT,
+    key: env.AFIP_KEY,
+    pto_vta: env.AFIP_PTO_VTA,
+    cbte_tipo: env.AFIP_CBTE_TIPO,
+    cond_iva: env.EMISOR_COND_IVA,
+    domicilio: env.EMISOR_DOMICILIO,
+    resp_iva: env.EMISOR_RESP_IVA,
+    iibb: env.EMISOR_IIBB,
+    inicio_act: env.EMISOR_INICIO_ACT,
+    logo_base64: env.EMISOR_LOGO_BASE64,
+    logo_url: env.EMISOR_LOGO_URL,
+    drive_folder_id: env.DRIVE_FOLDER_ID,
+    monotributo_categoria: env.MONOTRIBUTO_CATEGORIA
+  }, '.');
+}
+
+function validar(lista, origen) {
+  if (!lista.length) throw new Error(`${origen}: no hay ningún emisor`);
+  const ids = new Set(), hojas = new Set(), puntos = new Set();
+  for (const e of lista) {
+    const quien = `${origen}: emisor "${e.id}"`;
+    if (!ID_RE.test(e.id)) throw new Error(`${origen}: cada emisor necesita un id (letras, números, - o _; hasta 20)`);
+    if (ids.has(e.id)) throw new Error(`${quien} repetido`);
+    if (String(e.cuit).length !== 11) throw new Error(`${quien}: CUIT inválido`);
+    if (!Number.isInteger(e.pto_vta) || e.pto_vta < 1 || e.pto_vta > 99999) throw new Error(`${quien}: pto_vta inválido`);
+    // AFIP numera por CUIT + punto de venta: dos perfiles ahí se pisarían los números
+    if (puntos.has(`${e.cuit}-${e.pto_vta}`)) throw new Error(`${quien}: CUIT y punto de venta repetidos`);
+    if (hojas.has(e.hoja)) throw new Error(`${quien}: la pestaña "${e.hoja || 'de facturas'}" ya la usa otro emisor`);
+    ids.add(e.id); hojas.add(e.hoja); puntos.add(`${e.cuit}-${e.pto_vta}`);
+  }
+  return lista;
+}
+
+/**
+ * Perfiles configurados (el primero es el predeterminado). Tira error si el archivo existe y es inválido.
+ * @returns {Array<ReturnType<typeof perfil>>}
+ */
+function cargarEmisores(env = process.env) {
+  const file = env.EMISORES_FILE || './emisores.json';
+  let datos;
+  try {
+    datos = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && !env.EMISORES_FILE) return [ perfilDesdeEnv(env) ];
+    throw new Error(`No pude leer ${file}: ${e.message}`);
+  }
+  if (!Array.isArray(datos)) throw new Error(`${file}: tiene que ser una lista de emisores`);
+  const base = path.dirname(path.resolve(file));
+  return validar(datos.map(o => perfil(o, base)), file);
+}
+
+module.exports = { cargarEmisores };
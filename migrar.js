@@ -0,0 +1,56 @@
+// migrar.js — copia facturas, pacientes, usuarios, auditoría, programadas y sesiones entre backends de storage
+//
+//   npm run migrar -- sheets local            (planilla → archivo local)
+//   npm run migrar -- local sheets            (archivo local → planilla)
+//   npm run migrar -- sheets local --forzar   (pisa el destino aunque tenga datos)
+//
+// Usa la misma configuración que server.js (.env): GOOGLE_SA_JSON, SHEET_ID, SHEET_NAME, STORAGE_DIR, ...
+// y emisores.json: las facturas de cada emisor con pestaña propia también se copian.
+'use strict';
+
+require('dotenv').config();
+const { crearStorage, nuevoIdFactura, TIPOS } = require('./storage');
+const { cargarEmisores } = require('./emisores');
+
+async function main(args) {
+  const forzar = args.includes('--forzar');
+  const [origenTipo, destinoTipo] = args.filter(a => !a.startsWith('--'));
+  if (!TIPOS.includes(origenTipo) || !TIPOS.includes(destinoTipo) || origenTipo === destinoTipo) {
+    console.error(`Uso: node migrar.js <origen> <destino> [--forzar]   (${TIPOS.join(' | ')})`);
+    return 2;
+  }
+
+  const origen = crearStorage(process.env, origenTipo);
+  const destino = crearStorage(process.env, destinoTipo);
+  console.log(`[MIGRAR] ${origen.descripcion} → ${destino.descripcion}`);
+
+  const hojasFacturas = cargarEmisores(process.env).map(e => e.hoja).filter(Boolean);
+  const datos = await origen.exportar({ hojasFacturas });
+  const previos = await destino.exportar({ hojasFacturas });
+  const ocupado = Object.values(previos).some(arr => arr.length);
+  if (ocupado && !forzar) {
+    console.error('[MIGRAR] El destino ya tiene datos:', resumen(previos), '— usá --forzar para reemplazarlos.');
+    return 1;
+  }
+
+  // Filas viejas de la planilla sin ID: el archivo local identifica cada factura por id
+  let sinId = 0;
+  for (const [col, lista] of Object.entries(datos)) {
+    if (col !== 'facturas' && !col.startsWith('facturas:')) continue;
+    for (const f of lista) {
+      if (!f.id) { f.id = nuevoIdFactura(); sinId++; }
+    }
+  }
+
+  await destino.importar(datos);
+  console.log('[MIGRAR] Copiado:', resumen(datos) + (sinId ? ` (${sinId} facturas sin ID recibieron uno nuevo)` : ''));
+  return 0;
+}
+
+function resumen(d) {
+  return Object.entries(d).map(([k, arr]) => `${arr.length} ${k}`).join(', ');
+}
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(e => { console.error('[MIGRAR]', e.message); process.exitCode = 1; });
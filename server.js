@@ -4,8 +4,6 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const { google } = require('googleapis');
-const TelegramBot = require('node-telegram-bot-api');
 const Afip = require('@afipsdk/afip.js');
 
 // PDF/QR y utilidades
@@ -13,43 +11,59 @@ const fs = require('fs');
 const path = require('path');
 const PDFDocument = require('pdfkit');
 const QRCode = require('qrcode');
+const nodemailer = require('nodemailer');
 const https = require('https');
+const crypto = require('crypto');
+const { crearStorage, tipoStorage, googleCredenciales, nuevoIdFactura } = require('./storage');
+const { crearBot, crearDrives, sheetsInyectado } = require('./clientes');
+const { cargarEmisores } = require('./emisores');
+const JSZip = require('jszip');
 
 // ====== CONFIG ======
 const PORT = process.env.PORT || 3000;
-const SHEET_ID = process.env.SHEET_ID;
-const SHEET_NAME = process.env.SHEET_NAME || 'Hoja 1'; // hoja de facturas
-const PACIENTES_SHEET_NAME = process.env.PACIENTES_SHEET_NAME || 'Pacientes'; // hoja base de datos
+// Almacenamiento: STORAGE=sheets|local (+ SHEET_ID/SHEET_NAME/... o STORAGE_DIR), ver storage/index.js
+// Telegram: TELEGRAM_TOKEN y WEBHOOK_URL · Google: GOOGLE_SA_JSON, GOOGLE_OAUTH_* (ver clientes.js)
 
-const TELEGRAM_TOKEN = process.env.TELEGRAM_TOKEN;
-const WEBHOOK_URL = process.env.WEBHOOK_URL;
-
-const AFIP_CUIT = Number(process.env.AFIP_CUIT || '20409378472'); // homologación
 const AFIP_PROD = String(process.env.AFIP_PROD || 'false') === 'true';
-const AFIP_PTO_VTA = Number(process.env.AFIP_PTO_VTA || '1');
-const AFIP_CBTE_TIPO = Number(process.env.AFIP_CBTE_TIPO || '11'); // 11 = Factura C
-
-// Producción (si AFIP_PROD=true)
-const AFIP_CERT = process.env.AFIP_CERT ? process.env.AFIP_CERT.replace(/\\n/g, '\n') : undefined;
-const AFIP_KEY  = process.env.AFIP_KEY  ? process.env.AFIP_KEY.replace(/\\n/g, '\n') : undefined;
-
-// Drive opcional
-const DRIVE_FOLDER_ID = process.env.DRIVE_FOLDER_ID || '';
-
-// Datos de emisor para el PDF (opcionales)
-const EM_NOMBRE  = process.env.EMISOR_NOMBRE  || `CUIT ${AFIP_CUIT}`;
-const EM_DOM     = process.env.EMISOR_DOMICILIO || '';
-const EM_RESPIVA = process.env.EMISOR_RESP_IVA || 'Monotributista';
-const EM_IIBB    = process.env.EMISOR_IIBB || '';
-const EM_INI     = process.env.EMISOR_INICIO_ACT || '';
-const EM_LOGO_BASE64 = process.env.EMISOR_LOGO_BASE64 || ''; // PNG/JPG en base64 (sin data:)
-const EM_LOGO_URL    = process.env.EMISOR_LOGO_URL || '';    // URL pública https a imagen
+// Otra URL para la API de afipsdk (p. ej. el simulador local: npm run afip-sim → http://localhost:4010/api/)
+const AFIP_SDK_URL = process.env.AFIP_SDK_URL || '';
+
+// Emisores: CUIT, cert/key, punto de venta, tipo, condición de IVA (MONOTRIBUTO → C | RI → A/B), datos y logo del PDF,
+// carpeta de Drive, pestaña de facturas y categoría de monotributo. De emisores.json o de AFIP_*/EMISOR_* (ver emisores.js)
+const EMISORES = cargarEmisores();
+const EMISOR_POR_ID = new Map(EMISORES.map(e => [e.id, e]));
+const IVA_ALICUOTA_DEFAULT = Number(String(process.env.IVA_ALICUOTA_DEFAULT || '21').replace(',', '.')); // solo RI
+
+// Reintento automático de emisiones con error transitorio (timeout, red, AFIP caído): cantidad y espera inicial (se duplica)
+const REINTENTOS_AUTO = Number(process.env.REINTENTOS_AUTO || '0'); // 0 = solo manual (/pendientes)
+const REINTENTO_BASE_MS = Number(process.env.REINTENTO_BASE_MS || '60000');
+
+// Facturas programadas: hora desde la que corren (hora del server) y cada cuánto se revisan
+const PROGRAMADOS_HORA = Number(process.env.PROGRAMADOS_HORA || '9');
+const PROGRAMADOS_INTERVALO_MS = Number(process.env.PROGRAMADOS_INTERVALO_MS || String(15 * 60 * 1000));
+
+// API REST (deshabilitada si no hay token)
+const API_TOKEN = process.env.API_TOKEN || '';
+
+// Mail opcional (SMTP). Para probar en local: MailHog/smtp4dev con SMTP_HOST=localhost SMTP_PORT=1025
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = Number(process.env.SMTP_PORT || '587');
+const SMTP_SECURE = String(process.env.SMTP_SECURE || (SMTP_PORT === 465 ? 'true' : 'false')) === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const MAIL_FROM = process.env.MAIL_FROM || SMTP_USER;
+const MAIL_AUTO = String(process.env.MAIL_AUTO || 'true') === 'true'; // mandar apenas sale el comprobante
+// Plantillas: {nombre} {comprobante} {numero} {cae} {cae_vto} {total} {fecha} {emisor}
+const MAIL_SUBJECT = process.env.MAIL_SUBJECT || '{comprobante} {numero} - {emisor}';
+const MAIL_BODY = (process.env.MAIL_BODY || 'Hola {nombre},\n\nTe enviamos adjunta la {comprobante} {numero} por {total}.\nCAE: {cae} (vto. {cae_vto})\n\nSaludos,\n{emisor}')
+  .replace(/\\n/g, '\n');
 
 // Timeouts (ms)
 const TG_TIMEOUT_MS = 12000;
-const AFIP_TIMEOUT_MS = 20000;
+const AFIP_TIMEOUT_MS = Number(process.env.AFIP_TIMEOUT_MS || '20000');
 const DRIVE_TIMEOUT_MS = 15000;
 const PDF_TIMEOUT_MS = 12000;
+const MAIL_TIMEOUT_MS = 20000;
 
 // ====== HELPERS ======
 function humanError(e) {
@@ -69,6 +83,7 @@ function logError(prefix, e) {
   return msg;
 }
 function toYYYYMMDD(dateStr) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(dateStr || ''))) return dateStr.replace(/-/g, ''); // ISO: tal cual, sin zona horaria
   const d = dateStr ? new Date(dateStr) : new Date();
   const ok = !isNaN(d.getTime());
   const dd = ok ? d : new Date();
@@ -78,15 +93,19 @@ function toYYYYMMDD(dateStr) {
   return `${y}${m}${day}`;
 }
 function withTimeout(promise, ms, label='OP') {
+  let timer;
   return Promise.race([
     promise,
-    new Promise((_, rej) => setTimeout(() => rej(new Error(`${label} timeout a ${ms}ms`)), ms))
-  ]);
+    new Promise((_, rej) => { timer = setTimeout(() => rej(new Error(`${label} timeout a ${ms}ms`)), ms); })
+  ]).finally(() => clearTimeout(timer)); // sin timers colgados: el proceso puede terminar apenas resuelve
 }
-// ---- Montos AR: "5.000,50" | "5000.50" | "5,000.50" → número ----
+// ---- Montos AR: "5.000,50" | "5000.50" | "5,000.50" | "12.000" → número ----
 function parseMonto(str) {
   if (typeof str !== 'string') str = String(str ?? '');
   const s = str.trim();
+  if (/^\$?\s*\d{1,3}(\.\d{3})+$/.test(s)) { // solo separadores de miles
+    return Number(s.replace(/[^0-9]/g, ''));
+  }
   if (s.includes('.') && s.includes(',')) {
     return Number(s.replace(/\./g, '').replace(',', '.').replace(/[^0-9.]/g, ''));
   }
@@ -95,6 +114,9 @@ function parseMonto(str) {
   }
   return Number(s.replace(/[^0-9.]/g, ''));
 }
+function round2(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
 // ---- CUIT válido (módulo 11) ----
 function esCUITValido(cuit) {
   const s = String(cuit || '').replace(/\D/g, '');
@@ -109,9 +131,8 @@ function esCUITValido(cuit) {
 }
 const onlyDigits = s => String(s || '').replace(/\D/g, '');
 
-// === Cargar LOGO (buffer) ===
-let _logoTried = false;
-let _logoBuffer = null;
+// === Cargar LOGO (buffer, uno por emisor) ===
+const _logos = new Map();
 function fetchBinary(url) {
   return new Promise((resolve, reject) => {
     https.get(url, (res) => {
@@ -122,58 +143,50 @@ function fetchBinary(url) {
     }).on('error', reject);
   });
 }
-async function getLogoBuffer() {
-  if (_logoTried) return _logoBuffer;
-  _logoTried = true;
+async function getLogoBuffer(em) {
+  if (_logos.has(em.id)) return _logos.get(em.id);
+  let buf = null;
   try {
-    if (EM_LOGO_BASE64) {
-      _logoBuffer = Buffer.from(EM_LOGO_BASE64, 'base64');
-    } else if (EM_LOGO_URL) {
-      _logoBuffer = await fetchBinary(EM_LOGO_URL);
+    if (em.logo_base64) {
+      buf = Buffer.from(em.logo_base64, 'base64');
+    } else if (em.logo_url) {
+      buf = await fetchBinary(em.logo_url);
     }
   } catch (e) {
     logError('LOGO_LOAD', e);
-    _logoBuffer = null;
-  }
-  return _logoBuffer;
-}
-
-// ====== GOOGLE CLIENTS ======
-const auth = new google.auth.GoogleAuth({
-  credentials: JSON.parse(process.env.GOOGLE_SA_JSON),
-  scopes: [
-    'https://www.googleapis.com/auth/spreadsheets',
-    'https://www.googleapis.com/auth/drive.file'
-  ]
-});
-const sheets = google.sheets({ version: 'v4', auth });
-const drive = google.drive({ version: 'v3', auth });
-
-// === DRIVE con OAuth del usuario (usa tu cuota) ===
-const oauth2Client = new google.auth.OAuth2(
-  process.env.GOOGLE_OAUTH_CLIENT_ID,
-  process.env.GOOGLE_OAUTH_CLIENT_SECRET
-);
-if (process.env.GOOGLE_OAUTH_REFRESH_TOKEN) {
-  oauth2Client.setCredentials({ refresh_token: process.env.GOOGLE_OAUTH_REFRESH_TOKEN });
-}
-const driveUser = process.env.GOOGLE_OAUTH_REFRESH_TOKEN
-  ? google.drive({ version: 'v3', auth: oauth2Client })
-  : null;
-const DRIVE_MODE = driveUser ? 'OAUTH_USER' : 'SERVICE_ACCOUNT';
+    buf = null;
+  }
+  _logos.set(em.id, buf);
+  return buf;
+}
+
+// ====== STORAGE (Sheets o archivo local) ======
+const storage = crearStorage(process.env, tipoStorage(), { sheets: sheetsInyectado() });
+console.log('[STORAGE]', storage.descripcion);
+
+// ====== GOOGLE CLIENTS (Drive opcional: cuenta de servicio o OAuth del usuario, que usa tu cuota) ======
+const { drive, driveUser } = crearDrives(process.env, googleCredenciales());
+const DRIVE_MODE = driveUser ? 'OAUTH_USER' : (drive ? 'SERVICE_ACCOUNT' : 'SIN_CREDENCIALES');
 console.log('[DRIVE] Mode:', DRIVE_MODE);
 
 // ====== AFIP SDK ======
-const afip = new Afip({
-  CUIT: AFIP_CUIT,
-  production: AFIP_PROD,
-  cert: AFIP_CERT,
-  key: AFIP_KEY
-});
+// Una instancia por emisor (cada CUIT con su certificado y su token), creada al primer uso
+const _afipPorEmisor = new Map();
+function afipDe(em) {
+  if (!_afipPorEmisor.has(em.id)) {
+    _afipPorEmisor.set(em.id, new Afip({
+      CUIT: em.cuit,
+      production: AFIP_PROD,
+      cert: em.cert,
+      key: em.key
+    }));
+    if (AFIP_SDK_URL) _afipPorEmisor.get(em.id).AdminClient.defaults.baseURL = AFIP_SDK_URL;
+  }
+  return _afipPorEmisor.get(em.id);
+}
 
 // ====== TELEGRAM WEBHOOK ======
-const bot = new TelegramBot(TELEGRAM_TOKEN, { webHook: true });
-bot.setWebHook(WEBHOOK_URL);
+const bot = crearBot(process.env);
 
 // Helpers Telegram con timeout
 async function sendTgMessage(chatId, text, opts) {
@@ -198,39 +211,41 @@ app.post('/telegram', (req, res) => {
 // Healthcheck
 app.get('/', (_, res) => res.send('OK'));
 
-// Diagnósticos
-app.get('/diag/sheets', async (_, res) => {
+// Diagnósticos (?emisor=ID para probar otro que el predeterminado)
+const emisorDiag = req => EMISOR_POR_ID.get(String(req.query.emisor || '')) || EMISORES[0];
+app.get('/diag/sheets', async (req, res) => { // prueba de escritura en el storage configurado
   try {
-    const dummy = {
-      fecha: new Date().toISOString().slice(0,10),
+    const dummy = asignarEmisor({
+      fecha: hoyISO(),
       cliente_nombre: 'TEST',
       doc_tipo: 'DNI',
       doc_nro: '12345678',
       domicilio: 'Calle Test 123',
       concepto: 2,
       detalle: 'ping',
-      total: 1,
-      pto_vta: AFIP_PTO_VTA,
-      cbte_tipo: AFIP_CBTE_TIPO
-    };
+      total: 1
+    }, emisorDiag(req));
     await appendRow(dummy);
-    res.send('SHEETS OK');
-  } catch (e) { res.status(500).send('SHEETS ERROR: ' + humanError(e)); }
+    res.send(`STORAGE OK (${storage.descripcion})`);
+  } catch (e) { res.status(500).send('STORAGE ERROR: ' + humanError(e)); }
 });
-app.get('/diag/afip', async (_, res) => {
+app.get('/diag/afip', async (req, res) => {
+  const em = emisorDiag(req);
   try {
-    const st = await withTimeout(afip.ElectronicBilling.getServerStatus(), 8000, 'AFIP status');
-    res.send('AFIP OK: ' + JSON.stringify(st));
-  } catch (e) { res.status(500).send('AFIP ERROR: ' + humanError(e)); }
+    const st = await withTimeout(afipDe(em).ElectronicBilling.getServerStatus(), 8000, 'AFIP status');
+    res.send(`AFIP OK (${em.id}, CUIT ${em.cuit}): ` + JSON.stringify(st));
+  } catch (e) { res.status(500).send(`AFIP ERROR (${em.id}): ` + humanError(e)); }
 });
-app.get('/diag/drive', async (_, res) => {
+app.get('/diag/drive', async (req, res) => {
   try {
-    if (!DRIVE_FOLDER_ID) return res.status(400).send('Falta DRIVE_FOLDER_ID');
+    const folderId = emisorDiag(req).drive_folder_id;
+    if (!folderId) return res.status(400).send('Falta DRIVE_FOLDER_ID (o drive_folder_id del emisor)');
     const drv = driveUser || drive;
+    if (!drv) return res.status(400).send('Falta GOOGLE_SA_JSON o GOOGLE_OAUTH_REFRESH_TOKEN');
     const tmp = '/tmp/drive-test.txt';
     fs.writeFileSync(tmp, 'hello drive');
     const up = await drv.files.create({
-      requestBody: { name: 'drive-test.txt', parents: [DRIVE_FOLDER_ID] },
+      requestBody: { name: 'drive-test.txt', parents: [folderId] },
       media: { mimeType: 'text/plain', body: fs.createReadStream(tmp) },
       fields: 'id, webViewLink, parents',
       supportsAllDrives: true
@@ -255,183 +270,596 @@ app.get('/diag/whoami', async (_, res) => {
   }
 });
 
-// ====== SHEETS: FACTURAS ======
+// ====== API REST ======
+// Auth: "Authorization: Bearer <API_TOKEN>" (o header x-api-key). Errores: { error: { code, message } }
+function apiError(res, status, code, message, extra = {}) {
+  return res.status(status).json({ error: { code, message, ...extra } });
+}
+function apiAuth(req, res, next) {
+  if (!API_TOKEN) return apiError(res, 503, 'API_DISABLED', 'Falta configurar API_TOKEN');
+  const h = req.get('authorization') || '';
+  const token = h.startsWith('Bearer ') ? h.slice(7) : (req.get('x-api-key') || '');
+  const a = Buffer.from(token), b = Buffer.from(API_TOKEN);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return apiError(res, 401, 'UNAUTHORIZED', 'Token inválido');
+  }
+  next();
+}
+function facturaJSON(f) {
+  return {
+    id: f.id || null,
+    emisor: f.emisor || null,
+    fecha: f.fecha,
+    estado: f.estado,
+    cbte_tipo: f.cbte_tipo,
+    cbte_nombre: cbteNombre(f.cbte_tipo),
+    pto_vta: f.pto_vta,
+    nro: f.voucher_number || null,
+    numero: f.voucher_number ? formatNroCbte(f.pto_vta, f.voucher_number) : null,
+    CAE: f.CAE || null,
+    CAEFchVto: f.CAEFchVto || null,
+    cliente_nombre: f.cliente_nombre,
+    doc_tipo: f.doc_tipo,
+    doc_nro: String(f.doc_nro ?? ''),
+    detalle: f.detalle,
+    items: itemsDeRow(f),
+    total: f.total,
+    moneda: f.moneda || 'PES',
+    cotizacion: f.cotizacion || null,
+    fch_serv_desde: f.fch_serv_desde || f.fecha,
+    fch_serv_hasta: f.fch_serv_hasta || f.fecha,
+    fch_vto_pago: f.fch_vto_pago || f.fecha,
+    cbte_asoc: f.cbte_asoc || null,
+    ...(f.cbte_tipo === RECIBO_C ? { forma_pago: f.forma_pago || null, cbtes_cancelados: f.cbtes_cancelados || [] } : {}),
+    error: f.error || null
+  };
+}
+// Body JSON → fila con los mismos campos que arma parseMessage
+function rowDesdeBody(body = {}) {
+  let items = null;
+  if (Array.isArray(body.items) && body.items.length) {
+    items = body.items.map(it => {
+      const cant = Number(it.cant ?? 1), unit = Number(it.unit);
+      const item = { cant, detalle: String(it.detalle || '').trim(), unit, importe: round2(cant * unit) };
+      if (it.iva != null) { // 21 | "10,5" | "21%" | "exento"
+        const iva = String(it.iva).trim();
+        item.iva = parseAlicuota(/^[\d.,]+$/.test(iva) ? iva + '%' : iva);
+      }
+      return item;
+    });
+    if (items.some(it => !(it.cant > 0) || !(it.unit > 0) || !it.detalle || it.iva === null)) return { error: 'Ítems inválidos: cada uno necesita detalle, cant > 0, unit > 0 e iva válido (si viene).' };
+  }
+  const total = body.total != null ? parseMonto(body.total) : round2((items || []).reduce((acc, it) => acc + it.importe, 0));
+  // moneda: "PES" (default) | "DOL" / "USD"; cotizacion opcional (si no viene, la de AFIP)
+  const moneda = { USD: 'DOL', ARS: 'PES' }[String(body.moneda || '').toUpperCase()] || String(body.moneda || 'PES').toUpperCase();
+  if (!MONEDAS[moneda]) return { error: `Moneda inválida: ${body.moneda} (usá PES o USD)` };
+  const cotizacion = moneda === 'PES' ? 1 : (body.cotizacion != null ? parseMonto(body.cotizacion) : null);
+  if (!(cotizacion > 0) && cotizacion !== null) return { error: 'cotizacion tiene que ser mayor a 0.' };
+  // Fechas "2026-09-30" o "30/09/2026"; periodo "2026-09" completa desde/hasta
+  const fechaBody = v => (v ? parseFecha(v) || String(v) : '');
+  const periodo = body.periodo ? parsePeriodo(body.periodo) : null;
+  if (body.periodo && !periodo) return { error: `periodo inválido: ${body.periodo} (usá AAAA-MM)` };
+  const row = {
+    fecha: fechaBody(body.fecha) || hoyISO(),
+    fch_serv_desde: fechaBody(body.fch_serv_desde) || periodo?.desde || '',
+    fch_serv_hasta: fechaBody(body.fch_serv_hasta) || periodo?.hasta || '',
+    fch_vto_pago: fechaBody(body.fch_vto_pago),
+    cliente_nombre: body.cliente_nombre || '',
+    doc_tipo: String(body.doc_tipo || 'DNI').toUpperCase(),
+    doc_nro: onlyDigits(body.doc_nro),
+    domicilio: body.domicilio || '',
+    concepto: 2,
+    detalle: body.detalle || (items ? items.map(it => `${it.cant} x ${it.detalle}`).join('; ') : ''),
+    items,
+    total,
+    moneda,
+    cotizacion
+  };
+  if (!row.doc_nro && !row.cliente_nombre) return { error: 'Falta doc_nro (o cliente_nombre para Consumidor Final).' };
+  if (!row.detalle) return { error: 'Falta detalle o items.' };
+  const errTot = validarTotales(row);
+  if (errTot) return { error: errTot };
+  const errFch = validarFechas(row);
+  if (errFch) return { error: errFch };
+  return { row };
+}
+
+// Emisor pedido ("emisor" en el body o ?emisor=); con uno solo configurado no hace falta
+function emisorDeApi(req) {
+  const id = req.body?.emisor ?? req.query.emisor;
+  if (id == null || id === '') return EMISORES.length === 1 ? { em: EMISORES[0] } : { error: `Falta emisor (${EMISORES.map(e => e.id).join(', ')})` };
+  const em = EMISOR_POR_ID.get(String(id));
+  return em ? { em } : { error: `No existe el emisor ${id}` };
+}
+
+const api = express.Router();
+api.use(apiAuth);
+
+// Emite una factura con el mismo pipeline que Telegram
+api.post('/facturas', async (req, res) => {
+  const { em, error: errEm } = emisorDeApi(req);
+  if (errEm) return apiError(res, 400, 'VALIDATION_ERROR', errEm);
+  const { row, error } = rowDesdeBody(req.body);
+  if (error) return apiError(res, 400, 'VALIDATION_ERROR', error);
+  asignarEmisor(row, em);
+  try {
+    await completarPaciente(row, null);
+    const errCuit = await verificarCUIT(row, em);
+    if (errCuit) return apiError(res, 400, 'VALIDATION_ERROR', errCuit);
+    row.cbte_tipo = tipoFacturaPara(row);
+    const errFch = await validarFechasEmision(row);
+    if (errFch) return apiError(res, 400, 'VALIDATION_ERROR', errFch);
+    const { result, errPlanilla } = await emitirComprobante(row);
+    res.status(201).json({
+      ...facturaJSON({ ...(result.norm || row), estado: 'EMITIDO', CAE: result.CAE, CAEFchVto: result.CAEFchVto, voucher_number: result.voucher_number }),
+      reconciliado: !!result.reconciliado,
+      aviso: errPlanilla ? `No se pudo actualizar la planilla: ${errPlanilla}` : null
+    });
+    if (!errPlanilla) avisarTopeMonotributo(null, em, totalEnPesos(result.norm || row));
+  } catch (e) {
+    const msgErr = logError('API_FACTURA', e);
+    if (e.etapa === 'SHEETS') return apiError(res, 502, 'SHEETS_ERROR', msgErr);
+    if (e.etapa === 'AFIP') {
+      const transitorio = esErrorTransitorio(e);
+      const reintento_auto = transitorio && !!programarReintentoAuto(row, null);
+      return apiError(res, 502, 'AFIP_ERROR', msgErr, { transitorio, reintento_auto, id: row.id });
+    }
+    return apiError(res, 500, 'INTERNAL_ERROR', msgErr);
+  }
+});
+
+// PDF de una factura por ID, de cualquier emisor (se regenera desde la planilla; ?afip=1 usa los datos autorizados por AFIP)
+api.get('/facturas/:id/pdf', async (req, res) => {
+  try {
+    let f = null;
+    for (const em of EMISORES) {
+      f = (await getFacturasRows(em)).find(r => r.id && r.id === req.params.id);
+      if (f) break;
+    }
+    if (!f) return apiError(res, 404, 'NOT_FOUND', 'No existe una factura con ese ID');
+    if (!f.CAE) return apiError(res, 409, 'NOT_EMITTED', `La factura no tiene CAE (estado: ${f.estado || '-'})`);
+    const desdeAfip = ['1', 'true', 'si'].includes(String(req.query.afip || '').toLowerCase());
+    const { pdfInfo: { filePath, fileName }, diffs } = await regenerarPDF(f, { desdeAfip });
+    if (diffs.length) res.set('X-Afip-Diferencias', diffs.join(', '));
+    res.sendFile(path.resolve(filePath), {
+      headers: { 'Content-Type': 'application/pdf', 'Content-Disposition': `inline; filename="${fileName}"` }
+    }, err => {
+      if (!err) return;
+      const msgErr = logError('API_PDF', err);
+      if (res.headersSent) res.destroy(err); // cortado a mitad de camino: el cliente ve la conexión cerrada
+      else apiError(res, 500, 'PDF_ERROR', msgErr);
+    });
+  } catch (e) {
+    apiError(res, 500, 'PDF_ERROR', logError('API_PDF', e));
+  }
+});
+
+// Estado y CAE por punto de venta y número (?letra=A|B|C si hay más de una; ?emisor=ID si hay varios emisores)
+api.get('/facturas/:ptoVta(\\d+)/:nro(\\d+)', async (req, res) => {
+  const { em, error } = emisorDeApi(req);
+  if (error) return apiError(res, 400, 'VALIDATION_ERROR', error);
+  try {
+    const letra = req.query.letra ? String(req.query.letra).toUpperCase() : null;
+    const found = await buscarFacturasPorNumero({ pto_vta: req.params.ptoVta, nro: req.params.nro, letra }, await getFacturasRows(em));
+    if (!found.length) return apiError(res, 404, 'NOT_FOUND', 'No existe esa factura en la planilla');
+    if (found.length > 1) return apiError(res, 409, 'AMBIGUOUS', 'Hay más de una factura con ese número: indicá ?letra=');
+    res.json(facturaJSON(found[0]));
+  } catch (e) {
+    apiError(res, 500, 'INTERNAL_ERROR', logError('API_FACTURA_GET', e));
+  }
+});
+
+api.get('/pacientes', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q) return apiError(res, 400, 'VALIDATION_ERROR', 'Falta el parámetro q');
+  try {
+    res.json({ pacientes: await buscarPacientes(q) });
+  } catch (e) {
+    apiError(res, 502, 'SHEETS_ERROR', logError('API_PACIENTES', e));
+  }
+});
+
+api.post('/pacientes', async (req, res) => {
+  const { nombre, domicilio, email } = req.body || {};
+  const doc_tipo = String(req.body?.doc_tipo || 'DNI').toUpperCase();
+  const doc_nro = onlyDigits(req.body?.doc_nro);
+  if (!nombre || !doc_nro) return apiError(res, 400, 'VALIDATION_ERROR', 'Faltan nombre o doc_nro');
+  if (!['DNI', 'CUIT'].includes(doc_tipo)) return apiError(res, 400, 'VALIDATION_ERROR', 'doc_tipo tiene que ser DNI o CUIT');
+  try {
+    const r = await upsertPaciente({ nombre, doc_tipo, doc_nro, domicilio, email });
+    res.status(r === 'APPENDED' ? 201 : 200).json({ paciente: { nombre, doc_tipo, doc_nro, domicilio: domicilio || '', email: email || '' } });
+  } catch (e) {
+    apiError(res, 502, 'SHEETS_ERROR', logError('API_PACIENTES', e));
+  }
+});
+
+api.use((req, res) => apiError(res, 404, 'NOT_FOUND', 'Ruta inexistente'));
+app.use('/api', api);
+// JSON mal formado u otros errores de Express dentro de /api
+app.use('/api', (err, req, res, next) => {
+  apiError(res, err.status || 500, err.type === 'entity.parse.failed' ? 'INVALID_JSON' : 'INTERNAL_ERROR', humanError(err));
+});
+
+// ====== EMISORES (perfil de cada comprobante) ======
+// Las filas llevan el id del emisor en row.emisor (las leídas de su pestaña también)
+function emisorDe(row) {
+  if (row?.emisor) {
+    const em = EMISOR_POR_ID.get(row.emisor);
+    if (!em) throw new Error(`No existe el emisor "${row.emisor}" (revisá emisores.json)`);
+    return em;
+  }
+  if (EMISORES.length === 1) return EMISORES[0];
+  throw new Error('El comprobante no indica con qué emisor se factura');
+}
+// Fila nueva: emisor, su punto de venta y su tipo de comprobante por defecto
+function asignarEmisor(row, em) {
+  return Object.assign(row, { emisor: em.id, pto_vta: em.pto_vta, cbte_tipo: em.cbte_tipo });
+}
+// Facturas del emisor: su pestaña (o colección) propia o la de siempre
+function facturasDe(em) {
+  return em.hoja ? storage.facturasEn(em.hoja) : storage;
+}
+
+// ====== STORAGE: FACTURAS ======
 async function appendRow(row) {
-  // Estructura clásica A..N; agregamos Domicilio en O (15° campo)
-  const values = [[
-    row.fecha,            // A
-    row.cliente_nombre,   // B
-    row.doc_tipo,         // C
-    row.doc_nro,          // D
-    row.concepto,         // E (se mantiene)
-    row.detalle,          // F
-    row.total,            // G
-    row.pto_vta,          // H
-    row.cbte_tipo,        // I
-    'PENDIENTE',          // J
-    '',                   // K (CAE)
-    '',                   // L (CAE Vto)
-    '',                   // M (Nro)
-    '',                   // N (Error)
-    row.domicilio || ''   // O (DOMICILIO) ← NUEVO
-  ]];
-  return sheets.spreadsheets.values.append({
-    spreadsheetId: SHEET_ID,
-    range: `${SHEET_NAME}!A:Z`,
-    valueInputOption: 'RAW',
-    requestBody: { values }
+  const imp = calcularImportes(row);
+  row.id = row.id || nuevoIdFactura();
+  await facturasDe(emisorDe(row)).agregarFactura({
+    fecha: row.fecha,
+    cliente_nombre: row.cliente_nombre,
+    doc_tipo: row.doc_tipo,
+    doc_nro: row.doc_nro,
+    concepto: row.concepto,
+    detalle: row.detalle,
+    total: row.total,
+    pto_vta: row.pto_vta,
+    cbte_tipo: row.cbte_tipo,
+    estado: 'PENDIENTE',
+    CAE: '',
+    CAEFchVto: '',
+    voucher_number: '',
+    error: '',
+    domicilio: row.domicilio || '',
+    cbte_asoc: row.cbte_asoc || null,      // notas de crédito
+    items: row.items?.length ? row.items : null,
+    neto: imp.ImpNeto,
+    iva: imp.ImpIVA,
+    exento: imp.ImpOpEx,
+    id: row.id,
+    pdf: '',
+    drive: '',
+    mail_estado: '',
+    mail_detalle: '',
+    moneda: row.moneda || 'PES',
+    cotizacion: row.cotizacion || '',  // vacío: la cotización se pide a AFIP al emitir
+    fch_serv_desde: row.fch_serv_desde || '',
+    fch_serv_hasta: row.fch_serv_hasta || '',
+    fch_vto_pago: row.fch_vto_pago || '',
+    cond_iva: row.cond_iva || '',
+    forma_pago: row.forma_pago || '',                  // recibos
+    cbtes_cancelados: row.cbtes_cancelados?.length ? row.cbtes_cancelados : null
   });
 }
-async function updateLastRowWithResult(result) {
-  const get = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${SHEET_NAME}!A:Z`
-  });
-  const rows = get.data.values || [];
-  for (let i = rows.length - 1; i >= 1; i--) {
-    if (rows[i][9] === 'PENDIENTE') { // J = estado
-      const rowIndex = i + 1;
-      const updates = [[ 'EMITIDO', result.CAE, result.CAEFchVto, result.voucher_number, '' ]];
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: SHEET_ID,
-        range: `${SHEET_NAME}!J${rowIndex}:N${rowIndex}`,
-        valueInputOption: 'RAW',
-        requestBody: { values: updates }
-      });
-      return rowIndex;
-    }
-  }
-}
-// Marca la última fila PENDIENTE como ERROR y escribe el motivo en col N
-async function markLastRowError(errMsg) {
-  const get = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${SHEET_NAME}!A:Z`
+// Las actualizaciones reciben la fila: su ID (o número de fila, en las viejas sin ID) en la pestaña de su emisor
+function actualizarFila(row, campos) {
+  return facturasDe(emisorDe(row)).actualizarFactura(row.id || row.rowIndex, campos);
+}
+async function updateRowWithResult(row, result) {
+  return actualizarFila(row, {
+    estado: 'EMITIDO', CAE: result.CAE, CAEFchVto: result.CAEFchVto, voucher_number: result.voucher_number, error: '',
+    ...(result.cotizacion ? { cotizacion: result.cotizacion } : {})
   });
-  const rows = get.data.values || [];
-  for (let i = rows.length - 1; i >= 1; i--) {
-    if (rows[i][9] === 'PENDIENTE') {
-      const rowIndex = i + 1;
-      const updates = [[ 'ERROR', '', '', '', String(errMsg).slice(0, 500) ]];
-      await sheets.spreadsheets.values.update({
-        spreadsheetId: SHEET_ID,
-        range: `${SHEET_NAME}!J${rowIndex}:N${rowIndex}`,
-        valueInputOption: 'RAW',
-        requestBody: { values: updates }
-      });
-      return rowIndex;
-    }
-  }
-}
-
-// ====== SHEETS: PACIENTES (base de datos) ======
-async function getPacientesSheetRows() {
-  const resp = await sheets.spreadsheets.values.get({
-    spreadsheetId: SHEET_ID,
-    range: `${PACIENTES_SHEET_NAME}!A:Z`
+}
+// Marca la factura como ERROR y guarda el motivo
+async function markRowError(row, errMsg) {
+  return actualizarFila(row, {
+    estado: 'ERROR', CAE: '', CAEFchVto: '', voucher_number: '', error: String(errMsg).slice(0, 500)
   });
-  return resp.data.values || [];
 }
+// Nombre del PDF y link de Drive
+async function updateRowArchivo(row, { fileName, driveLink }) {
+  return actualizarFila(row, { pdf: fileName || '', drive: driveLink || '' });
+}
+// Resultado del envío por mail: ENVIADO | ERROR | SIN_EMAIL y a quién / por qué
+async function updateRowMail(row, { estado, detalle }) {
+  return actualizarFila(row, { mail_estado: estado, mail_detalle: String(detalle || '').slice(0, 300) });
+}
+// Cambia solo el estado
+async function updateRowEstado(row, estado) {
+  return actualizarFila(row, { estado });
+}
+
+async function getFacturasRows(em) {
+  return (await facturasDe(em).listarFacturas()).map(r => ({ ...r, emisor: em.id }));
+}
+// Facturas con ese punto de venta y número (ignora notas de crédito).
+// A y B numeran por separado: si no viene la letra puede haber más de una.
+async function buscarFacturasPorNumero({ pto_vta, nro, letra }, rows) {
+  return rows.filter(f => f.pto_vta === Number(pto_vta) && f.voucher_number === Number(nro)
+    && NC_TIPO_POR_FACTURA[f.cbte_tipo] && (!letra || cbteLetra(f.cbte_tipo) === letra));
+}
+
+// ====== STORAGE: PACIENTES (base de datos) ======
 async function getPacientePorDoc(doc_nro) {
-  const rows = await getPacientesSheetRows();
-  for (let i = 1; i < rows.length; i++) { // salteo encabezado
-    const [nombre, doc_tipo, doc_nro2, domicilio, email] = rows[i];
-    if (onlyDigits(doc_nro2) === onlyDigits(doc_nro)) {
-      return { nombre, doc_tipo, doc_nro: onlyDigits(doc_nro2), domicilio, email, rowIndex: i + 1 };
-    }
-  }
-  return null;
+  const d = onlyDigits(doc_nro);
+  return (await storage.listarPacientes()).find(p => p.doc_nro === d) || null;
 }
-async function upsertPaciente({ nombre, doc_tipo, doc_nro, domicilio, email }) {
-  const rows = await getPacientesSheetRows();
-  let rowIndex = -1;
-  for (let i = 1; i < rows.length; i++) {
-    if (onlyDigits(rows[i][2]) === onlyDigits(doc_nro)) { rowIndex = i + 1; break; }
-  }
-  const values = [[
-    nombre,
-    (doc_tipo || '').toUpperCase(),
-    onlyDigits(doc_nro),
-    domicilio || '',
-    email || ''
-  ]];
-  if (rowIndex > 0) {
-    await sheets.spreadsheets.values.update({
-      spreadsheetId: SHEET_ID,
-      range: `${PACIENTES_SHEET_NAME}!A${rowIndex}:E${rowIndex}`,
-      valueInputOption: 'RAW',
-      requestBody: { values }
-    });
-    return rowIndex;
-  } else {
-    await sheets.spreadsheets.values.append({
-      spreadsheetId: SHEET_ID,
-      range: `${PACIENTES_SHEET_NAME}!A:E`,
-      valueInputOption: 'RAW',
-      requestBody: { values }
-    });
-    return 'APPENDED';
-  }
+// Datos del paciente que no vienen en cada alta (si no se mandan, quedan los que ya tenía)
+const CAMPOS_OPCIONALES_PACIENTE = ['email', 'cond_iva', 'detalle', 'monto', 'entrega'];
+async function upsertPaciente(p) {
+  const { nombre, doc_tipo, doc_nro, domicilio } = p;
+  const prev = CAMPOS_OPCIONALES_PACIENTE.some(c => p[c] === undefined) ? await getPacientePorDoc(doc_nro) : null;
+  const opcionales = Object.fromEntries(CAMPOS_OPCIONALES_PACIENTE.map(c => [c, p[c] === undefined ? prev?.[c] : p[c]]));
+  return storage.guardarPaciente({ nombre, doc_tipo, doc_nro, domicilio, ...opcionales });
+}
+// Preferencia de entrega del PDF: 'email' | 'telegram' | '' (sin preferencia: MAIL_AUTO decide)
+const ENTREGAS = { email: 'email', mail: 'email', 'e-mail': 'email', telegram: 'telegram', tg: 'telegram' };
+const parseEntrega = v => ENTREGAS[String(v ?? '').trim().toLowerCase()] || null;
+// Monto por defecto del paciente ("12.000" | "USD 150") → { texto, total, moneda } o null
+function montoDePaciente(pac) {
+  const texto = typeof pac?.monto === 'number' ? String(pac.monto).replace('.', ',') : String(pac?.monto ?? '').trim();
+  const mon = texto ? parseTotalMoneda(texto) : null;
+  const total = mon ? parseMonto(mon.totalStr) : NaN;
+  return total > 0 ? { texto, total: round2(total), moneda: mon.moneda } : null;
+}
+// null si el documento sirve para Pacientes; si no, el motivo
+function errorDocPaciente(doc_tipo, doc_nro) {
+  const n = onlyDigits(doc_nro);
+  if (doc_tipo === 'CUIT') return esCUITValido(n) ? null : `CUIT ${n || '(vacío)'} inválido`;
+  if (doc_tipo === 'DNI') return n.length >= 7 && n.length <= 8 ? null : `DNI ${n || '(vacío)'} inválido (tiene que tener 7 u 8 dígitos)`;
+  return `tipo de documento "${doc_tipo || ''}" inválido (DNI o CUIT)`;
 }
 async function buscarPacientes(q) {
   q = String(q || '').toLowerCase();
   const qDigits = onlyDigits(q);
-  const rows = await getPacientesSheetRows();
   const out = [];
-  for (let i = 1; i < rows.length; i++) {
-    const [nombre, doc_tipo, doc_nro, domicilio, email] = rows[i];
-    const nd = onlyDigits(doc_nro);
-    if (nombre?.toLowerCase().includes(q) || nd.includes(qDigits)) {
-      out.push({ nombre, doc_tipo, doc_nro: nd, domicilio, email });
+  for (const { nombre, doc_tipo, doc_nro, domicilio, email } of await storage.listarPacientes()) {
+    if (nombre?.toLowerCase().includes(q) || (qDigits && doc_nro.includes(qDigits))) {
+      out.push({ nombre, doc_tipo, doc_nro, domicilio, email });
       if (out.length >= 10) break;
     }
   }
   return out;
 }
 
-// Estado en memoria por chat (paciente activo)
-const activePatientByChat = new Map();
+// ====== SESIONES DE CHAT (paciente activo, últimas facturas y asistente; sobreviven a reinicios) ======
+// El paciente activo vence si no se usa en PACIENTE_ACTIVO_TTL_MS; el asistente y las confirmaciones, en SESION_TTL_MS
+const PACIENTE_ACTIVO_TTL_MS = Number(process.env.PACIENTE_ACTIVO_TTL_MS || String(12 * 60 * 60 * 1000));
+const SESION_TTL_MS = Number(process.env.SESION_TTL_MS || String(30 * 60 * 1000));
+const ULTIMAS_POR_CHAT = 5;
+
+// Se leen del storage una sola vez; después se trabaja en memoria y cada cambio se guarda en orden
+let sesionesCargadas = null;
+function cargarSesiones() {
+  if (!sesionesCargadas) {
+    sesionesCargadas = storage.listarSesiones()
+      .then(arr => new Map(arr.map(({ rowIndex, ...x }) => [String(x.chat_id), x])))
+      .catch(e => { sesionesCargadas = null; throw e; });
+  }
+  return sesionesCargadas;
+}
+async function sesionChat(chatId) {
+  const id = String(chatId);
+  let mapa;
+  try { mapa = await cargarSesiones(); }
+  catch (e) { logError('SESIONES_LEER', e); mapa = new Map(); } // sin storage: sesión vacía solo para este mensaje
+  if (!mapa.has(id)) mapa.set(id, { chat_id: id, paciente: null, paciente_ts: 0, ultimas: [], asistente: null });
+  return mapa.get(id);
+}
+let colaSesiones = Promise.resolve();
+function persistirSesion(s) {
+  s.actualizado = new Date().toISOString();
+  const copia = JSON.parse(JSON.stringify(s));
+  colaSesiones = colaSesiones
+    .then(() => storage.guardarSesion(copia))
+    .catch(e => { logError('SESIONES_GUARDAR', e); });
+  return colaSesiones;
+}
+
+async function getPacienteActivo(chatId) {
+  const s = await sesionChat(chatId);
+  if (s.paciente && Date.now() - s.paciente_ts > PACIENTE_ACTIVO_TTL_MS) {
+    s.paciente = null;
+    persistirSesion(s);
+  }
+  return s.paciente;
+}
+async function setPacienteActivo(chatId, pac) {
+  const s = await sesionChat(chatId);
+  s.paciente = { nombre: pac.nombre, doc_tipo: pac.doc_tipo, doc_nro: pac.doc_nro, domicilio: pac.domicilio || '', email: pac.email || '' };
+  s.paciente_ts = Date.now();
+  await persistirSesion(s);
+}
+// Devuelve el paciente que estaba activo (o null)
+async function soltarPacienteActivo(chatId) {
+  const pac = await getPacienteActivo(chatId);
+  if (!pac) return null;
+  const s = await sesionChat(chatId);
+  s.paciente = null;
+  await persistirSesion(s);
+  return pac;
+}
+// Últimas facturas emitidas desde el chat (la más nueva primero)
+async function registrarUltimaFactura(chatId, norm, result) {
+  const s = await sesionChat(chatId);
+  s.ultimas = [{
+    ref: norm.id || '', nro: formatNroCbte(norm.pto_vta, result.voucher_number), fecha: norm.fecha,
+    nombre: norm.cliente_nombre || '', doc_tipo: norm.doc_tipo, doc_nro: norm.doc_nro, domicilio: norm.domicilio || '',
+    total: norm.total, moneda: norm.moneda || 'PES'
+  }, ...(s.ultimas || [])].slice(0, ULTIMAS_POR_CHAT);
+  await persistirSesion(s);
+}
+const etiquetaPaciente = p => `${p.nombre || '-'} (${p.doc_tipo === 'CF' ? 'Consumidor Final' : `${p.doc_tipo} ${p.doc_nro}`})`;
+// Condición IVA y valores por defecto de la ficha (solo los cargados)
+function lineasDefaultsPaciente(p) {
+  const cond = parseCondIVA(p.cond_iva), monto = montoDePaciente(p);
+  return [
+    cond && `Cond. IVA: ${COND_IVA_LABELS[cond]}`,
+    p.detalle && `Detalle habitual: ${p.detalle}`,
+    monto && `Monto habitual: ${formatMonto(monto.total, monto.moneda)}`,
+    parseEntrega(p.entrega) && `Entrega: ${parseEntrega(p.entrega) === 'email' ? `por mail${p.email ? ` (${p.email})` : ''}` : 'solo por Telegram'}`
+  ].filter(Boolean);
+}
 
-// Completa datos desde "Pacientes" por documento o paciente activo del chat
+// Completa datos desde "Pacientes" por documento o, si el mensaje no trae documento, con el paciente activo del chat
 async function completarPaciente(row, chatId) {
   let pac = null;
   if (row.doc_nro) pac = await getPacientePorDoc(row.doc_nro);
-  if (!pac && activePatientByChat.has(chatId)) pac = activePatientByChat.get(chatId);
+  if (!pac && !onlyDigits(row.doc_nro)) {
+    const activo = await getPacienteActivo(chatId);
+    if (activo) {
+      pac = (await getPacientePorDoc(activo.doc_nro)) || activo; // la ficha puede haber cambiado
+      row.desde_paciente_activo = true;
+      await setPacienteActivo(chatId, pac); // usarlo renueva el vencimiento
+    }
+  }
   if (pac) {
     row.cliente_nombre = pac.nombre || row.cliente_nombre || '';
     row.doc_tipo = pac.doc_tipo || row.doc_tipo;
     row.doc_nro = pac.doc_nro || row.doc_nro;
     row.domicilio = pac.domicilio || '';
+    row.email = pac.email || row.email || '';
+    row.cond_iva = parseCondIVA(pac.cond_iva) || row.cond_iva || null;
   }
   return row;
 }
 
 // ====== AFIP helpers ======
+// Tipos de comprobante que sabemos emitir (letra y nombre para PDF/mensajes)
+const CBTE_TIPOS = {
+  1:  { letra: 'A', nombre: 'Factura A' },
+  3:  { letra: 'A', nombre: 'Nota de Crédito A' },
+  6:  { letra: 'B', nombre: 'Factura B' },
+  8:  { letra: 'B', nombre: 'Nota de Crédito B' },
+  11: { letra: 'C', nombre: 'Factura C' },
+  13: { letra: 'C', nombre: 'Nota de Crédito C' },
+  15: { letra: 'C', nombre: 'Recibo C' }
+};
+// Factura → Nota de crédito que la anula
+const NC_TIPO_POR_FACTURA = { 1: 3, 6: 8, 11: 13 };
+const RECIBO_C = 15;
+// A y B discriminan IVA; C nunca
+function discriminaIVA(tipo) {
+  return ['A', 'B'].includes(CBTE_TIPOS[Number(tipo)]?.letra);
+}
+function cbteNombre(tipo) {
+  return CBTE_TIPOS[Number(tipo)]?.nombre || `Comprobante ${tipo}`;
+}
+function cbteLetra(tipo) {
+  return CBTE_TIPOS[Number(tipo)]?.letra || 'C';
+}
+// "0001-00000123"
+function formatNroCbte(ptoVta, nro) {
+  return `${String(ptoVta).padStart(4, '0')}-${String(nro).padStart(8, '0')}`;
+}
+// "0001-00000123" | "1-123" | "B 0001-00000123" → { pto_vta, nro, letra }
+function parseNroCbte(str) {
+  const m = String(str || '').trim().match(/^(?:([ABC])\s*)?(\d{1,5})\s*-\s*(\d{1,8})$/i);
+  if (!m) return null;
+  return { pto_vta: Number(m[2]), nro: Number(m[3]), letra: m[1] ? m[1].toUpperCase() : null };
+}
 function docTipoCode(t) {
   const u = String(t || '').toUpperCase();
   if (u === 'CUIT') return 80;
   if (u === 'DNI') return 96;
   return 99; // CF / desconocido
 }
-// Condición IVA del receptor (RG 5616)
+// Condición IVA del receptor (RG 5616): la cargada en el paciente (row.cond_iva) o, si no hay, según el documento
 function getCondicionIVAReceptorId(parsed) {
   const u = (parsed.doc_tipo || '').toUpperCase();
-  if (u === 'DNI' || u === 'CF') return 5; // Consumidor Final
+  if (u === 'CF') return 5; // sin documento válido siempre es Consumidor Final
+  if (COND_IVA_LABELS[parsed.cond_iva]) return Number(parsed.cond_iva);
+  if (u === 'DNI') return 5;
   const def = Number(process.env.IVA_COND_RECEPTOR_ID_DEFAULT || '6'); // 6=Monotributo
   return def;
 }
+const COND_IVA_LABELS = {
+  1: 'IVA Responsable Inscripto',
+  4: 'IVA Sujeto Exento',
+  5: 'Consumidor Final',
+  6: 'Responsable Monotributo',
+  7: 'Sujeto No Categorizado',
+  8: 'Proveedor del Exterior',
+  9: 'Cliente del Exterior',
+  10: 'IVA Liberado - Ley 19.640',
+  13: 'Monotributista Social',
+  15: 'IVA No Alcanzado',
+  16: 'Monotributo Trabajador Independiente Promovido'
+};
+const COND_IVA_ALIAS = {
+  ri: 1, 'responsable inscripto': 1, 'inscripto': 1,
+  exento: 4, 'sujeto exento': 4,
+  cf: 5, 'consumidor final': 5,
+  monotributo: 6, monotributista: 6, mono: 6,
+  'no categorizado': 7, 'no alcanzado': 15, exterior: 9
+};
+// "exento" | "RI" | "4" | "IVA Sujeto Exento" → código AFIP (null si no es una condición conocida)
+function parseCondIVA(v) {
+  const s = String(v ?? '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  if (!s) return null;
+  if (/^\d+$/.test(s)) return COND_IVA_LABELS[Number(s)] ? Number(s) : null;
+  if (COND_IVA_ALIAS[s]) return COND_IVA_ALIAS[s];
+  const id = Object.keys(COND_IVA_LABELS).find(k => COND_IVA_LABELS[k].normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase() === s);
+  return id ? Number(id) : null;
+}
+// Tipo de factura según emisor y receptor: C (monotributo) | A (RI → RI/monotributo) | B (RI → resto)
+function tipoFacturaPara(row) {
+  const em = emisorDe(row);
+  if (!em.ri) return em.cbte_tipo;
+  const cond = getCondicionIVAReceptorId(normalizarReceptor(row));
+  return [1, 6, 13, 16].includes(cond) ? 1 : 6;
+}
+
+// Alícuotas de IVA (%) → Id AFIP
+const IVA_ALICUOTAS = { 0: 3, 2.5: 9, 5: 8, 10.5: 4, 21: 5, 27: 6 };
+function formatAlicuota(alic) {
+  return alic === 'EX' ? 'Exento' : `${String(alic).replace('.', ',')}%`;
+}
+// "21%" | "10,5%" | "exento" → 21 | 10.5 | 'EX' (null si no es una alícuota)
+function parseAlicuota(str) {
+  const s = String(str || '').trim().toLowerCase();
+  if (s === 'ex' || s === 'exento') return 'EX';
+  const m = s.match(/^(\d+(?:[.,]\d+)?)\s*%$/);
+  if (!m) return null;
+  const n = Number(m[1].replace(',', '.'));
+  return IVA_ALICUOTAS[n] ? n : null;
+}
+// Neto, IVA y exento del comprobante. En A/B los importes cargados son finales (IVA incluido).
+function calcularImportes(row) {
+  const total = round2(row.total);
+  if (!discriminaIVA(row.cbte_tipo)) return { ImpNeto: total, ImpIVA: 0, ImpOpEx: 0, Iva: null };
+
+  const brutoPorAlic = new Map();
+  let opEx = 0;
+  for (const it of itemsDeRow(row)) {
+    const alic = it.iva ?? IVA_ALICUOTA_DEFAULT;
+    if (alic === 'EX') { opEx += Number(it.importe); continue; }
+    brutoPorAlic.set(alic, (brutoPorAlic.get(alic) || 0) + Number(it.importe));
+  }
+  const Iva = [];
+  for (const [alic, bruto] of brutoPorAlic) {
+    const base = round2(bruto / (1 + alic / 100));
+    Iva.push({ Id: IVA_ALICUOTAS[alic], alicuota: alic, BaseImp: base, Importe: round2(bruto - base) });
+  }
+  return {
+    ImpNeto: round2(Iva.reduce((acc, a) => acc + a.BaseImp, 0)),
+    ImpIVA: round2(Iva.reduce((acc, a) => acc + a.Importe, 0)),
+    ImpOpEx: round2(opEx),
+    Iva: Iva.length ? Iva : null
+  };
+}
 // QR AFIP (RG 4892)
-function afipQrUrl({ fechaISO, ptoVta, tipoCmp, nroCmp, importe, tipoDocRec, nroDocRec, cae }) {
+function afipQrUrl({ fechaISO, cuit, ptoVta, tipoCmp, nroCmp, importe, moneda, ctz, tipoDocRec, nroDocRec, cae }) {
   const payload = {
     ver: 1,
     fecha: fechaISO,
-    cuit: AFIP_CUIT,
+    cuit: Number(cuit),
     ptoVta: Number(ptoVta),
     tipoCmp: Number(tipoCmp),
     nroCmp: Number(nroCmp),
     importe: Number(importe),
-    moneda: 'PES',
-    ctz: 1,
+    moneda: moneda || 'PES',
+    ctz: Number(ctz) || 1,
     tipoDocRec: Number(tipoDocRec || 99),
     nroDocRec: Number(nroDocRec || 0),
     tipoCodAut: 'E',
@@ -448,19 +876,221 @@ function formatARS(n) {
     .replace(/\B(?=(\d{3})+(?!\d))/g, '.');
 }
 
+// ---- Moneda del comprobante (códigos AFIP: PES, DOL) ----
+const MONEDAS = {
+  PES: { nombre: 'Pesos argentinos', simbolo: '$' },
+  DOL: { nombre: 'Dólar estadounidense', simbolo: 'US$' }
+};
+// true = el cliente paga en dólares (CanMisMonExt = S); false = paga en pesos al tipo de cambio
+const MONEDA_EXT_CANCELA_MISMA = String(process.env.MONEDA_EXT_CANCELA_MISMA || 'false').toLowerCase() === 'true';
+function formatMonto(n, moneda = 'PES') {
+  const m = MONEDAS[moneda] || MONEDAS.PES;
+  return formatARS(n).replace(/^\$/, m.simbolo);
+}
+// Importe en pesos (moneda extranjera × cotización) para totales y tope del monotributo
+function totalEnPesos(r) {
+  if (!r.moneda || r.moneda === 'PES') return Number(r.total) || 0;
+  return round2((Number(r.total) || 0) * (Number(r.cotizacion) || 0));
+}
+// Campo total: "150" | "USD 150" | "USD 150 @ 1.050,50" (cotización a mano) | "USD" (con ítems: la suma)
+const TOTAL_USD_RE = /^(?:USD|U\$S|US\$|DOL)\s*(\d[\d.,]*)?(?:\s*@\s*\$?\s*(\d[\d.,]*))?$/i;
+function parseTotalMoneda(str) {
+  const m = String(str || '').trim().match(TOTAL_USD_RE);
+  if (!m) return { totalStr: str, moneda: 'PES', cotizacion: 1 };
+  const cotizacion = m[2] ? parseMonto(m[2]) : null; // null: la pide a AFIP al emitir
+  if (m[2] && !(cotizacion > 0)) return null;
+  return { totalStr: m[1] || '', moneda: 'DOL', cotizacion };
+}
+
 // ====== Parseo del mensaje de facturación ======
-function parseMessage(text) {
-  const parts = text.split('|').map(s => s.trim()).filter(Boolean);
-  if (parts.length < 3) return null;
+// Ítem: "3 x Sesión kinesiología 12.000" (cantidad x detalle precio unitario)
+// Emisor RI: alícuota opcional al final ("... 12.000 10,5%" | "... 12.000 exento")
+const ITEM_RE = /^(\d+(?:[.,]\d+)?)\s*[x×*]\s*(.+?)\s+\$?\s*(\d[\d.,]*)(?:\s+(\d+(?:[.,]\d+)?\s*%|exento|ex))?$/i;
+function parseItem(str) {
+  const m = String(str || '').trim().match(ITEM_RE);
+  if (!m) return null;
+  const cant = Number(m[1].replace(',', '.'));
+  const unit = parseMonto(m[3]);
+  if (!(cant > 0) || !(unit > 0)) return null;
+  const item = { cant, detalle: m[2].trim(), unit, importe: round2(cant * unit) };
+  if (m[4]) {
+    const iva = parseAlicuota(m[4]);
+    if (iva == null) return null;
+    item.iva = iva;
+  }
+  return item;
+}
+// Lista de ítems separados por ";" o saltos de línea (null si alguno no parsea)
+function parseItems(str) {
+  const segs = String(str || '').split(/[;\n]/).map(s => s.trim()).filter(Boolean);
+  if (!segs.length) return null;
+  const items = segs.map(parseItem);
+  return items.every(Boolean) ? items : null;
+}
+// Ítems del comprobante; los de un solo renglón (formato clásico) quedan como cant = 1
+function itemsDeRow(row) {
+  if (row.items?.length) return row.items;
+  const unit = Number(row.total);
+  return [{ cant: 1, detalle: row.detalle || 'Servicio', unit, importe: unit }];
+}
+// Suma de ítems vs total del comprobante (null si está todo bien)
+function validarTotales(row) {
+  if (!(Number(row.total) > 0)) return 'El total tiene que ser mayor a 0.';
+  if (!row.items?.length) return null;
+  const suma = round2(row.items.reduce((acc, it) => acc + Number(it.importe), 0));
+  if (Math.abs(suma - Number(row.total)) > 0.01) {
+    return `La suma de los ítems (${formatMonto(suma, row.moneda)}) no coincide con el total (${formatMonto(row.total, row.moneda)}).`;
+  }
+  return null;
+}
+
+// ====== FECHAS DEL COMPROBANTE (fecha, período del servicio y vencimiento del pago) ======
+// Opciones en el mensaje, como campo o línea aparte: "fecha 15/10" · "periodo 2026-09" · "desde 01/09 hasta 30/09" · "vence 10/10"
+const VTO_PAGO_DIAS = Number(process.env.VTO_PAGO_DIAS || '0'); // vencimiento por defecto: fecha + N días
+// AFIP acepta la fecha del comprobante hasta N días antes o después del envío (según concepto)
+const DIAS_CBTE_FCH = { 1: 5, 2: 10, 3: 10 };
+const FECHA_ISO_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// "Hoy" es el de Argentina (el de AFIP), no el del reloj del server: en UTC, después de las 21 ya sería mañana
+const TZ_AR = 'America/Argentina/Buenos_Aires';
+const _fmtFechaAR = new Intl.DateTimeFormat('en-CA', { timeZone: TZ_AR, year: 'numeric', month: '2-digit', day: '2-digit' }); // en-CA → AAAA-MM-DD
+function hoyISO() {
+  return _fmtFechaAR.format(new Date());
+}
+function isoMasDias(iso, dias) {
+  return new Date(Date.parse(`${iso}T00:00:00Z`) + dias * 86400000).toISOString().slice(0,10);
+}
+function isoValida(anio, mes, dia) {
+  const iso = `${anio}-${String(mes).padStart(2, '0')}-${String(dia).padStart(2, '0')}`;
+  const d = new Date(`${iso}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0,10) === iso ? iso : null;
+}
+// "2026-10-15" | "15/10/2026" | "15/10/26" | "15/10" (sin año: la más cercana a hoy) → ISO, o null
+function parseFecha(str, hoy = hoyISO()) {
+  const s = String(str || '').trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) return isoValida(m[1], m[2], m[3]);
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{4}|\d{2}))?$/);
+  if (!m) return null;
+  if (m[3]) return isoValida(m[3].length === 2 ? `20${m[3]}` : m[3], m[2], m[1]);
+  const anio = Number(hoy.slice(0, 4));
+  const dist = iso => Math.abs(Date.parse(iso) - Date.parse(hoy));
+  return [anio - 1, anio, anio + 1].map(a => isoValida(a, m[2], m[1])).filter(Boolean).sort((a, b) => dist(a) - dist(b))[0] || null;
+}
+// "2026-09" | "09/2026" → primer y último día del mes
+function parsePeriodo(str) {
+  const s = String(str || '').trim();
+  const m = s.match(/^(\d{4})-(\d{1,2})$/) || s.match(/^(\d{1,2})[/-](\d{4})$/);
+  if (!m) return null;
+  const [anio, mes] = m[1].length === 4 ? [Number(m[1]), Number(m[2])] : [Number(m[2]), Number(m[1])];
+  if (mes < 1 || mes > 12) return null;
+  return { desde: isoValida(anio, mes, 1), hasta: new Date(Date.UTC(anio, mes, 0)).toISOString().slice(0,10) };
+}
+const OPCION_FECHA_RE = /(per[ií]odo|desde|hasta|vence|vto|fecha)\s*:?\s*(\S+)/gi;
+const CAMPO_OPCION_FECHA = { desde: 'fch_serv_desde', hasta: 'fch_serv_hasta', vence: 'fch_vto_pago', vto: 'fch_vto_pago', fecha: 'fecha' };
+// Campo con opciones de fecha → { fecha?, fch_serv_desde?, fch_serv_hasta?, fch_vto_pago? }; null si no es de opciones.
+// Un valor que no es fecha queda como texto: validarFechas lo informa.
+function parseOpcionesFecha(str) {
+  const s = String(str || '').trim();
+  if (!new RegExp(`^${OPCION_FECHA_RE.source}`, 'i').test(s) || s.replace(OPCION_FECHA_RE, '').trim()) return null;
+  const o = {};
+  for (const [, clave, valor] of s.matchAll(OPCION_FECHA_RE)) {
+    const k = clave.toLowerCase();
+    if (k.startsWith('per')) {
+      const p = parsePeriodo(valor);
+      o.fch_serv_desde = p ? p.desde : valor;
+      o.fch_serv_hasta = p ? p.hasta : valor;
+    } else {
+      o[CAMPO_OPCION_FECHA[k]] = parseFecha(valor) || valor;
+    }
+  }
+  return o;
+}
+// Completa las fechas que faltan: período = fecha del comprobante, vencimiento = fecha + VTO_PAGO_DIAS
+function completarFechas(row) {
+  row.fecha = row.fecha || hoyISO();
+  const f = row.fecha;
+  if (!row.fch_serv_desde) row.fch_serv_desde = row.fch_serv_hasta && row.fch_serv_hasta < f ? row.fch_serv_hasta : f;
+  if (!row.fch_serv_hasta) row.fch_serv_hasta = row.fch_serv_desde > f ? row.fch_serv_desde : f;
+  if (!row.fch_vto_pago) row.fch_vto_pago = FECHA_ISO_RE.test(f) ? isoMasDias(f, VTO_PAGO_DIAS) : f;
+  return row;
+}
+// Reglas de AFIP sobre las fechas (null si está todo bien). Con rows, controla también que la fecha
+// no sea anterior a la del último comprobante del mismo tipo y punto de venta.
+function validarFechas(row, { hoy = hoyISO(), rows } = {}) {
+  const r = completarFechas({ ...row });
+  const campos = { fecha: 'fecha', fch_serv_desde: 'desde', fch_serv_hasta: 'hasta', fch_vto_pago: 'vence' };
+  for (const [c, nombre] of Object.entries(campos)) {
+    if (!FECHA_ISO_RE.test(r[c])) return `Fecha inválida en "${nombre}": ${r[c]}. Usá DD/MM, DD/MM/AAAA o AAAA-MM-DD.`;
+  }
+  const dias = DIAS_CBTE_FCH[Number(r.concepto)] ?? DIAS_CBTE_FCH[1];
+  const min = isoMasDias(hoy, -dias), max = isoMasDias(hoy, dias);
+  if (r.fecha < min || r.fecha > max) {
+    return `AFIP acepta la fecha del comprobante entre ${min} y ${max} (hasta ${dias} días antes o después de hoy).`;
+  }
+  if (r.fch_serv_desde > r.fch_serv_hasta) return `El período está al revés: desde ${r.fch_serv_desde} hasta ${r.fch_serv_hasta}.`;
+  if (r.fch_vto_pago < r.fecha) return `El vencimiento del pago (${r.fch_vto_pago}) no puede ser anterior a la fecha del comprobante (${r.fecha}).`;
+  if (rows) {
+    const ultima = rows
+      .filter(x => ['EMITIDO', 'ANULADA'].includes(x.estado) && x.pto_vta === Number(r.pto_vta) && x.cbte_tipo === Number(r.cbte_tipo))
+      .map(x => x.fecha).sort().pop();
+    if (ultima && r.fecha < ultima) {
+      return `AFIP no acepta una fecha anterior a la del último ${cbteNombre(r.cbte_tipo)} emitido (${ultima}).`;
+    }
+  }
+  return null;
+}
+// Con fecha anterior a hoy también controla contra el último comprobante de la planilla
+async function validarFechasEmision(row) {
+  return validarFechas(row, { rows: row.fecha < hoyISO() ? await getFacturasRows(emisorDe(row)) : undefined });
+}
 
-  let nombre = '';
-  let docCampo = '', detalle = '', totalStr = '';
+// Formatos:
+//  • Nombre | DNI | Detalle | Total   (o sin Nombre si el paciente está guardado)
+//  • Nombre | DNI | 3 x Sesión 12.000; 1 x Evaluación 20.000 [| Total]
+//  • Multilínea: "Nombre | DNI" y debajo un ítem por línea, opcional "Total N" al final
+//  • En dólares: el total como "USD 150" (o "USD 150 @ 1050" para fijar la cotización)
+//  • Fechas opcionales, como campo o línea aparte: "periodo 2026-09 | vence 10/10 | fecha 30/09"
+function parseMessage(text) {
+  let header, items = null, detalle = '', totalStr = '';
+
+  // Las opciones de fecha se sacan antes de leer el resto (nunca el primer campo)
+  const fechas = {};
+  const sinOpciones = arr => arr.filter((p, i) => {
+    const o = i > 0 && parseOpcionesFecha(p);
+    if (o) Object.assign(fechas, o);
+    return !o;
+  });
 
-  if (parts.length === 4) {
-    [nombre, docCampo, detalle, totalStr] = parts;
-  } else { // 3 partes: DOC | Detalle | Total
-    [docCampo, detalle, totalStr] = parts;
+  const lines = sinOpciones(text.split('\n').map(s => s.trim()).filter(Boolean));
+  if (lines.length > 1) {
+    header = sinOpciones(lines[0].split('|').map(s => s.trim()).filter(Boolean));
+    let itemLines = lines.slice(1);
+    const mTot = itemLines[itemLines.length - 1].match(/^total\s*:?\s*(.+)$/i);
+    if (mTot) { totalStr = mTot[1]; itemLines = itemLines.slice(0, -1); }
+    items = parseItems(itemLines.join('\n'));
+    if (!items) return null;
+  } else {
+    const parts = sinOpciones((lines[0] || '').split('|').map(s => s.trim()).filter(Boolean));
+    const k = parts.findIndex((p, i) => i > 0 && parseItems(p));
+    if (k > 0) { // hay un campo con lista de ítems
+      if (parts.length > k + 2) return null;
+      header = parts.slice(0, k);
+      items = parseItems(parts[k]);
+      totalStr = parts[k + 1] || '';
+    } else {
+      if (parts.length < 3) return null;
+      header = parts.slice(0, -2);
+      [detalle, totalStr] = parts.slice(-2);
+    }
   }
+  if (header.length < 1 || header.length > 2) return null;
+  const mon = parseTotalMoneda(totalStr);
+  if (!mon) return null;
+  totalStr = mon.totalStr;
+
+  // 2 campos de cabecera: Nombre | DOC; 1 campo: DOC (lo completa la base)
+  const [nombre, docCampo] = header.length === 2 ? header : ['', header[0]];
 
   // Detecta DNI/CUIT en docCampo
   let doc_tipo = 'DNI';
@@ -469,25 +1099,60 @@ function parseMessage(text) {
   if (m1) { doc_tipo = m1[1].toUpperCase(); doc_nro = m1[2]; }
   else { doc_nro = docCampo.replace(/\D/g, ''); }
 
-  const total = parseMonto(totalStr);
+  let total;
+  if (items) {
+    detalle = items.map(it => `${it.cant} x ${it.detalle}`).join('; ');
+    total = totalStr ? parseMonto(totalStr) : round2(items.reduce((acc, it) => acc + it.importe, 0));
+  } else {
+    total = parseMonto(totalStr);
+  }
 
   return {
-    fecha: new Date().toISOString().slice(0,10),
+    fecha: fechas.fecha || hoyISO(),
+    fch_serv_desde: fechas.fch_serv_desde || '', // vacías: completarFechas
+    fch_serv_hasta: fechas.fch_serv_hasta || '',
+    fch_vto_pago: fechas.fch_vto_pago || '',
     cliente_nombre: nombre, // puede venir vacío: lo completa la base
     doc_tipo,
     doc_nro,
     domicilio: '', // puede completar luego
     concepto: 2, // solo servicios
     detalle,
+    items,
     total,
-    pto_vta: AFIP_PTO_VTA,
-    cbte_tipo: AFIP_CBTE_TIPO
+    moneda: mon.moneda,
+    cotizacion: mon.cotizacion
   };
 }
 
+// Atajo con paciente guardado: "DNI" o "DNI | Total" (más opciones de fecha) usa el detalle y el monto de su ficha.
+// null si el mensaje no es el atajo; si no, { texto } con el mensaje completo o { error }.
+async function expandirAtajoPaciente(text) {
+  if (text.includes('\n')) return null;
+  const parts = text.split('|').map(s => s.trim()).filter(Boolean);
+  const opciones = parts.filter((p, i) => i > 0 && parseOpcionesFecha(p));
+  const campos = parts.filter(p => !opciones.includes(p));
+  if (!campos.length || campos.length > 2) return null;
+  if (!/^(?:(DNI|CUIT)\s*)?[\d.\-\s]+$/i.test(campos[0]) || onlyDigits(campos[0]).length < 7) return null;
+  const mon = campos[1] ? parseTotalMoneda(campos[1]) : null;
+  if (campos[1] && !(mon && /^\$?\s*\d[\d.,]*$/.test(String(mon.totalStr).trim()))) return null;
+
+  const pac = await getPacientePorDoc(campos[0]);
+  if (!pac) return { error: `No encontré ${onlyDigits(campos[0])} en Pacientes. Para facturar solo con el documento, guardalo con /paciente_guardar y cargale detalle y monto con /paciente_editar.` };
+  const monto = campos[1] || montoDePaciente(pac)?.texto;
+  const faltan = [!pac.detalle && 'detalle', !monto && 'monto'].filter(Boolean);
+  if (faltan.length) {
+    return { error: `${etiquetaPaciente(pac)} no tiene ${faltan.join(' ni ')} por defecto. Cargalo con /paciente_editar ${pac.doc_nro} ${faltan[0]} … o mandá DNI | Detalle | Total.` };
+  }
+  return { texto: [campos[0], pac.detalle.replace(/\|/g, '/'), monto, ...opciones].join(' | ') };
+}
+
 // ====== PDF legible (con LOGO) ======
 async function generarPDF({ row, result }) {
-  const fileName = `Factura_C_${String(row.pto_vta).padStart(4,'0')}-${String(result.voucher_number).padStart(8,'0')}.pdf`;
+  const em = emisorDe(row);
+  const titulo = cbteNombre(row.cbte_tipo);
+  const slug = titulo.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '_');
+  const fileName = `${slug}_${formatNroCbte(row.pto_vta, result.voucher_number)}.pdf`;
   const filePath = path.join('/tmp', fileName);
 
   const doc = new PDFDocument({ size: 'A4', margin: 36 });
@@ -497,34 +1162,35 @@ async function generarPDF({ row, result }) {
   const usableW = doc.page.width - 72;      // ancho útil (margen 36)
   const startY = 36;
 
-  // Letra del comprobante (C)
+  // Letra del comprobante
   doc.rect(36, startY, 40, 40).stroke();
-  doc.fontSize(24).text('C', 36, startY + 7, { width: 40, align: 'center' });
+  doc.fontSize(24).text(cbteLetra(row.cbte_tipo), 36, startY + 7, { width: 40, align: 'center' });
+  doc.fontSize(6).text(`COD. ${String(row.cbte_tipo).padStart(2, '0')}`, 36, startY + 32, { width: 40, align: 'center' });
 
   // Logo + Datos emisor
   const emX = 36 + 50;
   let emY = startY;
   try {
-    const logoBuf = await getLogoBuffer();
+    const logoBuf = await getLogoBuffer(em);
     if (logoBuf) {
       doc.image(logoBuf, emX, emY, { fit: [140, 40] });
       emY += 44; // debajo del logo
     }
   } catch (e) { /* ignorar logo */ }
 
-  doc.fontSize(12).text(EM_NOMBRE, emX, emY);
+  doc.fontSize(12).text(em.nombre, emX, emY);
   doc.fontSize(9).fillColor('#333');
-  if (EM_DOM)       doc.text(EM_DOM, emX, doc.y);
-  doc.text(`CUIT: ${AFIP_CUIT}   |   Resp. IVA: ${EM_RESPIVA}`, emX, doc.y);
-  if (EM_IIBB)      doc.text(`Ing. Brutos: ${EM_IIBB}`, emX, doc.y);
-  if (EM_INI)       doc.text(`Inicio de actividades: ${EM_INI}`, emX, doc.y);
+  if (em.domicilio)  doc.text(em.domicilio, emX, doc.y);
+  doc.text(`CUIT: ${em.cuit}   |   Resp. IVA: ${em.resp_iva}`, emX, doc.y);
+  if (em.iibb)       doc.text(`Ing. Brutos: ${em.iibb}`, emX, doc.y);
+  if (em.inicio_act) doc.text(`Inicio de actividades: ${em.inicio_act}`, emX, doc.y);
   doc.fillColor('black');
 
   // Datos comprobante (derecha)
   const compBoxW = 200, compX = 36 + usableW - compBoxW;
   const compY = startY;
   doc.rect(compX, compY, compBoxW, 40).stroke();
-  doc.fontSize(10).text(`Factura C`, compX + 8, compY + 6);
+  doc.fontSize(10).text(titulo, compX + 8, compY + 6);
   doc.text(`Pto Vta: ${String(row.pto_vta).padStart(4, '0')}   N°: ${String(result.voucher_number).padStart(8, '0')}`, compX + 8, doc.y);
   doc.text(`Fecha: ${row.fecha}`, compX + 8, doc.y);
 
@@ -535,58 +1201,129 @@ async function generarPDF({ row, result }) {
   doc.fontSize(10).text(`Paciente: ${row.cliente_nombre || '-'}`, 42, recY + 6);
   doc.text(`Documento: ${(row.doc_tipo || '-').toUpperCase()} ${row.doc_nro || '-'}`, 42, doc.y);
   doc.text(`Domicilio: ${row.domicilio || '-'}`, 42, doc.y);
-  doc.text(`Cond. IVA: ${(row.doc_tipo || '').toUpperCase() === 'CUIT' ? (process.env.IVA_COND_RECEPTOR_ID_DEFAULT ? 'Resp. Inscripto/Monotributo' : 'CUIT') : 'Consumidor Final'}`, 42, doc.y);
-
-  // Ítems (simple: 1 renglón con el detalle)
-  const tableY = recY + 90;
-  const cols = [
-    { title: 'Descripción', x: 36, w: usableW - 200 },
-    { title: 'Cant.', x: 36 + (usableW - 200), w: 50, align: 'right' },
-    { title: 'P. Unit.', x: 36 + (usableW - 150), w: 75, align: 'right' },
+  doc.text(`Cond. IVA: ${COND_IVA_LABELS[getCondicionIVAReceptorId(row)] || '-'}`, 42, doc.y);
+  if (row.cbte_asoc) {
+    doc.text(`Comprobante asociado: ${cbteNombre(row.cbte_asoc.tipo)} ${formatNroCbte(row.cbte_asoc.pto_vta, row.cbte_asoc.nro)}`, 42, doc.y);
+  }
+  const esRecibo = Number(row.cbte_tipo) === RECIBO_C;
+  if (esRecibo) doc.text(`Forma de pago: ${row.forma_pago || '-'}`, 42, doc.y);
+
+  // Ítems (un renglón por ítem; pasa a otra hoja si no entran)
+  // A: precios netos + columna IVA; B: precios finales + columna IVA; C: precios finales
+  // Recibo: las facturas que cancela y lo aplicado a cada una (sin facturas: el concepto del pago)
+  const conIVA = discriminaIVA(row.cbte_tipo);
+  const esA = cbteLetra(row.cbte_tipo) === 'A';
+  const moneda = row.moneda || 'PES';
+  const fmt = v => formatMonto(v, moneda);
+  const ivaW = conIVA ? 50 : 0;
+  const pageBottom = doc.page.height - 36;
+  const cols = esRecibo ? [
+    { title: 'Concepto', x: 36, w: usableW - 150 },
+    { title: 'Importe aplicado', x: 36 + usableW - 150, w: 150, align: 'right' }
+  ] : [
+    { title: 'Descripción', x: 36, w: usableW - 200 - ivaW },
+    { title: 'Cant.', x: 36 + (usableW - 200 - ivaW), w: 50, align: 'right' },
+    { title: 'P. Unit.', x: 36 + (usableW - 150 - ivaW), w: 75, align: 'right' },
+    ...(conIVA ? [{ title: 'IVA', x: 36 + (usableW - 75 - ivaW), w: ivaW, align: 'right' }] : []),
     { title: 'Importe', x: 36 + (usableW - 75), w: 75, align: 'right' }
   ];
 
   // header tabla
-  doc.rect(36, tableY, usableW, 20).fillAndStroke('#f2f2f2', '#000');
-  doc.fillColor('#000').fontSize(9);
-  cols.forEach(c => doc.text(c.title, c.x + 6, tableY + 6, { width: c.w - 12, align: c.align || 'left' }));
-
-  // fila item
-  const itemY = tableY + 20;
-  doc.rect(36, itemY, usableW, 22).stroke();
-  const cant = 1;
-  const unit = Number(row.total);
-  const imp = unit * cant;
-  doc.text(row.detalle || 'Servicio', cols[0].x + 6, itemY + 6, { width: cols[0].w - 12 });
-  doc.text(String(cant), cols[1].x + 6, itemY + 6, { width: cols[1].w - 12, align: 'right' });
-  doc.text(formatARS(unit), cols[2].x + 6, itemY + 6, { width: cols[2].w - 12, align: 'right' });
-  doc.text(formatARS(imp), cols[3].x + 6, itemY + 6, { width: cols[3].w - 12, align: 'right' });
-
-  // Totales
-  const totY = itemY + 30;
-  doc.rect(36 + usableW - 200, totY, 200, 45).stroke();
-  doc.fontSize(10).text('Subtotal:', 36 + usableW - 190, totY + 8, { width: 120, align: 'left' });
-  doc.text(formatARS(imp), 36 + usableW - 90, totY + 8, { width: 80, align: 'right' });
-  doc.text('TOTAL:', 36 + usableW - 190, totY + 25, { width: 120, align: 'left' });
-  doc.fontSize(12).text(formatARS(imp), 36 + usableW - 90, totY + 22, { width: 80, align: 'right' });
+  const drawTableHeader = (y) => {
+    doc.rect(36, y, usableW, 20).fillAndStroke('#f2f2f2', '#000');
+    doc.fillColor('#000').fontSize(9);
+    cols.forEach(c => doc.text(c.title, c.x + 6, y + 6, { width: c.w - 12, align: c.align || 'left' }));
+    return y + 20;
+  };
+  let itemY = drawTableHeader(recY + 90);
+
+  // filas
+  const filas = esRecibo
+    ? (row.cbtes_cancelados?.length
+      ? row.cbtes_cancelados.map(a => [`Cancela ${cbteNombre(a.tipo)} ${formatNroCbte(a.pto_vta, a.nro)}${a.fecha ? ` del ${a.fecha}` : ''}`, fmt(a.importe)])
+      : [[row.detalle || 'Pago a cuenta', fmt(row.total)]])
+    : itemsDeRow(row).map(it => {
+      const alic = it.iva ?? IVA_ALICUOTA_DEFAULT;
+      const neto = v => (esA && alic !== 'EX') ? round2(v / (1 + alic / 100)) : Number(v);
+      return [
+        it.detalle || 'Servicio',
+        String(it.cant),
+        fmt(neto(it.unit)),
+        ...(conIVA ? [formatAlicuota(alic)] : []),
+        fmt(neto(it.importe))
+      ];
+    });
+  const subtotal = itemsDeRow(row).reduce((acc, it) => acc + Number(it.importe), 0);
+  for (const cells of filas) {
+    const desc = cells[0];
+    const h = Math.max(22, doc.heightOfString(desc, { width: cols[0].w - 12 }) + 12);
+    if (itemY + h > pageBottom) {
+      doc.addPage();
+      itemY = drawTableHeader(36);
+    }
+    doc.rect(36, itemY, usableW, h).stroke();
+    cols.forEach((c, k) => doc.text(cells[k], c.x + 6, itemY + 6, { width: c.w - 12, align: c.align || 'left' }));
+    itemY += h;
+  }
 
-  // CAE y QR
-  const caeY = totY + 60;
+  // Totales: A discrimina neto/IVA por alícuota; B informa el IVA contenido
+  const imp = calcularImportes(row);
+  const totLines = [];
+  if (esA) {
+    totLines.push(['Neto gravado:', imp.ImpNeto]);
+    for (const a of imp.Iva || []) totLines.push([`IVA ${formatAlicuota(a.alicuota)}:`, a.Importe]);
+    if (imp.ImpOpEx) totLines.push(['Exento:', imp.ImpOpEx]);
+  } else if (!esRecibo) { // recibo: solo lo recibido
+    totLines.push(['Subtotal:', subtotal]);
+    if (conIVA) totLines.push(['IVA contenido:', imp.ImpIVA]);
+  }
+  const totH = 8 + 17 * totLines.length + 20;
+
+  // Totales + CAE y QR debajo; si no entran, van en otra hoja
   const qrSize = 120;
+  if (itemY + 8 + totH + 15 + qrSize + 40 > pageBottom) {
+    doc.addPage();
+    itemY = 36;
+  }
+  const totY = itemY + 8;
+  doc.rect(36 + usableW - 200, totY, 200, totH).stroke();
+  doc.fontSize(10);
+  totLines.forEach(([label, v], i) => {
+    doc.text(label, 36 + usableW - 190, totY + 8 + 17 * i, { width: 120, align: 'left' });
+    doc.text(fmt(v), 36 + usableW - 90, totY + 8 + 17 * i, { width: 80, align: 'right' });
+  });
+  const totalY = totY + 8 + 17 * totLines.length;
+  doc.text(esRecibo ? 'RECIBIDO:' : 'TOTAL:', 36 + usableW - 190, totalY, { width: 120, align: 'left' });
+  doc.fontSize(12).text(fmt(row.total), 36 + usableW - 90, totalY - 3, { width: 80, align: 'right' });
+
+  // CAE y QR
+  const caeY = totY + totH + 15;
   // Box CAE
   doc.rect(36, caeY, usableW - qrSize - 12, qrSize).stroke();
   doc.fontSize(10)
      .text(`CAE: ${result.CAE}`, 42, caeY + 12)
      .text(`Vto CAE: ${result.CAEFchVto}`, 42, doc.y)
      .text(`Fecha comp.: ${row.fecha}`, 42, doc.y);
+  if (!esRecibo && (Number(row.concepto) === 2 || Number(row.concepto) === 3)) {
+    const fch = completarFechas({ ...row });
+    doc.text(`Período facturado: ${fch.fch_serv_desde} al ${fch.fch_serv_hasta}`, 42, doc.y)
+       .text(`Vto. para el pago: ${fch.fch_vto_pago}`, 42, doc.y);
+  }
+  if (moneda !== 'PES') {
+    doc.text(`Moneda: ${MONEDAS[moneda]?.nombre || moneda}   |   Cotización: ${formatARS(row.cotizacion)}`, 42, doc.y)
+       .text(`Equivalente en pesos: ${formatARS(totalEnPesos(row))}`, 42, doc.y);
+  }
 
   // QR
   const qrUrl = afipQrUrl({
     fechaISO: row.fecha,
+    cuit: em.cuit,
     ptoVta: row.pto_vta,
     tipoCmp: row.cbte_tipo,
     nroCmp: result.voucher_number,
     importe: row.total,
+    moneda,
+    ctz: moneda === 'PES' ? 1 : row.cotizacion,
     tipoDocRec: (row.doc_tipo || '').toUpperCase() === 'CUIT' ? 80 : (row.doc_tipo || '').toUpperCase() === 'DNI' ? 96 : 99,
     nroDocRec: row.doc_nro,
     cae: result.CAE
@@ -611,12 +1348,12 @@ async function generarPDF({ row, result }) {
   return { filePath, fileName };
 }
 
-// Subir PDF a Google Drive (usa OAuth si está disponible)
-async function subirPDFaDrive({ filePath, fileName }) {
-  if (!DRIVE_FOLDER_ID) return null;
+// Subir PDF a la carpeta de Drive del emisor (usa OAuth si está disponible)
+async function subirPDFaDrive({ filePath, fileName }, em) {
   const drv = driveUser || drive; // usa OAuth del usuario si existe
+  if (!em.drive_folder_id || !drv) return null;
 
-  const fileMeta = { name: fileName, parents: [DRIVE_FOLDER_ID] };
+  const fileMeta = { name: fileName, parents: [em.drive_folder_id] };
   const media = { mimeType: 'application/pdf', body: fs.createReadStream(filePath) };
   try {
     const res = await withTimeout(
@@ -639,44 +1376,86 @@ async function subirPDFaDrive({ filePath, fileName }) {
 
 // ====== AFIP ======
 function docTipoCodeFromRow(row) { return docTipoCode(row.doc_tipo); }
+// AFIP numera como "último autorizado + 1": de a una emisión por vez y por emisor para que dos chats no pidan el mismo número.
+// Con timeout, quien llama deja de esperar a los timeout ms pero el turno sigue tomado hasta que la llamada termina
+// (el SDK corta a los 30 s): si no, la reconciliación consultaría antes de que AFIP termine de autorizar.
+const _afipColas = new Map();
+function enColaAfip(em, fn, { timeout, label } = {}) {
+  const turno = _afipColas.get(em.id) || Promise.resolve();
+  const llamada = turno.then(fn);
+  _afipColas.set(em.id, llamada.catch(() => {}));
+  return timeout ? turno.then(() => withTimeout(llamada, timeout, label)) : llamada;
+}
 async function emitirFactura(row) {
-  const norm = normalizarReceptor(row);
+  const em = emisorDe(row);
+  const norm = completarFechas(normalizarReceptor(row));
   const cbteFch = toYYYYMMDD(norm.fecha);
 
+  const errTot = validarTotales(norm);
+  if (errTot) throw new Error(errTot);
+  const errFch = validarFechas(norm);
+  if (errFch) throw new Error(errFch);
+  const imp = calcularImportes(norm);
+  norm.moneda = norm.moneda || 'PES';
+  norm.cotizacion = norm.moneda === 'PES' ? 1 : (Number(norm.cotizacion) || await cotizacionAfip(norm.moneda, em));
+
   const data = {
     CantReg: 1,
     PtoVta: Number(norm.pto_vta),
-    CbteTipo: Number(norm.cbte_tipo),   // 11 = Factura C
+    CbteTipo: Number(norm.cbte_tipo),   // 1/6/11 = Factura A/B/C, 3/8/13 = Nota de Crédito A/B/C, 15 = Recibo C
     Concepto: Number(norm.concepto),    // 2 = Servicios
     DocTipo: docTipoCodeFromRow(norm),
     DocNro: Number(norm.doc_nro),
     CbteFch: cbteFch,
-    ImpTotal: Number(norm.total),
+    ImpTotal: round2(norm.total),
     ImpTotConc: 0,
-    ImpNeto: Number(norm.total),
-    ImpIVA: 0,
+    ImpNeto: imp.ImpNeto,
+    ImpOpEx: imp.ImpOpEx,
+    ImpIVA: imp.ImpIVA,
     ImpTrib: 0,
-    MonId: 'PES',
-    MonCotiz: 1,
+    MonId: norm.moneda,
+    MonCotiz: norm.cotizacion,
     CondicionIVAReceptorId: getCondicionIVAReceptorId(norm)
-    // NO enviar "Iva" en Factura C
   };
+  if (norm.moneda !== 'PES') data.CanMisMonExt = MONEDA_EXT_CANCELA_MISMA ? 'S' : 'N';
+  // "Iva" solo en A/B: en Factura C no se envía
+  if (imp.Iva) data.Iva = imp.Iva.map(({ Id, BaseImp, Importe }) => ({ Id, BaseImp, Importe }));
 
   if (data.Concepto === 2 || data.Concepto === 3) {
-    data.FchServDesde = cbteFch;
-    data.FchServHasta = cbteFch;
-    data.FchVtoPago   = cbteFch;
+    data.FchServDesde = toYYYYMMDD(norm.fch_serv_desde);
+    data.FchServHasta = toYYYYMMDD(norm.fch_serv_hasta);
+    data.FchVtoPago   = toYYYYMMDD(norm.fch_vto_pago);
+  }
+
+  // Notas de crédito: comprobante que ajustan · recibos: facturas que cancelan
+  const asociados = norm.cbte_asoc ? [norm.cbte_asoc] : (norm.cbtes_cancelados || []);
+  if (asociados.length) {
+    data.CbtesAsoc = asociados.map(a => ({
+      Tipo: Number(a.tipo),
+      PtoVta: Number(a.pto_vta),
+      Nro: Number(a.nro),
+      Cuit: em.cuit,
+      CbteFch: toYYYYMMDD(a.fecha)
+    }));
   }
 
   console.log('AFIP createNextVoucher START', { DocTipo: data.DocTipo, DocNro: data.DocNro, Total: data.ImpTotal });
-  const res = await withTimeout(
-    afip.ElectronicBilling.createNextVoucher(data),
-    AFIP_TIMEOUT_MS,
-    'AFIP createNextVoucher'
-  );
+  const res = await enColaAfip(em, () => afipDe(em).ElectronicBilling.createNextVoucher(data),
+    { timeout: AFIP_TIMEOUT_MS, label: 'AFIP createNextVoucher' });
   console.log('AFIP createNextVoucher DONE');
 
-  return { CAE: res.CAE, CAEFchVto: res.CAEFchVto, voucher_number: res.voucher_number, norm };
+  // El SDK devuelve el número como voucherNumber
+  return { CAE: res.CAE, CAEFchVto: res.CAEFchVto, voucher_number: res.voucher_number ?? res.voucherNumber, cotizacion: norm.cotizacion, norm };
+}
+// Cotización oficial que informa AFIP (FEParamGetCotizacion) para la moneda (se consulta con el CUIT del emisor)
+async function cotizacionAfip(moneda, em) {
+  const res = await withTimeout(
+    afipDe(em).ElectronicBilling.executeRequest('FEParamGetCotizacion', { MonId: moneda }),
+    AFIP_TIMEOUT_MS, 'AFIP FEParamGetCotizacion'
+  );
+  const cotiz = Number(res?.ResultGet?.MonCotiz);
+  if (!(cotiz > 0)) throw new Error(`AFIP no devolvió la cotización de ${moneda}`);
+  return cotiz;
 }
 
 // Normaliza receptor para evitar rechazos típicos
@@ -698,189 +1477,2576 @@ function normalizarReceptor(row) {
   return r;
 }
 
-// ====== COMANDOS TELEGRAM (PACIENTES) ======
-
-// /paciente_guardar Nombre | DNI/CUIT NNN | Domicilio
-bot.onText(/^\/paciente_guardar\s+(.+)$/i, async (msg, match) => {
-  const chatId = msg.chat.id;
+// ====== PADRÓN AFIP (constancia de inscripción) ======
+// Nombre, domicilio fiscal y condición de IVA de un CUIT (ws_sr_constancia_inscripcion, con el certificado del emisor:
+// hay que autorizarlo para ese servicio en AFIP). Lo encontrado queda en Pacientes y no se vuelve a consultar.
+// AFIP_PADRON=false lo apaga; si el servicio falla se sigue como antes (solo el dígito verificador).
+const PADRON_ACTIVO = String(process.env.AFIP_PADRON || 'true') !== 'false';
+const PADRON_TIMEOUT_MS = Number(process.env.PADRON_TIMEOUT_MS || '8000');
+const PADRON_CACHE_MS = 24 * 60 * 60 * 1000;
+const _padronCache = new Map(); // cuit → { ts, datos } (datos null = AFIP no lo tiene)
+
+// Persona de getPersona_v2 → { cuit, nombre, domicilio, cond_iva, activo }
+function datosPadron(persona, cuit) {
+  const g = persona.datosGenerales || persona.errorConstancia || {};
+  const dom = g.domicilioFiscal || {};
+  const impuestos = [].concat(persona.datosRegimenGeneral?.impuesto ?? []).map(i => Number(i.idImpuesto));
+  let cond_iva = null;
+  if (persona.datosMonotributo) cond_iva = 6;
+  else if (impuestos.includes(30)) cond_iva = 1; // IVA
+  else if (impuestos.includes(32)) cond_iva = 4; // IVA exento
+  return {
+    cuit,
+    nombre: g.razonSocial || [g.apellido, g.nombre].filter(Boolean).join(' '),
+    domicilio: [...new Set([dom.direccion, dom.localidad, dom.descripcionProvincia].filter(Boolean))].join(', '),
+    cond_iva,
+    activo: !g.estadoClave || g.estadoClave === 'ACTIVO'
+  };
+}
+// null si AFIP no tiene el CUIT; lanza si el servicio no responde
+async function consultarPadron(cuit, em) {
+  const c = _padronCache.get(cuit);
+  if (c && Date.now() - c.ts < PADRON_CACHE_MS) return c.datos;
+  let persona;
   try {
-    const parts = match[1].split('|').map(s => s.trim());
-    if (parts.length < 3) {
-      await sendTgMessage(chatId, 'Uso: /paciente_guardar Nombre | DNI o CUIT NNN | Domicilio');
-      return;
-    }
-    const [nombre, docCampo, domicilio] = parts;
-    const m = docCampo.match(/(DNI|CUIT)\s*(\d+)/i);
-    const doc_tipo = (m?.[1] || 'DNI').toUpperCase();
-    const doc_nro = (m?.[2] || docCampo).replace(/\D/g, '');
-    await upsertPaciente({ nombre, doc_tipo, doc_nro, domicilio });
-    await sendTgMessage(chatId, `✅ Paciente guardado: ${nombre} (${doc_tipo} ${doc_nro})`);
+    persona = await withTimeout(afipDe(em).RegisterInscriptionProof.getTaxpayerDetails(Number(cuit)), PADRON_TIMEOUT_MS, 'AFIP padrón');
   } catch (e) {
-    await sendTgMessage(chatId, '❌ No pude guardar: ' + humanError(e));
+    if (!/no existe/i.test(`${e.data?.message || ''} ${e.message}`)) throw e;
+    persona = null;
   }
-});
+  const datos = persona ? datosPadron(persona, cuit) : null;
+  _padronCache.set(cuit, { ts: Date.now(), datos });
+  return datos;
+}
 
-// /paciente_buscar texto
-bot.onText(/^\/paciente_buscar\s+(.+)$/i, async (msg, match) => {
-  const chatId = msg.chat.id;
+// Para facturar a un CUIT: completa nombre, domicilio y condición de IVA con el padrón (si la ficha no los tiene)
+// y los guarda en Pacientes. Devuelve null si se puede emitir o el motivo si no (antes se pasaba a Consumidor Final sin avisar).
+async function verificarCUIT(row, em) {
+  if (String(row.doc_tipo || '').toUpperCase() !== 'CUIT') return null;
+  const cuit = onlyDigits(row.doc_nro);
+  if (!esCUITValido(cuit)) return `El CUIT ${cuit || '(vacío)'} no es válido (dígito verificador). Revisalo: así saldría a Consumidor Final.`;
+  if (!PADRON_ACTIVO) return null;
+  const pac = await getPacientePorDoc(cuit);
+  if (pac?.cond_iva && pac.nombre) return null; // ya consultado (o cargado a mano)
+
+  let datos;
+  try { datos = await consultarPadron(cuit, em); }
+  catch (e) { logError('PADRON', e); return null; } // sin padrón, como siempre
+  if (!datos) return `AFIP no tiene registrado el CUIT ${cuit}. Revisalo: así saldría a Consumidor Final.`;
+
+  row.cliente_nombre = row.cliente_nombre || datos.nombre;
+  row.domicilio = row.domicilio || datos.domicilio;
+  row.cond_iva = row.cond_iva || datos.cond_iva;
   try {
-    const q = match[1];
-    const res = await buscarPacientes(q);
-    if (!res.length) {
-      await sendTgMessage(chatId, 'Sin resultados. Probá con parte del nombre o el número de documento.');
-      return;
+    await upsertPaciente({
+      nombre: pac?.nombre || row.cliente_nombre,
+      doc_tipo: 'CUIT',
+      doc_nro: cuit,
+      domicilio: pac?.domicilio || datos.domicilio,
+      cond_iva: pac?.cond_iva || (datos.cond_iva ? COND_IVA_LABELS[datos.cond_iva] : '')
+    });
+  } catch (e) { logError('PADRON_PACIENTE', e); }
+  return null;
+}
+
+// ====== RECONCILIACIÓN (AFIP autorizó pero la respuesta no llegó) ======
+const RECONCILIAR_MAX = Number(process.env.RECONCILIAR_MAX || '20'); // números a revisar hacia atrás
+const AVISO_RECONCILIAR = '\nNo lo vuelvas a escribir: si AFIP llegó a autorizarla, /reconciliar la recupera; si no, reintentala desde /pendientes.';
+
+// Timeouts y errores de red: la solicitud pudo haber llegado a AFIP igual
+function esErrorTransitorio(e) {
+  const txt = `${humanError(e)} ${e?.code || ''}`;
+  return /timeout|ETIMEDOUT|ECONNRESET|ECONNREFUSED|ECONNABORTED|EAI_AGAIN|ENOTFOUND|socket hang up|network|status code 50[234]/i.test(txt);
+}
+// "20261019" → "2026-10-19"
+function afipDateToISO(d) {
+  const s = String(d || '');
+  return s.length === 8 ? `${s.slice(0,4)}-${s.slice(4,6)}-${s.slice(6,8)}` : s;
+}
+// Busca en AFIP un comprobante autorizado que coincida con la fila (doc, total y fecha).
+// Solo revisa números que no figuran en la planilla; cache evita repetir consultas en lote.
+async function buscarComprobanteAutorizado(row, rows, cache = new Map()) {
+  const { ElectronicBilling } = afipDe(emisorDe(row));
+  const norm = normalizarReceptor(row);
+  const pv = Number(norm.pto_vta), tipo = Number(norm.cbte_tipo);
+  const esMisma = r => (row.id && r.id === row.id) || (row.rowIndex && r.rowIndex === row.rowIndex);
+  const usados = new Set(rows
+    .filter(r => !esMisma(r) && r.pto_vta === pv && r.cbte_tipo === tipo && r.voucher_number)
+    .map(r => r.voucher_number));
+
+  const last = await withTimeout(ElectronicBilling.getLastVoucher(pv, tipo), AFIP_TIMEOUT_MS, 'AFIP getLastVoucher');
+  let revisados = 0;
+  for (let n = Number(last); n >= 1 && revisados < RECONCILIAR_MAX; n--) {
+    if (usados.has(n)) continue;
+    revisados++;
+    const key = `${pv}-${tipo}-${n}`;
+    if (!cache.has(key)) {
+      cache.set(key, await withTimeout(ElectronicBilling.getVoucherInfo(n, pv, tipo), AFIP_TIMEOUT_MS, 'AFIP getVoucherInfo'));
     }
-    const keyboard = res.map(c => [{ text: `${c.nombre} (${c.doc_tipo} ${c.doc_nro})`, callback_data: 'use:' + c.doc_nro }]);
-    await bot.sendMessage(chatId, 'Elegí un paciente:', { reply_markup: { inline_keyboard: keyboard } });
+    const info = cache.get(key);
+    if (!info || info.Resultado === 'R') continue;
+    const coincide = Number(info.DocTipo) === docTipoCodeFromRow(norm)
+      && Number(info.DocNro) === Number(norm.doc_nro)
+      && Math.abs(Number(info.ImpTotal) - Number(norm.total)) < 0.01
+      && (info.MonId || 'PES') === (norm.moneda || 'PES')
+      && String(info.CbteFch) === toYYYYMMDD(norm.fecha);
+    if (coincide) {
+      norm.cotizacion = Number(info.MonCotiz) || norm.cotizacion;
+      return { CAE: String(info.CodAutorizacion), CAEFchVto: afipDateToISO(info.FchVto), voucher_number: n, cotizacion: norm.cotizacion, norm };
+    }
+  }
+  return null;
+}
+// Emite; ante timeout o error de red consulta AFIP antes de dar la emisión por fallida
+async function emitirConReconciliacion(row) {
+  try {
+    return await emitirFactura(row);
   } catch (e) {
-    await sendTgMessage(chatId, '❌ Error buscando: ' + humanError(e));
+    if (!esErrorTransitorio(e)) throw e;
+    logError('AFIP_RECONCILIAR', e);
+    let found = null;
+    try { found = await enColaAfip(emisorDe(row), async () => buscarComprobanteAutorizado(row, await getFacturasRows(emisorDe(row)))); }
+    catch (e2) { logError('AFIP_RECONCILIAR', e2); }
+    if (found) return { ...found, reconciliado: true };
+    throw e;
   }
-});
+}
 
-// /paciente_usar NNNNN
-bot.onText(/^\/paciente_usar\s+(.+)$/i, async (msg, match) => {
-  const chatId = msg.chat.id;
-  const doc = match[1].replace(/\D/g, '');
-  const pac = await getPacientePorDoc(doc);
-  if (!pac) { await sendTgMessage(chatId, 'No encontré ese documento en Pacientes.'); return; }
-  activePatientByChat.set(chatId, pac);
-  await sendTgMessage(chatId, `✅ Paciente activo: ${pac.nombre} (${pac.doc_tipo} ${pac.doc_nro})`);
-});
+// ====== MAIL (PDF al paciente por SMTP) ======
+let _mailer = null;
+function getMailer() {
+  if (!SMTP_HOST) return null;
+  if (!_mailer) {
+    _mailer = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+      connectionTimeout: MAIL_TIMEOUT_MS
+    });
+  }
+  return _mailer;
+}
+const esEmailValido = s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || '').trim());
 
-// /paciente_actual
-bot.onText(/^\/paciente_actual$/i, async (msg) => {
-  const chatId = msg.chat.id;
-  const pac = activePatientByChat.get(chatId);
-  if (!pac) { await sendTgMessage(chatId, 'No hay paciente activo. Usá /paciente_buscar o /paciente_usar.'); return; }
-  await sendTgMessage(chatId, `Paciente activo: ${pac.nombre}\nDoc: ${pac.doc_tipo} ${pac.doc_nro}\nDomicilio: ${pac.domicilio || '-'}`);
-});
+// Reemplaza {campo} por su valor; los desconocidos quedan como están
+function renderPlantilla(tpl, vars) {
+  return String(tpl).replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m));
+}
+function varsMail(row, result) {
+  return {
+    nombre: row.cliente_nombre || 'paciente',
+    comprobante: cbteNombre(row.cbte_tipo),
+    numero: formatNroCbte(row.pto_vta, result.voucher_number),
+    cae: result.CAE,
+    cae_vto: result.CAEFchVto,
+    total: formatMonto(row.total, row.moneda),
+    fecha: row.fecha,
+    emisor: emisorDe(row).nombre
+  };
+}
+async function enviarMailPDF({ to, row, result, pdfInfo }) {
+  const mailer = getMailer();
+  if (!mailer) throw new Error('Falta configurar SMTP_HOST');
+  const vars = varsMail(row, result);
+  return withTimeout(mailer.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject: renderPlantilla(MAIL_SUBJECT, vars),
+    text: renderPlantilla(MAIL_BODY, vars),
+    attachments: [{ filename: pdfInfo.fileName, path: pdfInfo.filePath, contentType: 'application/pdf' }]
+  }), MAIL_TIMEOUT_MS, 'SMTP sendMail');
+}
+// Manda el PDF al mail del paciente (o a "to"), avisa por Telegram y deja el resultado en la fila
+async function mailComprobante(chatId, row, result, pdfInfo, to) {
+  let email = to || row.email;
+  if (!email && row.doc_nro) {
+    try { email = (await getPacientePorDoc(row.doc_nro))?.email; }
+    catch (e) { logError('MAIL_PACIENTE', e); }
+  }
+  let estado, detalle;
+  if (!esEmailValido(email)) {
+    estado = 'SIN_EMAIL';
+    detalle = email ? `Mail inválido: ${email}` : '';
+    if (chatId) {
+      await sendTgMessage(chatId, `✉️ No mandé el mail: ${email ? `"${email}" no es válido` : 'el paciente no tiene mail'}. Cargalo con /paciente_email ${onlyDigits(row.doc_nro) || 'DNI'} correo@ejemplo.com`);
+    }
+  } else {
+    try {
+      await enviarMailPDF({ to: email, row, result, pdfInfo });
+      estado = 'ENVIADO';
+      detalle = `${email} ${new Date().toISOString()}`;
+      if (chatId) await sendTgMessage(chatId, `📧 Enviado por mail a ${email}`);
+    } catch (e) {
+      estado = 'ERROR';
+      detalle = `${email}: ${logError('MAIL', e)}`;
+      if (chatId) await sendTgMessage(chatId, `⚠️ No pude mandar el mail a ${email}: ${humanError(e)}`);
+    }
+  }
+  if (row.id || row.rowIndex) {
+    try { await updateRowMail(row, { estado, detalle }); }
+    catch (e) { logError('SHEETS_MAIL', e); }
+  }
+  return estado;
+}
 
-// Botones inline: seleccionar paciente
-bot.on('callback_query', async (cbq) => {
+// ====== ENTREGA: PDF → Telegram → Drive → Mail ======
+// En lote no manda nada al chat (los PDF van juntos en un ZIP al final): solo devuelve el PDF
+async function entregarComprobante(chatId, row, result, { enLote = false } = {}) {
+  const avisar = enLote ? async () => {} : txt => sendTgMessage(chatId, txt);
+  // PDF y envío (con timeout global)
+  let pdfInfo;
   try {
-    const chatId = cbq.message.chat.id;
-    if (cbq.data?.startsWith('use:')) {
-      const doc = cbq.data.slice(4).replace(/\D/g, '');
-      const pac = await getPacientePorDoc(doc);
-      if (!pac) { await bot.answerCallbackQuery(cbq.id, { text: 'No encontré el paciente.' }); return; }
-      activePatientByChat.set(chatId, pac);
-      await bot.answerCallbackQuery(cbq.id, { text: 'Paciente seleccionado ✅' });
-      await bot.sendMessage(chatId, `Paciente activo: ${pac.nombre} (${pac.doc_tipo} ${pac.doc_nro})`);
+    pdfInfo = await withTimeout(generarPDF({ row, result }), PDF_TIMEOUT_MS, 'PDF build');
+    if (!enLote) {
+      await sendTgDocument(
+        chatId,
+        pdfInfo.filePath,
+        { caption: `${cbteNombre(row.cbte_tipo)} ${formatNroCbte(row.pto_vta, result.voucher_number)} | CAE ${result.CAE}` }
+      );
     }
   } catch (e) {
-    console.error('callback_query', e);
+    logError('PDF', e);
+    await avisar('⚠️ El comprobante salió pero no pude adjuntar el PDF.');
+  }
+
+  // Drive (opcional, en la carpeta del emisor)
+  const em = emisorDe(row);
+  let driveLink = '';
+  if (em.drive_folder_id) {
+    await avisar('☁️ Subiendo copia a Drive…');
+    try {
+      const driveFile = await withTimeout(subirPDFaDrive(pdfInfo || {}, em), DRIVE_TIMEOUT_MS, 'Drive upload wrapper');
+      driveLink = driveFile?.webViewLink || '';
+      if (driveFile?.webViewLink) {
+        await avisar(`📄 Guardé una copia en Drive: ${driveFile.webViewLink}`);
+      } else {
+        await avisar('⚠️ Subí el archivo pero no recibí link (revisá permisos de la carpeta).');
+      }
+    } catch (e) {
+      if (enLote) logError('DRIVE_LOTE', e);
+      await avisar('⚠️ No pude subir a Drive: ' + humanError(e));
+    }
+  }
+
+  // Nombre del PDF y link de Drive en la fila del comprobante
+  if (row.id && pdfInfo) {
+    try { await updateRowArchivo(row, { fileName: pdfInfo.fileName, driveLink }); }
+    catch (e) { logError('SHEETS_ARCHIVO', e); }
+  }
+
+  // Mail al paciente: según lo que prefiere (columna Entrega de Pacientes) o, si no dice, MAIL_AUTO
+  let entrega = null;
+  if (pdfInfo && row.doc_nro) {
+    try { entrega = parseEntrega((await getPacientePorDoc(row.doc_nro))?.entrega); }
+    catch (e) { logError('ENTREGA_PACIENTE', e); }
+  }
+  if (pdfInfo && (entrega === 'email' || (!entrega && MAIL_AUTO))) {
+    if (getMailer()) await mailComprobante(enLote ? null : chatId, row, result, pdfInfo);
+    else if (entrega === 'email') await avisar('✉️ El paciente prefiere recibirla por mail pero falta configurar SMTP_HOST.');
+  }
+  return pdfInfo;
+}
+
+// ====== BÚSQUEDA DE FACTURAS (comandos con número) ======
+// "0001-00000123" (o "B 0001-00000123") → la factura de la planilla; si no hay una sola, avisa y devuelve null
+async function resolverFactura(chatId, ref, rows) {
+  const nro = parseNroCbte(ref);
+  if (!nro) { await sendTgMessage(chatId, 'Número inválido. Usá el formato 0001-00000123.'); return null; }
+  const nroTxt = formatNroCbte(nro.pto_vta, nro.nro);
+  const encontradas = await buscarFacturasPorNumero(nro, rows);
+  if (!encontradas.length) { await sendTgMessage(chatId, `No encontré la factura ${nroTxt} en la planilla.`); return null; }
+  if (encontradas.length > 1) {
+    const letras = [...new Set(encontradas.map(f => cbteLetra(f.cbte_tipo)))].join(' y ');
+    await sendTgMessage(chatId, `Hay más de una factura ${nroTxt} (${letras}). Indicá la letra, por ej.: B ${nroTxt}`);
+    return null;
+  }
+  return encontradas[0];
+}
+
+// ====== REIMPRESIÓN (PDF de un comprobante ya emitido) ======
+const DOC_TIPO_POR_CODIGO = { 80: 'CUIT', 96: 'DNI', 99: 'CF' };
+
+// Datos autorizados por AFIP (FECompConsultar) sobre la fila; diffs = campos de la planilla que no coincidían
+async function datosDesdeAfip(f) {
+  const info = await withTimeout(
+    afipDe(emisorDe(f)).ElectronicBilling.getVoucherInfo(f.voucher_number, f.pto_vta, f.cbte_tipo),
+    AFIP_TIMEOUT_MS, 'AFIP getVoucherInfo'
+  );
+  if (!info) throw new Error(`AFIP no tiene el comprobante ${formatNroCbte(f.pto_vta, f.voucher_number)}`);
+  const afipRow = {
+    CAE: String(info.CodAutorizacion),
+    CAEFchVto: afipDateToISO(info.FchVto),
+    fecha: afipDateToISO(info.CbteFch),
+    total: Number(info.ImpTotal),
+    doc_tipo: DOC_TIPO_POR_CODIGO[info.DocTipo] || f.doc_tipo,
+    doc_nro: String(info.DocNro),
+    ...(info.FchServDesde ? { fch_serv_desde: afipDateToISO(info.FchServDesde), fch_serv_hasta: afipDateToISO(info.FchServHasta) } : {}),
+    ...(info.FchVtoPago ? { fch_vto_pago: afipDateToISO(info.FchVtoPago) } : {}),
+    moneda: info.MonId || f.moneda || 'PES',
+    cotizacion: Number(info.MonCotiz) || f.cotizacion
+  };
+  const norm = normalizarReceptor(f);
+  const diffs = [];
+  if (String(f.CAE || '') !== afipRow.CAE) diffs.push('CAE');
+  if (f.CAEFchVto !== afipRow.CAEFchVto) diffs.push('vto. CAE');
+  if (f.fecha !== afipRow.fecha) diffs.push('fecha');
+  if (Math.abs(Number(f.total) - afipRow.total) > 0.01) diffs.push('total');
+  if (norm.doc_tipo !== afipRow.doc_tipo || onlyDigits(norm.doc_nro) !== onlyDigits(afipRow.doc_nro)) diffs.push('documento');
+  if ((f.moneda || 'PES') !== afipRow.moneda) diffs.push('moneda');
+  else if (afipRow.moneda !== 'PES' && Math.abs(Number(f.cotizacion) - afipRow.cotizacion) > 0.000001) diffs.push('cotización');
+  if (afipRow.doc_tipo === 'CF') { afipRow.doc_tipo = f.doc_tipo; afipRow.doc_nro = f.doc_nro; } // CF: lo que haya en la fila
+  return { row: { ...f, ...afipRow }, diffs };
+}
+
+// Rearma el PDF desde la fila (y opcionalmente desde AFIP). No toca la planilla.
+async function regenerarPDF(f, { desdeAfip = false } = {}) {
+  if (!f.CAE) throw new Error(`El comprobante no tiene CAE (estado: ${f.estado || '-'})`);
+  const { row, diffs } = desdeAfip ? await datosDesdeAfip(f) : { row: f, diffs: [] };
+  const result = { CAE: row.CAE, CAEFchVto: row.CAEFchVto, voucher_number: row.voucher_number };
+  const pdfInfo = await withTimeout(generarPDF({ row, result }), PDF_TIMEOUT_MS, 'PDF build');
+  return { pdfInfo, row, result, diffs };
+}
+
+// Regenera y manda el PDF por Telegram (con el link de Drive si la fila lo tiene)
+async function reenviarPDF(chatId, f, { desdeAfip = false } = {}) {
+  const { pdfInfo, row, diffs } = await regenerarPDF(f, { desdeAfip });
+  const nroTxt = formatNroCbte(row.pto_vta, row.voucher_number);
+  await sendTgDocument(chatId, pdfInfo.filePath, {
+    caption: `${cbteNombre(row.cbte_tipo)} ${nroTxt} | CAE ${row.CAE}${row.estado === 'ANULADA' ? ' | ANULADA' : ''}`
+  });
+  if (desdeAfip) {
+    await sendTgMessage(chatId, diffs.length
+      ? `⚠️ La planilla no coincide con AFIP en: ${diffs.join(', ')}. El PDF usa los datos autorizados por AFIP.`
+      : '✔️ Datos verificados con AFIP.');
+  }
+  if (f.drive) await sendTgMessage(chatId, `📄 Copia en Drive: ${f.drive}`);
+}
+
+// ====== NOTAS DE CRÉDITO ======
+// NC parcial: el monto repartido entre las alícuotas de la factura en la proporción de sus importes, así el IVA que
+// se acredita es el de la factura. Un renglón por alícuota; el último se queda con el redondeo.
+function itemsNCParcial(f, total, detalle) {
+  const porAlic = new Map();
+  for (const it of itemsDeRow(f)) {
+    const alic = it.iva ?? IVA_ALICUOTA_DEFAULT;
+    porAlic.set(alic, (porAlic.get(alic) || 0) + Number(it.importe));
+  }
+  const bruto = [...porAlic.values()].reduce((acc, v) => acc + v, 0);
+  const partes = [...porAlic];
+  let resto = total;
+  return partes.map(([alic, importe], i) => {
+    const parte = i === partes.length - 1 ? round2(resto) : round2(total * importe / bruto);
+    resto -= parte;
+    return { cant: 1, detalle: partes.length > 1 ? `${detalle} (IVA ${formatAlicuota(alic)})` : detalle, unit: parte, importe: parte, iva: alic };
+  }).filter(it => it.importe > 0);
+}
+// NC de la planilla contra la factura f: las emitidas y las que esperan reintento (/pendientes o /reconciliar las pueden emitir)
+function notasCreditoDe(f, rows, estados = ['EMITIDO', ...ESTADOS_REINTENTABLES]) {
+  return rows.filter(r => estados.includes(r.estado) && r.cbte_asoc
+    && r.cbte_asoc.tipo === f.cbte_tipo && r.cbte_asoc.pto_vta === f.pto_vta && r.cbte_asoc.nro === f.voucher_number);
+}
+// Después de emitir una NC (en el momento, por reintento o con /reconciliar): si deja la factura en cero, la marca ANULADA.
+// rows es la planilla leída antes (la NC puede figurar ahí todavía en ERROR/PENDIENTE). Devuelve la línea para el aviso.
+async function anularSiQuedaEnCero(nc, rows) {
+  const a = nc.cbte_asoc;
+  if (!a || !ES_NOTA_CREDITO.has(Number(nc.cbte_tipo))) return '';
+  const orig = rows.find(r => r.cbte_tipo === a.tipo && r.pto_vta === a.pto_vta && r.voucher_number === a.nro);
+  if (!orig || orig.estado !== 'EMITIDO') return '';
+  const esLaNC = r => r === nc || (nc.id && r.id === nc.id) || (nc.rowIndex && r.rowIndex === nc.rowIndex);
+  const acreditado = notasCreditoDe(orig, rows, ['EMITIDO']).filter(r => !esLaNC(r)).reduce((acc, r) => acc + r.total, 0) + nc.total;
+  if (round2(orig.total - acreditado) > 0) return '';
+  const nroTxt = formatNroCbte(orig.pto_vta, orig.voucher_number);
+  try { await updateRowEstado(orig, 'ANULADA'); }
+  catch (e) { return `\n⚠️ La factura ${nroTxt} quedó en cero pero no pude marcarla ANULADA en tu planilla: ${logError('SHEETS_UPDATE', e)}`; }
+  orig.estado = 'ANULADA';
+  return `\nFactura ${nroTxt} ANULADA`;
+}
+// Emite una NC asociada a una factura de la planilla del emisor. Sin monto = anulación total.
+async function emitirNotaCredito(chatId, em, { ref, monto, motivo }) {
+  const rows = await getFacturasRows(em);
+  const orig = await resolverFactura(chatId, ref, rows);
+  if (!orig) return;
+  const nroTxt = formatNroCbte(orig.pto_vta, orig.voucher_number);
+  if (orig.estado === 'ANULADA') { await sendTgMessage(chatId, `La factura ${nroTxt} ya está anulada.`); return; }
+  if (orig.estado !== 'EMITIDO') { await sendTgMessage(chatId, `La factura ${nroTxt} no está emitida (estado: ${orig.estado || '-'}).`); return; }
+
+  // Saldo = total de la factura menos sus NC, también las que esperan reintento: si no, al reintentarlas se acreditaría de más
+  const previas = notasCreditoDe(orig, rows);
+  const saldo = round2(orig.total - previas.reduce((acc, r) => acc + r.total, 0));
+  const total = monto == null ? saldo : round2(monto);
+  if (!(total > 0) || total > saldo) {
+    const enEspera = previas.filter(r => r.estado !== 'EMITIDO').length;
+    await sendTgMessage(chatId, `Monto inválido: tiene que ser mayor a 0 y no superar el saldo de la factura (${formatMonto(saldo, orig.moneda)}).`
+      + (enEspera ? `
+Hay ${enEspera} nota(s) de crédito sin emitir contra esta factura: reintentalas o descartalas desde /pendientes.` : ''));
+    return;
+  }
+
+  const detalle = motivo || `Anulación ${cbteNombre(orig.cbte_tipo)} ${nroTxt}`;
+  const ncRow = {
+    fecha: hoyISO(),
+    cliente_nombre: orig.cliente_nombre,
+    doc_tipo: orig.doc_tipo,
+    doc_nro: String(orig.doc_nro ?? ''),
+    domicilio: orig.domicilio,
+    cond_iva: orig.cond_iva || null,
+    concepto: orig.concepto || 2,
+    detalle,
+    // anulación completa: mismos ítems; parcial: un renglón por alícuota de la factura
+    items: total === orig.total ? orig.items : itemsNCParcial(orig, total, detalle),
+    total,
+    // misma moneda y cotización que la factura: la NC descuenta exactamente lo facturado en pesos
+    moneda: orig.moneda || 'PES',
+    cotizacion: orig.cotizacion || null,
+    emisor: orig.emisor,
+    pto_vta: orig.pto_vta,
+    cbte_tipo: NC_TIPO_POR_FACTURA[orig.cbte_tipo],
+    cbte_asoc: { tipo: orig.cbte_tipo, pto_vta: orig.pto_vta, nro: orig.voucher_number, fecha: orig.fecha }
+  };
+
+  let result, errPlanilla;
+  try {
+    ({ result, errPlanilla } = await emitirComprobante(ncRow, {
+      onAfip: () => sendTgMessage(chatId, `⏳ Emitiendo ${cbteNombre(ncRow.cbte_tipo)} por ${formatMonto(total, ncRow.moneda)} sobre la factura ${nroTxt}…`)
+    }));
+  } catch (e) {
+    if (!e.etapa) throw e;
+    if (e.etapa === 'SHEETS') {
+      const msgErr = logError('SHEETS_APPEND', e);
+      await sendTgMessage(chatId, '❌ No pude guardar el comprobante: ' + msgErr);
+    } else {
+      const msgErr = logError('AFIP_NC', e);
+      await sendTgMessage(chatId, '❌ Error en AFIP: ' + msgErr + avisoErrorAfip(e, ncRow, chatId));
+    }
+    return;
+  }
+
+  await entregarComprobante(chatId, result.norm || ncRow, result);
+
+  const anulada = errPlanilla ? '' : await anularSiQuedaEnCero(ncRow, rows);
+
+  await sendTgMessage(chatId, `✅ ${cbteNombre(ncRow.cbte_tipo)} emitida\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}\nNro: ${result.voucher_number}`
+    + anulada
+    + (errPlanilla ? `\n⚠️ No pude escribir el resultado en tu planilla: ${errPlanilla}` : ''));
+}
+
+// ====== RECIBOS (Recibo C: pagos recibidos) ======
+// Lo que falta cobrar de una factura: su total menos las NC emitidas contra ella y lo que ya le aplicaron otros recibos
+function saldoACobrar(f, rows) {
+  const esEsta = a => a.tipo === f.cbte_tipo && a.pto_vta === f.pto_vta && a.nro === f.voucher_number;
+  let descontado = 0;
+  for (const r of rows) {
+    if (r.estado !== 'EMITIDO') continue;
+    if (r.cbte_asoc && esEsta(r.cbte_asoc)) descontado += r.total;
+    for (const a of r.cbtes_cancelados || []) if (esEsta(a)) descontado += a.importe;
+  }
+  return round2(f.total - descontado);
+}
+// Emite un Recibo C por lo cobrado. Con facturas: lo aplica a cada una en orden, hasta su saldo (sin monto = todo el saldo).
+// Sin facturas (pago a cuenta): el documento o, si no viene, el paciente activo.
+async function emitirRecibo(chatId, em, { refs = [], doc = '', forma_pago, monto, detalle }) {
+  if (em.ri) { await sendTgMessage(chatId, `El Recibo C es para monotributistas: ${em.nombre} emite ${cbteNombre(em.cbte_tipo)}.`); return; }
+  const rows = await getFacturasRows(em);
+  const facturas = [];
+  for (const ref of refs) {
+    const f = await resolverFactura(chatId, ref, rows);
+    if (!f) return;
+    const nroTxt = formatNroCbte(f.pto_vta, f.voucher_number);
+    if (f.estado !== 'EMITIDO') { await sendTgMessage(chatId, `La factura ${nroTxt} no se puede cobrar (estado: ${f.estado || '-'}).`); return; }
+    if (facturas.some(x => x.f === f)) continue;
+    const saldo = saldoACobrar(f, rows);
+    if (!(saldo > 0)) { await sendTgMessage(chatId, `La factura ${nroTxt} ya está cobrada.`); return; }
+    facturas.push({ f, saldo });
+  }
+  if (new Set(facturas.map(x => onlyDigits(x.f.doc_nro))).size > 1) {
+    await sendTgMessage(chatId, 'Esas facturas son de distintos pacientes: hacé un recibo para cada uno.');
+    return;
+  }
+  if (new Set(facturas.map(x => x.f.moneda || 'PES')).size > 1) {
+    await sendTgMessage(chatId, 'Esas facturas están en distintas monedas: hacé un recibo para cada moneda.');
+    return;
+  }
+
+  const moneda = facturas[0]?.f.moneda || 'PES';
+  const saldoTotal = round2(facturas.reduce((acc, x) => acc + x.saldo, 0));
+  const total = monto == null ? saldoTotal : round2(monto);
+  if (!(total > 0)) { await sendTgMessage(chatId, 'Indicá el monto recibido (mayor a 0).'); return; }
+  if (facturas.length && total > saldoTotal) {
+    await sendTgMessage(chatId, `El monto supera lo que falta cobrar de ${facturas.length > 1 ? 'esas facturas' : 'esa factura'} (${formatMonto(saldoTotal, moneda)}).`);
+    return;
+  }
+  const cbtes_cancelados = [];
+  let resto = total;
+  for (const { f, saldo } of facturas) {
+    if (!(resto > 0)) break;
+    const importe = round2(Math.min(saldo, resto));
+    cbtes_cancelados.push({ tipo: f.cbte_tipo, pto_vta: f.pto_vta, nro: f.voucher_number, fecha: f.fecha, importe });
+    resto = round2(resto - importe);
+  }
+
+  // Receptor: el de las facturas o el del documento (completado con Pacientes y el padrón)
+  let row;
+  if (facturas.length) {
+    const f = facturas[0].f;
+    row = { cliente_nombre: f.cliente_nombre, doc_tipo: f.doc_tipo, doc_nro: String(f.doc_nro ?? ''), domicilio: f.domicilio, cond_iva: f.cond_iva || null };
+  } else {
+    const m = doc.match(/^(?:(DNI|CUIT)\s*)?(\d[\d.\-\s]*)$/i);
+    if (doc && !m) { await sendTgMessage(chatId, `No entiendo "${doc}": poné números de factura (0001-00000123) o DNI/CUIT.`); return; }
+    const nro = m ? onlyDigits(m[2]) : '';
+    row = await completarPaciente(nro ? { doc_tipo: (m[1] || (nro.length === 11 ? 'CUIT' : 'DNI')).toUpperCase(), doc_nro: nro } : {}, chatId);
+    if (!row.doc_nro) { await sendTgMessage(chatId, 'Sin facturas, indicá el DNI o CUIT de quien pagó (o elegí un paciente con /paciente_usar).'); return; }
+    const errCuit = await verificarCUIT(asignarEmisor(row, em), em);
+    if (errCuit) { await sendTgMessage(chatId, `⚠️ ${errCuit}`); return; }
+  }
+  const asociadas = cbtes_cancelados.map(a => `${cbteNombre(a.tipo)} ${formatNroCbte(a.pto_vta, a.nro)}`);
+  Object.assign(asignarEmisor(row, em), {
+    fecha: hoyISO(),
+    concepto: facturas[0]?.f.concepto || 2,
+    detalle: detalle || (asociadas.length ? `Cobro ${asociadas.join(', ')}` : 'Pago a cuenta'),
+    items: null,
+    total,
+    moneda,
+    cotizacion: moneda === 'PES' ? 1 : null, // moneda extranjera: la cotización del día del cobro (AFIP)
+    cbte_tipo: RECIBO_C,
+    forma_pago,
+    cbtes_cancelados
+  });
+
+  let result, errPlanilla;
+  try {
+    ({ result, errPlanilla } = await emitirComprobante(row, {
+      onAfip: () => sendTgMessage(chatId, `⏳ Emitiendo ${cbteNombre(RECIBO_C)} por ${formatMonto(total, moneda)}${asociadas.length ? ` (${asociadas.join(', ')})` : ''}…`)
+    }));
+  } catch (e) {
+    if (!e.etapa) throw e;
+    if (e.etapa === 'SHEETS') {
+      const msgErr = logError('SHEETS_APPEND', e);
+      await sendTgMessage(chatId, '❌ No pude guardar el comprobante: ' + msgErr);
+    } else {
+      const msgErr = logError('AFIP_RECIBO', e);
+      await sendTgMessage(chatId, '❌ Error en AFIP: ' + msgErr + avisoErrorAfip(e, row, chatId));
+    }
+    return;
+  }
+
+  await entregarComprobante(chatId, result.norm || row, result);
+
+  const pendiente = round2(saldoTotal - total);
+  await sendTgMessage(chatId, `✅ ${cbteNombre(RECIBO_C)} emitido\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}\nNro: ${result.voucher_number}\nForma de pago: ${forma_pago}`
+    + cbtes_cancelados.map(a => `\nCancela ${formatNroCbte(a.pto_vta, a.nro)}: ${formatMonto(a.importe, moneda)}`).join('')
+    + (facturas.length && pendiente > 0 ? `\nQueda por cobrar: ${formatMonto(pendiente, moneda)}` : '')
+    + (errPlanilla ? `\n⚠️ No pude escribir el resultado en tu planilla: ${errPlanilla}` : ''));
+}
+
+// ====== PIPELINE DE EMISIÓN (Telegram y API) ======
+// Planilla (PENDIENTE) → AFIP → planilla (EMITIDO/ERROR). Los errores salen con err.etapa
+// (SHEETS | AFIP | EN_CURSO) para que cada canal responda a su manera; el PDF queda a cargo de quien llama.
+async function emitirComprobante(row, { onAfip } = {}) {
+  completarFechas(row);
+  try { await appendRow(row); }
+  catch (e) { e.etapa = 'SHEETS'; throw e; }
+
+  if (onAfip) await onAfip();
+  return emitirFila(row);
+}
+
+// Filas con una emisión en marcha en este proceso (emisor + ID o número de fila): nunca dos a la vez
+const emisionesEnCurso = new Set();
+const claveEmision = r => `${emisorDe(r).id}:${r.id || r.rowIndex}`;
+
+// AFIP → planilla para una fila ya guardada. Con reintento: antes de emitir mira si AFIP ya la
+// autorizó (con su fecha original) y, si no, la emite con fecha de hoy (y el vencimiento, si quedó atrás).
+async function emitirFila(row, { reintento = false, rows } = {}) {
+  const em = emisorDe(row);
+  const key = claveEmision(row);
+  if (emisionesEnCurso.has(key)) {
+    const e = new Error('Ese comprobante ya se está emitiendo');
+    e.etapa = 'EN_CURSO';
+    throw e;
+  }
+  emisionesEnCurso.add(key);
+  try {
+    let result;
+    try {
+      if (reintento) {
+        const found = await enColaAfip(em, async () => buscarComprobanteAutorizado(row, rows || await getFacturasRows(em)));
+        if (found) result = { ...found, reconciliado: true };
+        const hoy = hoyISO();
+        if (!found && row.fecha !== hoy) {
+          const campos = { fecha: hoy };
+          if (row.fch_vto_pago && row.fch_vto_pago < hoy) campos.fch_vto_pago = hoy;
+          Object.assign(row, campos);
+          await actualizarFila(row, campos);
+        }
+      }
+      if (!result) result = await emitirConReconciliacion(row);
+    } catch (e) {
+      try { await markRowError(row, 'AFIP: ' + humanError(e)); }
+      catch (e2) { logError('SHEETS_MARK_ERROR', e2); }
+      e.etapa = 'AFIP';
+      throw e;
+    }
+
+    // La factura ya salió: si la planilla falla se informa como aviso, no como error
+    let errPlanilla = null;
+    try { await updateRowWithResult(row, result); }
+    catch (e) { errPlanilla = logError('SHEETS_UPDATE', e); }
+    return { result, errPlanilla };
+  } finally {
+    emisionesEnCurso.delete(key);
+  }
+}
+
+// ====== REINTENTOS (filas en ERROR / PENDIENTE) ======
+const ESTADOS_REINTENTABLES = ['ERROR', 'PENDIENTE'];
+
+// Aviso a un chat; sin chat (API) va a los admins semilla
+async function avisarChatOAdmins(chatId, text) {
+  for (const id of chatId ? [chatId] : adminsSemilla()) await sendTgMessage(id, text);
+}
+// "MVFN7P7U-0F8A74" (ID) | "12" (número de fila, filas viejas sin ID)
+function parseRefFila(str) {
+  return /^\d+$/.test(String(str)) ? Number(str) : String(str);
+}
+function etiquetaFila(r) {
+  return `${r.cliente_nombre || r.doc_nro || '-'} · ${r.detalle || ''} · ${formatMonto(r.total, r.moneda)}`;
+}
+async function pendientesDeEmision(em) {
+  return (await getFacturasRows(em)).filter(r => ESTADOS_REINTENTABLES.includes(r.estado));
+}
+
+// Vuelve a emitir ESA fila (no agrega otra)
+async function reintentarFila(em, ref) {
+  const rows = await getFacturasRows(em);
+  const row = rows.find(r => (r.id || r.rowIndex) === ref);
+  if (!row) throw new Error('No encontré ese comprobante en la planilla');
+  if (!ESTADOS_REINTENTABLES.includes(row.estado)) throw new Error(`Ese comprobante ya está ${row.estado}`);
+  // Nota de crédito leída de la planilla: falta la fecha de la factura asociada
+  if (row.cbte_asoc && !row.cbte_asoc.fecha) {
+    const a = row.cbte_asoc;
+    row.cbte_asoc.fecha = rows.find(r => r.cbte_tipo === a.tipo && r.pto_vta === a.pto_vta && r.voucher_number === a.nro)?.fecha;
+  }
+  for (const a of row.cbtes_cancelados || []) { // recibo: lo mismo con cada factura que cancela
+    a.fecha = a.fecha || rows.find(r => r.cbte_tipo === a.tipo && r.pto_vta === a.pto_vta && r.voucher_number === a.nro)?.fecha;
+  }
+  const { result, errPlanilla } = await emitirFila(row, { reintento: true, rows });
+  return { row, rows, result, errPlanilla };
+}
+// Reintenta, entrega el PDF y avisa. Devuelve { ok, transitorio }
+async function reintentarYEntregar(chatId, em, ref) {
+  try {
+    const { row, rows, result, errPlanilla } = await reintentarFila(em, ref);
+    await avisarChatOAdmins(chatId, `🔁 Reintento OK: ${etiquetaFila(row)}`
+      + (result.reconciliado ? '\n🔎 AFIP ya lo tenía autorizado: lo registro sin volver a emitir.' : ''));
+    if (chatId) await entregarComprobante(chatId, result.norm || row, result);
+    await avisarChatOAdmins(chatId, `✅ ${cbteNombre(row.cbte_tipo)} ${formatNroCbte(row.pto_vta, result.voucher_number)}\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}`
+      + (errPlanilla ? `\n⚠️ No pude escribir el resultado en tu planilla: ${errPlanilla}` : await anularSiQuedaEnCero(row, rows)));
+    if (!errPlanilla && !ES_NOTA_CREDITO.has(row.cbte_tipo)) await avisarTopeMonotributo(chatId, em, totalEnPesos(result.norm || row));
+    return { ok: true };
+  } catch (e) {
+    const msgErr = logError('REINTENTO', e);
+    if (e.etapa !== 'EN_CURSO') await avisarChatOAdmins(chatId, `❌ Reintento fallido: ${msgErr}`);
+    return { ok: false, transitorio: e.etapa === 'AFIP' && esErrorTransitorio(e) };
+  }
+}
+
+// Marca la fila como DESCARTADA (queda en la planilla, pero fuera de /pendientes y de los totales)
+async function descartarFila(em, ref) {
+  const row = (await getFacturasRows(em)).find(r => (r.id || r.rowIndex) === ref);
+  if (!row) throw new Error('No encontré ese comprobante en la planilla');
+  if (!ESTADOS_REINTENTABLES.includes(row.estado)) throw new Error(`Ese comprobante ya está ${row.estado}`);
+  if (emisionesEnCurso.has(claveEmision(row))) throw new Error('Ese comprobante se está emitiendo ahora');
+  await updateRowEstado(row, 'DESCARTADA');
+  return row;
+}
+
+// AFIP responde pero alguno de sus servidores no está OK
+async function afipCaido(em) {
+  try {
+    const st = await withTimeout(afipDe(em).ElectronicBilling.getServerStatus(), 8000, 'AFIP status');
+    return ['AppServer', 'DbServer', 'AuthServer'].some(k => st?.[k] && st[k] !== 'OK');
+  } catch (e) {
+    return esErrorTransitorio(e);
+  }
+}
+// Reintento automático de la fila con espera creciente (REINTENTO_BASE_MS, x2, x4…). false si ya no quedan intentos.
+function programarReintentoAuto(row, chatId, intento = 1) {
+  const ref = row?.id || row?.rowIndex;
+  if (!ref || intento > REINTENTOS_AUTO) return false;
+  const em = emisorDe(row);
+  const espera = REINTENTO_BASE_MS * 2 ** (intento - 1);
+  setTimeout(async () => {
+    let r = { ok: false, transitorio: true };
+    if (!(await afipCaido(em))) r = await reintentarYEntregar(chatId, em, ref);
+    if (r.ok || !r.transitorio) return;
+    if (!programarReintentoAuto(row, chatId, intento + 1)) {
+      await avisarChatOAdmins(chatId, `⚠️ Después de ${REINTENTOS_AUTO} reintentos automáticos el comprobante sigue sin emitirse. Revisalo con /pendientes`);
+    }
+  }, espera);
+  return espera;
+}
+// Texto para el usuario tras un error de AFIP en una emisión nueva
+function avisoErrorAfip(e, row, chatId) {
+  if (!esErrorTransitorio(e)) return '';
+  const espera = programarReintentoAuto(row, chatId);
+  return espera
+    ? `\n🔁 Lo reintento automáticamente en ${Math.round(espera / 60000) || 1} min (antes verifico si AFIP ya lo autorizó).`
+    : AVISO_RECONCILIAR;
+}
+
+// ====== EMISIÓN DESDE EL CHAT (mensaje de una línea o asistente) ======
+// Planilla (PENDIENTE) → AFIP (con timeout; si no responde, verifica si igual autorizó) → planilla → PDF
+async function emitirDesdeChat(chatId, row) {
+  // Watchdog: si en 35s no se resolvió, avisamos
+  let finished = false;
+  const watchdog = setTimeout(async () => {
+    if (!finished) {
+      await sendTgMessage(chatId, '⚠️ Se está demorando más de lo normal. Podés reintentar en unos minutos. Si vuelve a pasar, mirá Logs en Render.');
+    }
+  }, 35000);
+
+  try {
+    let result, errPlanilla;
+    try {
+      ({ result, errPlanilla } = await emitirComprobante(row, {
+        onAfip: async () => {
+          await sendTgMessage(chatId, '⏳ Recibí los datos. Estoy emitiendo la factura…');
+          await sendTgMessage(chatId, '➡️ Enviando solicitud a AFIP…');
+        }
+      }));
+    } catch (e) {
+      if (!e.etapa) throw e;
+      if (e.etapa === 'SHEETS') {
+        const msgErr = logError('SHEETS_APPEND', e);
+        await sendTgMessage(chatId, '❌ No pude guardar el comprobante: ' + msgErr);
+      } else {
+        const msgErr = logError('AFIP_EMITIR', e);
+        await sendTgMessage(chatId, '❌ Error en AFIP: ' + msgErr + avisoErrorAfip(e, row, chatId));
+      }
+      return;
+    }
+
+    if (result.reconciliado) {
+      await sendTgMessage(chatId, `🔎 AFIP tardó en responder, pero el comprobante ya estaba autorizado (Nro ${result.voucher_number}). Lo registro sin volver a emitir.`);
+    }
+    await sendTgMessage(chatId, `🧾 AFIP respondió. Generando PDF… (CAE ${result.CAE})`);
+
+    // PDF, envío y Drive (opcional)
+    const norm = result.norm || row;
+    await entregarComprobante(chatId, norm, result);
+
+    await sendTgMessage(chatId, `✅ Factura emitida\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}\nNro: ${result.voucher_number}`
+      + `\nPaciente: ${etiquetaPaciente({ nombre: norm.cliente_nombre, doc_tipo: norm.doc_tipo, doc_nro: norm.doc_nro })}${row.desde_paciente_activo ? ' (paciente activo)' : ''}`
+      + (EMISORES.length > 1 ? `\nEmisor: ${emisorDe(row).nombre}` : '')
+      + (norm.moneda === 'DOL' ? `\nTotal: ${formatMonto(norm.total, 'DOL')} · cotización ${formatARS(norm.cotizacion)} = ${formatARS(totalEnPesos(norm))}` : '')
+      + (errPlanilla ? `\n⚠️ No pude escribir el resultado en tu planilla: ${errPlanilla}` : ''));
+    finished = true; clearTimeout(watchdog);
+    await registrarUltimaFactura(chatId, norm, result);
+
+    // Monotributo: aviso si cruzó el 80% / 100% del tope
+    if (!errPlanilla) await avisarTopeMonotributo(chatId, emisorDe(norm), totalEnPesos(norm));
+  } finally {
+    finished = true;
+    clearTimeout(watchdog);
+  }
+}
+
+// ====== VISTA PREVIA Y CONFIRMACIÓN ======
+// Mensajes de una línea: a partir de este total (en pesos) se muestra la vista previa y se pide confirmar. 0 = nunca
+const CONFIRMAR_DESDE = Number(process.env.CONFIRMAR_DESDE || '0');
+// Asistente /facturar o factura esperando confirmación: va en la sesión del chat y vence a los SESION_TTL_MS
+async function asistenteDe(chatId) {
+  const s = await sesionChat(chatId);
+  if (s.asistente && Date.now() - s.asistente.ts > SESION_TTL_MS) {
+    s.asistente = null;
+    persistirSesion(s);
+  }
+  return s.asistente;
+}
+async function guardarAsistente(chatId, a) {
+  const s = await sesionChat(chatId);
+  a.ts = Date.now();
+  s.asistente = a;
+  persistirSesion(s);
+  return a;
+}
+// true si lo descartó; con `esperado`, solo si sigue siendo ese (dos clicks en Confirmar no emiten dos veces)
+async function terminarAsistente(chatId, esperado) {
+  const s = await sesionChat(chatId);
+  if (!s.asistente || (esperado && s.asistente !== esperado)) return false;
+  s.asistente = null;
+  persistirSesion(s);
+  return true;
+}
+
+// Deja la fila tal cual va a AFIP: tipo, fechas y (en dólares) la cotización de hoy
+async function prepararParaAfip(row) {
+  row.cbte_tipo = tipoFacturaPara(row);
+  completarFechas(row);
+  if (row.moneda && row.moneda !== 'PES' && !row.cotizacion) row.cotizacion = await cotizacionAfip(row.moneda, emisorDe(row));
+  return row;
+}
+async function requiereConfirmacion(row) {
+  if (!(CONFIRMAR_DESDE > 0)) return false;
+  await prepararParaAfip(row);
+  return totalEnPesos(row) >= CONFIRMAR_DESDE;
+}
+
+// Texto de la vista previa: los mismos datos que arma emitirFactura
+function vistaPrevia(row) {
+  const norm = normalizarReceptor(row);
+  const imp = calcularImportes(norm);
+  const fmt = v => formatMonto(v, norm.moneda);
+  const lineas = [
+    '🧾 Vista previa (esto es lo que se envía a AFIP):',
+    ...(EMISORES.length > 1 ? [`Emisor: ${emisorDe(row).nombre}`] : []),
+    `${cbteNombre(norm.cbte_tipo)} · Pto Vta ${String(norm.pto_vta).padStart(4, '0')} · Fecha ${norm.fecha}`,
+    `Receptor: ${row.cliente_nombre || '-'} · ${norm.doc_tipo === 'CF' ? 'Consumidor Final sin identificar' : `${norm.doc_tipo} ${norm.doc_nro}`}`
+      + ` · ${COND_IVA_LABELS[getCondicionIVAReceptorId(norm)] || '-'}${row.desde_paciente_activo ? ' (paciente activo)' : ''}`,
+    `Servicio: ${norm.fch_serv_desde} al ${norm.fch_serv_hasta} · Vto. pago ${norm.fch_vto_pago}`,
+    ...itemsDeRow(norm).map(it => `• ${it.cant} x ${it.detalle} · ${fmt(it.unit)}${it.iva != null ? ` (IVA ${formatAlicuota(it.iva)})` : ''}`)
+  ];
+  if (discriminaIVA(norm.cbte_tipo)) lineas.push(`Neto ${fmt(imp.ImpNeto)} · IVA ${fmt(imp.ImpIVA)}${imp.ImpOpEx ? ` · Exento ${fmt(imp.ImpOpEx)}` : ''}`);
+  lineas.push(`TOTAL: ${fmt(norm.total)}`
+    + (norm.moneda && norm.moneda !== 'PES' ? ` · cotización ${formatARS(norm.cotizacion)} = ${formatARS(totalEnPesos(norm))}` : ''));
+  if (norm.doc_tipo !== String(row.doc_tipo || '').toUpperCase()) lineas.push(`⚠️ El documento ${row.doc_tipo || ''} ${row.doc_nro || ''} no es válido: sale como Consumidor Final.`);
+  return lineas.join('\n');
+}
+async function mostrarVistaPrevia(chatId, s) {
+  s.paso = 'confirmar';
+  s.editando = false;
+  await guardarAsistente(chatId, s);
+  await sendTgMessage(chatId, vistaPrevia(s.row), {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '✅ Confirmar', callback_data: 'fz:ok' }],
+        [{ text: '✏️ Editar', callback_data: 'fz:edit' }, { text: '❌ Cancelar', callback_data: 'fz:no' }]
+      ]
+    }
+  });
+}
+
+// ====== ASISTENTE /facturar (paciente → servicio → monto → período → confirmación) ======
+const PASOS_ASISTENTE = ['paciente', 'servicio', 'monto', 'periodo'];
+const SERVICIOS = String(process.env.SERVICIOS || '').split(',').map(s => s.trim()).filter(Boolean); // sugerencias fijas
+const recortar = (t, n = 40) => (t.length > n ? t.slice(0, n - 1) + '…' : t);
+
+async function iniciarAsistente(chatId, em) {
+  const s = await guardarAsistente(chatId, {
+    paso: 'paciente',
+    row: asignarEmisor({ concepto: 2, moneda: 'PES', cotizacion: 1, items: null }, em),
+    opciones: []
+  });
+  await preguntarPaso(chatId, s);
+}
+
+// Pacientes de las últimas facturas (primero el activo y los últimos facturados desde este chat)
+async function pacientesRecientes(chatId, rows) {
+  const out = [];
+  const activo = await getPacienteActivo(chatId);
+  if (activo?.doc_nro) out.push({ nombre: activo.nombre, doc_tipo: activo.doc_tipo, doc_nro: activo.doc_nro, domicilio: activo.domicilio });
+  for (const u of (await sesionChat(chatId)).ultimas || []) {
+    const doc = onlyDigits(u.doc_nro);
+    if (doc && doc !== '0' && !out.some(p => p.doc_nro === doc)) out.push({ nombre: u.nombre, doc_tipo: u.doc_tipo, doc_nro: doc, domicilio: u.domicilio });
+  }
+  for (const r of [...rows].reverse()) {
+    const doc = onlyDigits(r.doc_nro);
+    if (out.length >= 6) break;
+    if (r.estado === 'EMITIDO' && doc && doc !== '0' && !out.some(p => p.doc_nro === doc)) {
+      out.push({ nombre: r.cliente_nombre, doc_tipo: r.doc_tipo, doc_nro: doc, domicilio: r.domicilio });
+    }
+  }
+  return out;
+}
+// Servicios: el habitual del paciente, los últimos que se le facturaron, después los de cualquiera y los de SERVICIOS
+function serviciosSugeridos(rows, doc, habitual) {
+  const recientes = [...rows].reverse().filter(r => r.estado === 'EMITIDO' && !r.items?.length && r.detalle);
+  const out = [];
+  for (const d of [habitual, ...[...recientes.filter(r => onlyDigits(r.doc_nro) === doc), ...recientes].map(r => r.detalle), ...SERVICIOS]) {
+    if (!d) continue;
+    if (!out.includes(d)) out.push(d);
+    if (out.length >= 8) break;
+  }
+  return out;
+}
+
+// Pregunta del paso actual, con botones de sugerencias (fz:op:<paso>:<índice en s.opciones>)
+async function preguntarPaso(chatId, s) {
+  const rows = ['paciente', 'servicio', 'monto'].includes(s.paso) ? await getFacturasRows(emisorDe(s.row)) : [];
+  const pac = ['servicio', 'monto'].includes(s.paso) && onlyDigits(s.row.doc_nro) ? await getPacientePorDoc(s.row.doc_nro) : null;
+  let texto, botones;
+  if (s.paso === 'paciente') {
+    s.opciones = await pacientesRecientes(chatId, rows);
+    texto = '👤 ¿A quién le facturás? Elegí un paciente o escribí nombre o DNI para buscarlo.';
+    botones = s.opciones.map(p => `${p.nombre || '-'} (${p.doc_nro})`);
+  } else if (s.paso === 'servicio') {
+    s.opciones = serviciosSugeridos(rows, s.row.doc_nro, pac?.detalle);
+    texto = '🩺 ¿Qué servicio? Elegí uno o escribilo (también sirven ítems: 2 x Sesión 12.000; 1 x Evaluación 20.000).';
+    botones = s.opciones.map(d => recortar(d));
+  } else if (s.paso === 'monto') {
+    const previa = [...rows].reverse().find(r => r.estado === 'EMITIDO' && r.detalle === s.row.detalle && onlyDigits(r.doc_nro) === s.row.doc_nro)
+      || [...rows].reverse().find(r => r.estado === 'EMITIDO' && r.detalle === s.row.detalle);
+    const habitual = montoDePaciente(pac);
+    s.opciones = habitual ? [{ total: habitual.total, moneda: habitual.moneda, habitual: true }] : [];
+    if (previa && !(habitual && habitual.total === previa.total && habitual.moneda === (previa.moneda || 'PES'))) {
+      s.opciones.push({ total: previa.total, moneda: previa.moneda || 'PES' });
+    }
+    texto = '💲 ¿Cuánto? Escribí el monto (ej.: 12.000 o USD 150).';
+    botones = s.opciones.map(o => `${formatMonto(o.total, o.moneda)} (${o.habitual ? 'el habitual' : 'como la última vez'})`);
+  } else {
+    const hoy = new Date();
+    const mes = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    s.opciones = [null, mes(hoy), mes(new Date(hoy.getFullYear(), hoy.getMonth() - 1, 1))];
+    texto = '📅 ¿Período del servicio? Elegí una opción o escribilo (ej.: periodo 2026-09 · desde 01/09 hasta 30/09 · vence 10/10).';
+    botones = ['Sin período (fecha de hoy)', `Mes actual (${s.opciones[1]})`, `Mes anterior (${s.opciones[2]})`];
+  }
+  await guardarAsistente(chatId, s);
+  await sendTgMessage(chatId, texto, {
+    reply_markup: {
+      inline_keyboard: [
+        ...botones.map((t, i) => [{ text: t, callback_data: `fz:op:${s.paso}:${i}` }]),
+        [{ text: '❌ Cancelar', callback_data: 'fz:no' }]
+      ]
+    }
+  });
+}
+
+// Aplica la respuesta (botón u texto) al paso actual. Devuelve un mensaje de error o null si avanzó.
+async function aplicarRespuesta(chatId, s, { opcion, texto }) {
+  const row = s.row;
+  if (s.paso === 'paciente') {
+    let pac = opcion ? (await getPacientePorDoc(opcion.doc_nro)) || opcion : null; // sin ficha: datos de su última factura
+    if (!opcion) {
+      const q = String(texto || '').trim();
+      const porDoc = onlyDigits(q).length >= 7 ? await getPacientePorDoc(q) : null;
+      const encontrados = porDoc ? [porDoc] : await buscarPacientes(q);
+      if (!encontrados.length) return 'No encontré ese paciente. Probá con otro nombre o DNI, o guardalo con /paciente_guardar.';
+      if (encontrados.length > 1) {
+        s.opciones = encontrados.slice(0, 8);
+        await guardarAsistente(chatId, s);
+        await sendTgMessage(chatId, 'Encontré varios, elegí uno:', {
+          reply_markup: { inline_keyboard: s.opciones.map((p, i) => [{ text: `${p.nombre} (${p.doc_nro})`, callback_data: `fz:op:paciente:${i}` }]) }
+        });
+        return null;
+      }
+      pac = encontrados[0];
+    }
+    Object.assign(row, {
+      cliente_nombre: pac.nombre, doc_tipo: pac.doc_tipo, doc_nro: pac.doc_nro, domicilio: pac.domicilio || '', email: pac.email || '',
+      cond_iva: parseCondIVA(pac.cond_iva)
+    });
+  } else if (s.paso === 'servicio') {
+    const t = String(opcion ?? texto ?? '').trim();
+    if (!t) return 'Escribí el servicio.';
+    const items = opcion ? null : parseItems(t);
+    if (items) {
+      Object.assign(row, { items, detalle: items.map(it => `${it.cant} x ${it.detalle}`).join('; '), total: round2(items.reduce((acc, it) => acc + it.importe, 0)) });
+      if (!s.editando) s.paso = 'monto'; // con ítems el monto ya está: se saltea
+    } else {
+      Object.assign(row, { items: null, detalle: t });
+      if (s.editando && !(row.total > 0)) s.editando = false;
+    }
+  } else if (s.paso === 'monto') {
+    let total, moneda, cotizacion;
+    if (opcion) ({ total, moneda } = opcion);
+    else {
+      const mon = parseTotalMoneda(texto);
+      if (!mon) return 'No entendí la cotización. Ej.: USD 150 @ 1050';
+      ({ moneda, cotizacion } = mon);
+      total = /^\$?\s*\d[\d.,]*$/.test(String(mon.totalStr).trim()) ? parseMonto(mon.totalStr) : NaN;
+    }
+    if (!(total > 0)) return 'No entendí el monto. Escribilo así: 12.000 o 12000,50 (o USD 150).';
+    Object.assign(row, { total: round2(total), moneda: moneda || 'PES', cotizacion: moneda === 'DOL' ? (cotizacion || null) : 1 });
+    row.items = null; // monto a mano: un solo renglón
+  } else if (s.paso === 'periodo') {
+    let o = {};
+    if (opcion !== undefined) {
+      const p = opcion ? parsePeriodo(opcion) : null;
+      o = p ? { fch_serv_desde: p.desde, fch_serv_hasta: p.hasta } : {};
+    } else {
+      const p = parsePeriodo(texto);
+      o = p ? { fch_serv_desde: p.desde, fch_serv_hasta: p.hasta } : parseOpcionesFecha(texto);
+      if (!o) return 'No entendí el período. Ej.: periodo 2026-09 · desde 01/09 hasta 30/09 · vence 10/10';
+    }
+    const cand = { ...row, fecha: o.fecha || row.fecha || hoyISO(), fch_serv_desde: '', fch_serv_hasta: '', fch_vto_pago: '', ...o };
+    const err = validarFechas(cand);
+    if (err) return err;
+    Object.assign(row, { fecha: cand.fecha, fch_serv_desde: cand.fch_serv_desde, fch_serv_hasta: cand.fch_serv_hasta, fch_vto_pago: cand.fch_vto_pago });
+  }
+
+  if (s.editando) return avanzarAConfirmar(chatId, s);
+  const sig = PASOS_ASISTENTE[PASOS_ASISTENTE.indexOf(s.paso) + 1];
+  if (!sig) return avanzarAConfirmar(chatId, s);
+  s.paso = sig;
+  await preguntarPaso(chatId, s);
+  return null;
+}
+async function avanzarAConfirmar(chatId, s) {
+  const row = await prepararParaAfip(s.row);
+  const err = validarTotales(row) || await validarFechasEmision(row);
+  if (err) return err;
+  await mostrarVistaPrevia(chatId, s);
+  return null;
+}
+
+// Texto recibido con el asistente esperando un dato: true si lo consumió
+async function responderAsistente(chatId, text) {
+  const s = await asistenteDe(chatId);
+  if (!s || !PASOS_ASISTENTE.includes(s.paso)) return false;
+  const err = await aplicarRespuesta(chatId, s, { texto: text });
+  if (err) await sendTgMessage(chatId, '❌ ' + err);
+  return true;
+}
+
+// Botones fz:… (asistente y confirmación)
+async function callbackAsistente(cbq) {
+  const chatId = cbq.message.chat.id;
+  const [, accion, paso, idx] = cbq.data.split(':');
+  const s = await asistenteDe(chatId);
+  if (!s) { await bot.answerCallbackQuery(cbq.id, { text: 'Esta factura ya no está pendiente.' }); return; }
+
+  if (accion === 'no') {
+    await terminarAsistente(chatId);
+    await bot.answerCallbackQuery(cbq.id, { text: 'Cancelado' });
+    await sendTgMessage(chatId, '❌ Cancelado: no se emitió nada.');
+  } else if (accion === 'op') {
+    if (s.paso !== paso || !(Number(idx) < (s.opciones || []).length)) {
+      await bot.answerCallbackQuery(cbq.id, { text: 'Ese botón ya no está vigente.' });
+      return;
+    }
+    await bot.answerCallbackQuery(cbq.id);
+    const err = await aplicarRespuesta(chatId, s, { opcion: s.opciones[idx] });
+    if (err) await sendTgMessage(chatId, '❌ ' + err);
+  } else if (accion === 'edit') {
+    if (s.paso !== 'confirmar') { await bot.answerCallbackQuery(cbq.id, { text: 'Ese botón ya no está vigente.' }); return; }
+    await bot.answerCallbackQuery(cbq.id);
+    await sendTgMessage(chatId, '✏️ ¿Qué querés cambiar?', {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '👤 Paciente', callback_data: 'fz:ed:paciente' }, { text: '🩺 Servicio', callback_data: 'fz:ed:servicio' }],
+          [{ text: '💲 Monto', callback_data: 'fz:ed:monto' }, { text: '📅 Período', callback_data: 'fz:ed:periodo' }],
+          [{ text: '❌ Cancelar', callback_data: 'fz:no' }]
+        ]
+      }
+    });
+  } else if (accion === 'ed') {
+    if (s.paso !== 'confirmar' || !PASOS_ASISTENTE.includes(paso)) { await bot.answerCallbackQuery(cbq.id, { text: 'Ese botón ya no está vigente.' }); return; }
+    await bot.answerCallbackQuery(cbq.id);
+    s.paso = paso;
+    s.editando = true;
+    await preguntarPaso(chatId, s);
+  } else if (accion === 'ok') {
+    if (s.paso !== 'confirmar') { await bot.answerCallbackQuery(cbq.id, { text: 'Todavía faltan datos.' }); return; }
+    if (!(await terminarAsistente(chatId, s))) { await bot.answerCallbackQuery(cbq.id, { text: 'Esta factura ya no está pendiente.' }); return; }
+    await bot.answerCallbackQuery(cbq.id, { text: 'Emitiendo… ⏳' });
+    try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: cbq.message.message_id }); }
+    catch { /* el mensaje pudo haberse borrado */ }
+    const err = validarTotales(s.row) || await validarFechasEmision(s.row);
+    if (err) { await sendTgMessage(chatId, '❌ ' + err); return; }
+    await emitirDesdeChat(chatId, s.row);
+  }
+}
+
+// ====== FACTURACIÓN EN LOTE (archivo CSV) ======
+// Primera fila con los nombres de columna: doc | detalle | total | periodo (nombre, opcional).
+// Cada fila se arma como un mensaje ("Nombre | DNI 123 | Detalle | Total | periodo 2026-09") y se valida igual.
+// Con ✅ se emiten de a una, en orden; al final, resumen y un ZIP con todos los PDF.
+const LOTE_MAX_FILAS = Number(process.env.LOTE_MAX_FILAS || '200');
+const LOTE_MAX_BYTES = 2 * 1024 * 1024;
+const LOTE_AVANCE_CADA = 10; // filas entre mensajes de avance
+const LOTE_COLUMNAS = {
+  doc: ['doc', 'dni', 'cuit', 'documento', 'dni/cuit', 'doc_nro'],
+  detalle: ['detalle', 'servicio', 'descripcion', 'concepto'],
+  total: ['total', 'monto', 'importe'],
+  periodo: ['periodo', 'mes'],
+  nombre: ['nombre', 'paciente']
+};
+const LOTE_MAX_LINEAS_REPORTE = 15;
+
+// Contenido del documento de Telegram (con tope de tamaño)
+async function descargarArchivoTg(doc) {
+  if (doc.file_size > LOTE_MAX_BYTES) throw new Error(`El archivo pesa más de ${LOTE_MAX_BYTES / 1024 / 1024} MB`);
+  const partes = [];
+  let total = 0;
+  for await (const chunk of bot.getFileStream(doc.file_id)) {
+    total += chunk.length;
+    if (total > LOTE_MAX_BYTES) throw new Error(`El archivo pesa más de ${LOTE_MAX_BYTES / 1024 / 1024} MB`);
+    partes.push(chunk);
+  }
+  return Buffer.concat(partes);
+}
+
+// Filas (arrays) del CSV: separador ; , o tab según la primera línea, sin interpretar valores (todo queda texto).
+// XLSX no se lee: el paquete de npm que lo hacía (xlsx 0.18) está abandonado y con fallas de seguridad sin corregir.
+function filasDeArchivo(buf) {
+  const texto = buf.toString('utf8').replace(/^﻿/, '');
+  const primera = texto.split(/\r?\n/)[0];
+  const sep = [';', '\t', ','].reduce((mejor, s) => (primera.split(s).length > primera.split(mejor).length ? s : mejor));
+  return parsearCSV(texto, sep).filter(f => f.some(c => c.trim() !== ''));
+}
+// Celdas entre comillas dobles como las escribe Excel: pueden tener el separador, saltos de línea y "" por comilla
+function parsearCSV(texto, sep) {
+  const filas = [];
+  let fila = [], celda = '', comillas = false;
+  for (let i = 0; i < texto.length; i++) {
+    const c = texto[i];
+    if (comillas) {
+      if (c !== '"') celda += c;
+      else if (texto[i + 1] === '"') { celda += '"'; i++; }
+      else comillas = false;
+    } else if (c === '"' && celda === '') comillas = true;
+    else if (c === sep) { fila.push(celda); celda = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && texto[i + 1] === '\n') i++;
+      fila.push(celda); filas.push(fila);
+      fila = []; celda = '';
+    } else celda += c;
+  }
+  if (celda !== '' || fila.length) { fila.push(celda); filas.push(fila); }
+  return filas;
+}
+// Filas → CSV (comillas solo donde hacen falta)
+function aCSV(filas, sep) {
+  const celda = v => {
+    const s = String(v ?? '');
+    return s.includes(sep) || /["\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return filas.map(f => f.map(celda).join(sep)).join('\n');
+}
+
+const textoCelda = v => String(v ?? '').trim();
+const claveColumna = s => String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+// { campo: índice de columna } según los nombres aceptados para cada campo
+function columnasDe(encabezado, alias) {
+  const col = {};
+  encabezado.forEach((h, i) => {
+    const k = claveColumna(h);
+    for (const [campo, nombres] of Object.entries(alias)) if (nombres.includes(k) && col[campo] == null) col[campo] = i;
+  });
+  return col;
+}
+// Las listas largas del reporte se cortan para no pasar el límite de Telegram
+const recortarLineas = arr => (arr.length > LOTE_MAX_LINEAS_REPORTE
+  ? [...arr.slice(0, LOTE_MAX_LINEAS_REPORTE), `  … y ${arr.length - LOTE_MAX_LINEAS_REPORTE} más`]
+  : arr);
+
+// { filas: [{ n, mensaje, doc, nombre, total, moneda, avisos }], errores: [{ n, motivo }] } o { error }
+async function prepararLote(filasArchivo, em) {
+  const [encabezado = [], ...datos] = filasArchivo;
+  const col = columnasDe(encabezado, LOTE_COLUMNAS);
+  const faltan = ['doc', 'detalle', 'total'].filter(c => col[c] == null);
+  if (faltan.length) return { error: `Faltan columnas: ${faltan.join(', ')}. La primera fila tiene que tener doc | detalle | total | periodo (y nombre, opcional).` };
+  if (!datos.length) return { error: 'El archivo no tiene filas para facturar.' };
+  if (datos.length > LOTE_MAX_FILAS) return { error: `El archivo tiene ${datos.length} filas; el máximo por lote es ${LOTE_MAX_FILAS} (LOTE_MAX_FILAS).` };
+
+  const filas = [], errores = [];
+  for (let i = 0; i < datos.length; i++) {
+    const n = i + 2; // número de fila en la planilla (la 1 es el encabezado)
+    const celda = c => (col[c] == null ? '' : textoCelda(datos[i][col[c]]));
+    const docTxt = celda('doc'), detalle = celda('detalle'), totalTxt = celda('total');
+    const periodoTxt = celda('periodo');
+    if (!docTxt && !detalle && !totalTxt) continue;
+
+    const digitos = onlyDigits(docTxt);
+    if (!digitos) { errores.push({ n, motivo: `sin documento${docTxt ? ` ("${docTxt}")` : ''}` }); continue; }
+    if (!detalle) { errores.push({ n, motivo: 'sin detalle' }); continue; }
+    const total = parseTotalMoneda(totalTxt);
+    if (!total || !(parseMonto(total.totalStr) > 0)) { errores.push({ n, motivo: `monto ilegible: "${totalTxt}"` }); continue; }
+
+    const doc = /DNI|CUIT/i.test(docTxt) ? docTxt : `${digitos.length === 11 ? 'CUIT' : 'DNI'} ${digitos}`;
+    const mensaje = [celda('nombre'), doc, detalle.replace(/\|/g, '/'), totalTxt, periodoTxt && `periodo ${periodoTxt}`].filter(Boolean).join(' | ');
+    const parsed = parseMessage(mensaje);
+    if (!parsed) { errores.push({ n, motivo: `no pude leer la fila: ${mensaje}` }); continue; }
+    if (periodoTxt && !FECHA_ISO_RE.test(parsed.fch_serv_desde)) { errores.push({ n, motivo: `período inválido: "${periodoTxt}"` }); continue; }
+
+    const avisos = [];
+    const pac = await getPacientePorDoc(parsed.doc_nro);
+    const row = await completarPaciente(asignarEmisor(parsed, em), null);
+    const errCuit = await verificarCUIT(row, em);
+    if (errCuit) { errores.push({ n, motivo: errCuit }); continue; }
+    if (!pac && row.doc_tipo === 'CUIT' && await getPacientePorDoc(row.doc_nro)) avisos.push('nuevo en Pacientes, con los datos del padrón de AFIP');
+    else if (!pac) avisos.push(row.cliente_nombre ? 'no está en Pacientes' : 'no está en Pacientes y no tiene nombre');
+    row.cbte_tipo = tipoFacturaPara(row);
+    if (normalizarReceptor(row).doc_tipo === 'CF' && row.doc_tipo !== 'CF') avisos.push(`${row.doc_tipo} ${row.doc_nro} inválido: sale como Consumidor Final`);
+    const err = validarTotales(row) || await validarFechasEmision(row);
+    if (err) { errores.push({ n, motivo: err }); continue; }
+    filas.push({ n, mensaje, doc: row.doc_nro, nombre: row.cliente_nombre || '', total: row.total, moneda: row.moneda || 'PES', avisos });
+  }
+  return { filas, errores };
+}
+
+function reporteLote(archivo, { filas, errores }) {
+  const porMoneda = {};
+  for (const f of filas) porMoneda[f.moneda] = round2((porMoneda[f.moneda] || 0) + f.total);
+  const conAvisos = filas.filter(f => f.avisos.length);
+  const lineas = [
+    `📋 ${archivo}: ${filas.length + errores.length} fila(s)`,
+    `✅ Para emitir: ${filas.length}` + (filas.length ? ` (${Object.entries(porMoneda).map(([m, t]) => formatMonto(t, m)).join(' + ')})` : '')
+  ];
+  if (conAvisos.length) {
+    lineas.push('', `⚠️ Con avisos (se emiten igual): ${conAvisos.length}`,
+      ...recortarLineas(conAvisos.map(f => `  Fila ${f.n} · ${f.nombre || f.doc}: ${f.avisos.join('; ')}`)));
+  }
+  if (errores.length) {
+    lineas.push('', `❌ Con errores (no se emiten): ${errores.length}`,
+      ...recortarLineas(errores.map(e => `  Fila ${e.n}: ${e.motivo}`)));
+  }
+  return lineas.join('\n');
+}
+
+// Archivo esperando confirmación (s.lote, s.importacion): va en la sesión del chat y vence como el asistente
+async function pendienteDe(chatId, clave) {
+  const s = await sesionChat(chatId);
+  if (s[clave] && Date.now() - s[clave].ts > SESION_TTL_MS) {
+    s[clave] = null;
+    persistirSesion(s);
+  }
+  return s[clave] || null;
+}
+async function guardarPendiente(chatId, clave, datos) {
+  const s = await sesionChat(chatId);
+  s[clave] = { ...datos, ts: Date.now() };
+  persistirSesion(s);
+  return s[clave];
+}
+// true si lo descartó; con `esperado`, solo si sigue siendo ese (dos clicks en Confirmar no lo aplican dos veces)
+async function terminarPendiente(chatId, clave, esperado) {
+  const s = await sesionChat(chatId);
+  if (!s[clave] || (esperado && s[clave].ts !== esperado.ts)) return false;
+  s[clave] = null;
+  persistirSesion(s);
+  return true;
+}
+
+// Filas del documento (null si no sirve; ya avisó)
+async function leerArchivoTabla(chatId, doc) {
+  const archivo = doc.file_name || 'archivo';
+  if (!/\.(csv|txt)$/i.test(archivo)) {
+    await sendTgMessage(chatId, (/\.(xlsx|xls)$/i.test(archivo) ? 'No leo archivos de Excel: guardalo como CSV (Archivo → Guardar como → CSV) y mandalo de nuevo.\n' : '')
+      + 'Mandá un archivo .csv: con doc | detalle | total | periodo para facturar en lote, o con Nombre | Tipo doc | Nro doc | Domicilio | Email para importar pacientes.');
+    return null;
+  }
+  await sendTgMessage(chatId, `📥 Leyendo ${archivo}…`);
+  return filasDeArchivo(await descargarArchivoTg(doc));
+}
+
+async function recibirArchivoLote(chatId, archivo, filasArchivo, em) {
+  const prep = await prepararLote(filasArchivo, em);
+  if (prep.error) { await sendTgMessage(chatId, '❌ ' + prep.error); return; }
+  const reporte = reporteLote(archivo, prep) + (EMISORES.length > 1 ? `\nEmisor: ${em.nombre}` : '');
+  if (!prep.filas.length) { await sendTgMessage(chatId, reporte + '\n\nNo hay nada para emitir.'); return; }
+  await guardarPendiente(chatId, 'lote', { archivo, emisor: em.id, filas: prep.filas.map(f => ({ n: f.n, mensaje: f.mensaje })) });
+  await sendTgMessage(chatId, reporte, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: `✅ Emitir ${prep.filas.length}`, callback_data: 'lote:ok' },
+        { text: '❌ Cancelar', callback_data: 'lote:no' }
+      ]]
+    }
+  });
+}
+
+// De a una, en orden. Si AFIP deja de responder se frena: las filas que faltan no se mandan.
+async function emitirLote(chatId, lote) {
+  const em = EMISOR_POR_ID.get(lote.emisor);
+  if (!em) throw new Error(`El emisor "${lote.emisor}" ya no está configurado`);
+  const emitidas = [], errores = [], pdfs = [];
+  let frenado = null;
+  await sendTgMessage(chatId, `⏳ Emitiendo ${lote.filas.length} factura(s) de ${lote.archivo}…`);
+
+  for (let i = 0; i < lote.filas.length; i++) {
+    const { n, mensaje } = lote.filas[i];
+    let row;
+    try {
+      row = await completarPaciente(asignarEmisor(parseMessage(mensaje), em), null);
+      row.cbte_tipo = tipoFacturaPara(row);
+      const err = validarTotales(row) || await validarFechasEmision(row);
+      if (err) throw new Error(err);
+      const { result, errPlanilla } = await emitirComprobante(row);
+      const norm = result.norm || row;
+      const pdfInfo = await entregarComprobante(chatId, norm, result, { enLote: true });
+      if (pdfInfo) pdfs.push(pdfInfo);
+      emitidas.push({ n, nro: formatNroCbte(norm.pto_vta, result.voucher_number), total: totalEnPesos(norm), errPlanilla });
+    } catch (e) {
+      const motivo = logError('LOTE', e);
+      errores.push({ n, motivo: `${row?.cliente_nombre || row?.doc_nro || mensaje}: ${motivo}` });
+      if (e.etapa === 'SHEETS' || (e.etapa === 'AFIP' && esErrorTransitorio(e))) { frenado = i + 1; break; }
+    }
+    const hechas = i + 1;
+    if (hechas % LOTE_AVANCE_CADA === 0 && hechas < lote.filas.length) {
+      await sendTgMessage(chatId, `⏳ ${hechas}/${lote.filas.length} (${emitidas.length} emitida(s), ${errores.length} con error)…`);
+    }
+  }
+
+  const sinEnviar = frenado ? lote.filas.slice(frenado) : [];
+  const totalEmitido = round2(emitidas.reduce((acc, f) => acc + f.total, 0));
+  const lineas = [`${sinEnviar.length || errores.length ? '⚠️' : '✅'} Lote ${lote.archivo}: ${emitidas.length} emitida(s) por ${formatARS(totalEmitido)}`];
+  if (errores.length) lineas.push('', `❌ Con error: ${errores.length} (quedan en /pendientes si llegaron a la planilla)`, ...errores.map(e => `  Fila ${e.n} · ${e.motivo}`));
+  if (sinEnviar.length) lineas.push('', `⏸️ AFIP o la planilla dejaron de responder: no mandé ${sinEnviar.length} fila(s) (${sinEnviar.map(f => f.n).join(', ')}). Volvé a mandarlas en otro archivo.`);
+  const sinPlanilla = emitidas.filter(f => f.errPlanilla);
+  if (sinPlanilla.length) lineas.push('', `⚠️ No pude escribir el resultado en la planilla de: ${sinPlanilla.map(f => `${f.nro} (fila ${f.n})`).join(', ')}`);
+  await sendTgMessage(chatId, lineas.join('\n'));
+
+  if (pdfs.length) {
+    try {
+      const zip = new JSZip();
+      for (const p of pdfs) zip.file(p.fileName, fs.readFileSync(p.filePath));
+      const zipPath = path.join('/tmp', `Facturas_${lote.archivo.replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_')}_${hoyISO()}.zip`);
+      fs.writeFileSync(zipPath, await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' }));
+      await sendTgDocument(chatId, zipPath, { caption: `${pdfs.length} PDF del lote ${lote.archivo}` });
+    } catch (e) {
+      await sendTgMessage(chatId, '⚠️ No pude armar el ZIP con los PDF: ' + logError('LOTE_ZIP', e));
+    }
+  }
+  if (totalEmitido > 0 && !sinPlanilla.length) await avisarTopeMonotributo(chatId, em, totalEmitido);
+}
+
+// ====== PACIENTES: IMPORTAR Y EXPORTAR (CSV) ======
+// Mismas columnas que la pestaña Pacientes: lo que sale de /pacientes_exportar se puede volver a importar.
+// (Un lote de facturas se reconoce por la columna total/monto: por eso acá es "Monto habitual".)
+// Importar = mandar el archivo al chat; primero muestra qué cambiaría y recién con ✅ guarda (por documento).
+// Las celdas vacías de domicilio o mail no borran lo que ya estaba cargado.
+const PACIENTES_ENCABEZADO = ['Nombre', 'Tipo doc', 'Nro doc', 'Domicilio', 'Email', 'Cond. IVA', 'Detalle habitual', 'Monto habitual', 'Entrega'];
+const PACIENTES_COLUMNAS = {
+  nombre: ['nombre', 'paciente', 'razon social'],
+  doc_tipo: ['tipo doc', 'tipo', 'doc_tipo', 'tipo de documento'],
+  doc_nro: ['nro doc', 'doc', 'dni', 'cuit', 'documento', 'dni/cuit', 'doc_nro', 'nro documento'],
+  domicilio: ['domicilio', 'direccion'],
+  email: ['email', 'mail', 'correo', 'e-mail'],
+  cond_iva: ['cond. iva', 'cond iva', 'condicion iva', 'condicion frente al iva', 'iva'],
+  detalle: ['detalle habitual', 'detalle'],
+  monto: ['monto habitual'],
+  entrega: ['entrega']
+};
+const IMPORTAR_MAX_FILAS = Number(process.env.IMPORTAR_MAX_FILAS || '1000');
+const CAMPOS_PACIENTE = ['nombre', 'doc_tipo', 'domicilio', 'email', 'cond_iva', 'detalle', 'monto', 'entrega'];
+
+// Sin columna de total y con nombre y documento: es una lista de pacientes, no un lote de facturas
+function esArchivoPacientes(encabezado = []) {
+  if (columnasDe(encabezado, LOTE_COLUMNAS).total != null) return false;
+  const col = columnasDe(encabezado, PACIENTES_COLUMNAS);
+  return col.nombre != null && col.doc_nro != null;
+}
+
+// { altas: [p], cambios: [{ p, difs }], sinCambios, errores: [{ n, motivo }] } o { error }
+async function prepararImportacion(filasArchivo) {
+  const [encabezado = [], ...datos] = filasArchivo;
+  if (!datos.length) return { error: 'El archivo no tiene pacientes.' };
+  if (datos.length > IMPORTAR_MAX_FILAS) return { error: `El archivo tiene ${datos.length} filas; el máximo por importación es ${IMPORTAR_MAX_FILAS} (IMPORTAR_MAX_FILAS).` };
+  const col = columnasDe(encabezado, PACIENTES_COLUMNAS);
+  const existentes = new Map((await storage.listarPacientes()).map(p => [p.doc_nro, p]));
+  const vistos = new Map(); // documento → fila donde apareció primero
+  const altas = [], cambios = [], errores = [];
+  let sinCambios = 0;
+
+  for (let i = 0; i < datos.length; i++) {
+    const n = i + 2; // número de fila en la planilla (la 1 es el encabezado)
+    const celda = c => (col[c] == null ? '' : textoCelda(datos[i][col[c]]));
+    const nombre = celda('nombre'), docTxt = celda('doc_nro'), domicilio = celda('domicilio'), email = celda('email');
+    const condTxt = celda('cond_iva'), detalle = celda('detalle'), monto = celda('monto'), entregaTxt = celda('entrega');
+    if (!nombre && !docTxt) continue;
+
+    const doc_nro = onlyDigits(docTxt);
+    const doc_tipo = (celda('doc_tipo') || docTxt.match(/DNI|CUIT/i)?.[0] || (doc_nro.length === 11 ? 'CUIT' : 'DNI')).toUpperCase();
+    if (!doc_nro) { errores.push({ n, motivo: `${nombre}: sin documento` }); continue; }
+    if (!nombre) { errores.push({ n, motivo: `${doc_tipo} ${doc_nro}: sin nombre` }); continue; }
+    const errDoc = errorDocPaciente(doc_tipo, doc_nro);
+    if (errDoc) { errores.push({ n, motivo: `${nombre}: ${errDoc}` }); continue; }
+    if (email && !esEmailValido(email)) { errores.push({ n, motivo: `${nombre}: mail inválido "${email}"` }); continue; }
+    if (condTxt && !parseCondIVA(condTxt)) { errores.push({ n, motivo: `${nombre}: condición IVA desconocida "${condTxt}"` }); continue; }
+    if (monto && !montoDePaciente({ monto })) { errores.push({ n, motivo: `${nombre}: monto ilegible "${monto}"` }); continue; }
+    if (entregaTxt && !parseEntrega(entregaTxt)) { errores.push({ n, motivo: `${nombre}: entrega "${entregaTxt}" (telegram o email)` }); continue; }
+    if (vistos.has(doc_nro)) { errores.push({ n, motivo: `${nombre}: ${doc_tipo} ${doc_nro} repetido (ya está en la fila ${vistos.get(doc_nro)})` }); continue; }
+    vistos.set(doc_nro, n);
+
+    const prev = existentes.get(doc_nro);
+    const p = {
+      nombre, doc_tipo, doc_nro,
+      domicilio: domicilio || prev?.domicilio || '',
+      email: email || prev?.email || '',
+      cond_iva: condTxt ? COND_IVA_LABELS[parseCondIVA(condTxt)] : (prev?.cond_iva || ''),
+      detalle: detalle || prev?.detalle || '',
+      monto: monto || prev?.monto || '',
+      entrega: entregaTxt ? parseEntrega(entregaTxt) : (prev?.entrega || '')
+    };
+    if (!prev) { altas.push(p); continue; }
+    const difs = CAMPOS_PACIENTE.filter(c => String(prev[c] ?? '') !== String(p[c])).map(c => `${c}: "${prev[c] ?? ''}" → "${p[c]}"`);
+    if (difs.length) cambios.push({ p, difs });
+    else sinCambios++;
+  }
+  return { altas, cambios, sinCambios, errores };
+}
+
+function reporteImportacion(archivo, { altas, cambios, sinCambios, errores }) {
+  const lineas = [`📋 ${archivo}: ${altas.length + cambios.length + sinCambios + errores.length} paciente(s)`];
+  if (altas.length) lineas.push('', `🆕 Nuevos: ${altas.length}`, ...recortarLineas(altas.map(p => `  ${etiquetaPaciente(p)}`)));
+  if (cambios.length) lineas.push('', `✏️ Con cambios: ${cambios.length}`, ...recortarLineas(cambios.map(c => `  ${etiquetaPaciente(c.p)}: ${c.difs.join('; ')}`)));
+  if (sinCambios) lineas.push('', `➖ Sin cambios: ${sinCambios}`);
+  if (errores.length) lineas.push('', `❌ Con errores (no se importan): ${errores.length}`, ...recortarLineas(errores.map(e => `  Fila ${e.n} · ${e.motivo}`)));
+  return lineas.join('\n');
+}
+
+async function recibirArchivoPacientes(chatId, archivo, filasArchivo) {
+  const prep = await prepararImportacion(filasArchivo);
+  if (prep.error) { await sendTgMessage(chatId, '❌ ' + prep.error); return; }
+  const reporte = reporteImportacion(archivo, prep);
+  const pacientes = [...prep.altas, ...prep.cambios.map(c => c.p)];
+  if (!pacientes.length) { await sendTgMessage(chatId, reporte + '\n\nNo hay nada para importar.'); return; }
+  await guardarPendiente(chatId, 'importacion', { archivo, pacientes });
+  await sendTgMessage(chatId, reporte, {
+    reply_markup: {
+      inline_keyboard: [[
+        { text: `✅ Importar ${pacientes.length}`, callback_data: 'pi:ok' },
+        { text: '❌ Cancelar', callback_data: 'pi:no' }
+      ]]
+    }
+  });
+}
+
+async function importarPacientes(chatId, imp) {
+  let altas = 0, actualizados = 0;
+  const errores = [];
+  await sendTgMessage(chatId, `⏳ Importando ${imp.pacientes.length} paciente(s)…`);
+  for (const p of imp.pacientes) {
+    try {
+      if ((await upsertPaciente(p)) === 'APPENDED') altas++;
+      else actualizados++;
+    } catch (e) {
+      errores.push(`  ${etiquetaPaciente(p)}: ${logError('IMPORTAR_PACIENTE', e)}`);
+    }
+  }
+  const lineas = [`${errores.length ? '⚠️' : '✅'} Pacientes de ${imp.archivo}: ${altas} nuevo(s), ${actualizados} actualizado(s)`];
+  if (errores.length) lineas.push('', `❌ No se guardaron: ${errores.length}`, ...recortarLineas(errores));
+  await sendTgMessage(chatId, lineas.join('\n'));
+}
+
+// CSV con ; (lo abre bien el Excel en castellano) y BOM para los acentos
+async function exportarPacientesCSV() {
+  const pacientes = await storage.listarPacientes();
+  const filas = pacientes.map(p => [p.nombre || '', p.doc_tipo || '', String(p.doc_nro || ''), p.domicilio || '', p.email || '',
+    p.cond_iva || '', p.detalle || '', String(p.monto ?? ''), p.entrega || '']);
+  const csv = aCSV([PACIENTES_ENCABEZADO, ...filas], ';');
+  const filePath = path.join('/tmp', `Pacientes_${hoyISO()}.csv`);
+  fs.writeFileSync(filePath, '\ufeff' + csv);
+  return { filePath, cantidad: pacientes.length };
+}
+
+// ====== FACTURAS PROGRAMADAS (mensuales) ======
+// Cada programada guarda el mensaje de facturación ("DNI | Detalle | Total") y el día del mes.
+// ultimo_mes se marca ANTES de emitir: si el server se reinicia ese día no sale dos veces.
+function mesActual(hoy = new Date()) {
+  return `${hoy.getFullYear()}-${String(hoy.getMonth() + 1).padStart(2, '0')}`;
+}
+// Día 29-31 en meses más cortos → último día del mes
+function diaDeEmision(dia, hoy = new Date()) {
+  return Math.min(Number(dia), new Date(hoy.getFullYear(), hoy.getMonth() + 1, 0).getDate());
+}
+function programadoVence(p, hoy = new Date()) {
+  return p.ultimo_mes !== mesActual(hoy) && hoy.getDate() >= diaDeEmision(p.dia, hoy);
+}
+
+// Sin emisor guardado (programadas de antes de los perfiles): el predeterminado
+async function emitirProgramado(p, hoy = new Date()) {
+  const chatId = p.chat_id;
+  await storage.guardarProgramado({ ...p, ultimo_mes: mesActual(hoy), ultimo_resultado: 'EN CURSO' });
+
+  let resultado, row;
+  try {
+    const parsed = parseMessage(p.mensaje);
+    if (!parsed) throw new Error(`El mensaje guardado no tiene formato válido: ${p.mensaje}`);
+    const em = p.emisor ? EMISOR_POR_ID.get(p.emisor) : EMISORES[0];
+    if (!em) throw new Error(`El emisor "${p.emisor}" ya no está configurado`);
+    row = await completarPaciente(asignarEmisor(parsed, em), null);
+    row.cbte_tipo = tipoFacturaPara(row);
+    const { result, errPlanilla } = await emitirComprobante(row);
+    await sendTgMessage(chatId, `🔁 Factura programada ${p.id} (${row.cliente_nombre || row.doc_nro}): emitida`
+      + (result.reconciliado ? ' (AFIP tardó, pero ya estaba autorizada)' : ''));
+    await entregarComprobante(chatId, result.norm || row, result);
+    await sendTgMessage(chatId, `✅ ${cbteNombre(row.cbte_tipo)} ${formatNroCbte(row.pto_vta, result.voucher_number)} por ${formatMonto(row.total, row.moneda)}\nCAE: ${result.CAE}`
+      + (errPlanilla ? `\n⚠️ No pude escribir el resultado en tu planilla: ${errPlanilla}` : ''));
+    resultado = `EMITIDO ${formatNroCbte(row.pto_vta, result.voucher_number)}`;
+    if (!errPlanilla) await avisarTopeMonotributo(chatId, emisorDe(row), totalEnPesos(result.norm || row));
+  } catch (e) {
+    const msgErr = logError('PROGRAMADO', e);
+    resultado = `ERROR: ${msgErr}`.slice(0, 300);
+    await sendTgMessage(chatId, `❌ No pude emitir la factura programada ${p.id} (${p.mensaje}): ${msgErr}`
+      + (e.etapa === 'AFIP' ? avisoErrorAfip(e, row, chatId) : ''));
+  }
+  try { await storage.guardarProgramado({ ...p, ultimo_mes: mesActual(hoy), ultimo_resultado: resultado }); }
+  catch (e) { logError('PROGRAMADO_GUARDAR', e); }
+}
+
+// Revisa las programadas vencidas (incluye las que quedaron atrasadas si el server estuvo caído)
+let _programadosCorriendo = false;
+async function correrProgramados(hoy = new Date()) {
+  if (_programadosCorriendo || hoy.getHours() < PROGRAMADOS_HORA) return;
+  _programadosCorriendo = true;
+  try {
+    for (const p of await storage.listarProgramados()) {
+      if (programadoVence(p, hoy)) await emitirProgramado(p, hoy);
+    }
+  } catch (e) {
+    logError('PROGRAMADOS', e);
+  } finally {
+    _programadosCorriendo = false;
+  }
+}
+
+// ====== MONOTRIBUTO: TOTALES Y TOPE DE CATEGORÍA ======
+// Tope anual de ingresos brutos por categoría (valores vigentes desde 02/2025).
+// Cuando ARCA los actualice: MONOTRIBUTO_TOPES='{"A": 9000000, "B": ...}' (pisa solo las que vengan)
+const MONOTRIBUTO_TOPES = (() => {
+  const base = {
+    A: 8992597.87, B: 13175201.52, C: 18473166.15, D: 22934610.05, E: 26977793.60, F: 33809379.57,
+    G: 40431835.35, H: 61344853.64, I: 68664410.05, J: 78632948.76, K: 94805682.90
+  };
+  if (!process.env.MONOTRIBUTO_TOPES) return base;
+  try {
+    const extra = JSON.parse(process.env.MONOTRIBUTO_TOPES);
+    for (const [cat, tope] of Object.entries(extra)) base[cat.toUpperCase()] = parseMonto(tope);
+  } catch (e) { logError('MONOTRIBUTO_TOPES', e); }
+  return base;
+})();
+const AVISOS_TOPE_PCT = [80, 100];
+const ES_NOTA_CREDITO = new Set(Object.values(NC_TIPO_POR_FACTURA));
+
+function mesDeFecha(fecha) {
+  const m = String(fecha || '').match(/^(\d{4})-(\d{2})/);
+  return m ? `${m[1]}-${m[2]}` : null;
+}
+// "2026-10" de hoy y los n-1 meses anteriores, del más viejo al más nuevo
+function ultimosMeses(n, hasta = new Date()) {
+  const out = [];
+  for (let i = n - 1; i >= 0; i--) {
+    const d = new Date(hasta.getFullYear(), hasta.getMonth() - i, 1);
+    out.push(`${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`);
+  }
+  return out;
+}
+// Por mes: facturas emitidas (las ANULADA también salieron; su NC las descuenta) y notas de crédito
+function totalesPorMes(rows) {
+  const out = new Map();
+  for (const r of rows) {
+    const mes = mesDeFecha(r.fecha);
+    if (!mes) continue;
+    const esFactura = !!NC_TIPO_POR_FACTURA[r.cbte_tipo] && (r.estado === 'EMITIDO' || r.estado === 'ANULADA');
+    const esNC = ES_NOTA_CREDITO.has(r.cbte_tipo) && r.estado === 'EMITIDO';
+    if (!esFactura && !esNC) continue;
+    const t = out.get(mes) || { facturado: 0, nc: 0, cant: 0 };
+    if (esFactura) { t.facturado += totalEnPesos(r); t.cant++; }
+    else t.nc += totalEnPesos(r);
+    out.set(mes, t);
+  }
+  for (const t of out.values()) { t.facturado = round2(t.facturado); t.nc = round2(t.nc); t.neto = round2(t.facturado - t.nc); }
+  return out;
+}
+function totalUltimos12(porMes, hasta) {
+  return round2(ultimosMeses(12, hasta).reduce((acc, mes) => acc + (porMes.get(mes)?.neto || 0), 0));
+}
+// { categoria, tope, pct } o null si el emisor no tiene categoría configurada (o es RI)
+function estadoTope(total, em) {
+  const tope = MONOTRIBUTO_TOPES[em.monotributo_categoria];
+  if (em.ri || !tope) return null;
+  return { categoria: em.monotributo_categoria, tope, pct: Math.round(total / tope * 100) };
+}
+function lineaTope(total, em) {
+  const st = estadoTope(total, em);
+  if (!st) return em.monotributo_categoria ? `Categoría ${em.monotributo_categoria} sin tope conocido (revisá MONOTRIBUTO_TOPES)` : 'Configurá MONOTRIBUTO_CATEGORIA (o monotributo_categoria del emisor) para comparar contra el tope.';
+  const margen = round2(st.tope - total);
+  return `Categoría ${st.categoria}: tope ${formatARS(st.tope)} · usado ${st.pct}%`
+    + (margen >= 0 ? ` · margen ${formatARS(margen)}` : ` · ⚠️ excedido por ${formatARS(-margen)}`);
+}
+
+// Después de cada factura: avisa solo cuando esta emisión cruza el 80% o el 100% del tope.
+async function avisarTopeMonotributo(chatId, em, totalEmitido) {
+  if (!estadoTope(0, em)) return;
+  try {
+    const total = totalUltimos12(totalesPorMes(await getFacturasRows(em)));
+    const ahora = estadoTope(total, em);
+    const pctAntes = (total - (Number(totalEmitido) || 0)) / ahora.tope * 100, pctAhora = total / ahora.tope * 100;
+    const cruzado = AVISOS_TOPE_PCT.filter(p => pctAntes < p && pctAhora >= p).pop();
+    if (!cruzado) return;
+    const txt = cruzado >= 100
+      ? `🚨 Monotributo: con esta factura superaste el tope anual de la categoría ${ahora.categoria}.\nÚltimos 12 meses: ${formatARS(total)} (${ahora.pct}% de ${formatARS(ahora.tope)}).\nHablá con tu contador por la recategorización.`
+      : `⚠️ Monotributo: ya facturaste el ${ahora.pct}% del tope anual de la categoría ${ahora.categoria}.\nÚltimos 12 meses: ${formatARS(total)} de ${formatARS(ahora.tope)}.`;
+    await avisarChatOAdmins(chatId, txt);
+  } catch (e) { logError('MONOTRIBUTO_AVISO', e); }
+}
+
+// ====== AUTORIZACIÓN (usuarios de Telegram con rol) ======
+// Usuarios: ID (usuario o chat) | Rol | Nombre | Alta
+// asistente también consulta: /paciente_buscar, /paciente_usar y el PDF de una factura ya emitida. Todo lo que genera
+// o manda comprobantes (facturar, anular, recibos, /enviar_mail) pide emitir.
+const ROLES = {
+  admin:     ['emitir', 'pacientes', 'consultar', 'usuarios'],
+  asistente: ['pacientes', 'consultar'],
+  lector:    ['consultar']
+};
+const ROL_ALIAS = { administrador: 'admin', assistant: 'asistente', viewer: 'lector', consulta: 'lector' };
+// Permiso que pide cada botón inline (prefijo de callback_data)
+const PERMISO_CALLBACK = { use: 'consultar', pdf: 'consultar', pdfa: 'consultar', em: 'consultar', fz: 'emitir', lote: 'emitir', pb: 'pacientes', pi: 'pacientes' };
+
+// Admins semilla: solo TG_ADMIN_IDS. chat_ids.json no cuenta: telegram.js anota cualquier chat que le escriba al bot
+function adminsSemilla() {
+  return String(process.env.TG_ADMIN_IDS || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+let _usuariosCache = null;
+let _usuariosCacheAt = 0;
+async function getUsuarios(force = false) {
+  if (!force && _usuariosCache && Date.now() - _usuariosCacheAt < 60000) return _usuariosCache;
+  const map = new Map();
+  try {
+    for (const u of await storage.listarUsuarios()) {
+      if (u.id && ROLES[u.rol]) map.set(u.id, u);
+    }
+  } catch (e) {
+    logError('USUARIOS_LOAD', e);
+    if (_usuariosCache) return _usuariosCache; // mejor la última lista conocida que ninguna
+  }
+  for (const id of adminsSemilla()) map.set(id, { id, rol: 'admin', nombre: 'TG_ADMIN_IDS', semilla: true });
+  _usuariosCache = map;
+  _usuariosCacheAt = Date.now();
+  return map;
+}
+// Rol del usuario; si no tiene, el del chat (grupos habilitados completos)
+async function rolDe(userId, chatId) {
+  const usuarios = await getUsuarios();
+  return usuarios.get(String(userId))?.rol || usuarios.get(String(chatId))?.rol || null;
+}
+async function guardarUsuario({ id, rol, nombre }) {
+  const usuarios = await getUsuarios(true);
+  const prev = usuarios.get(String(id));
+  await storage.guardarUsuario({
+    id: String(id),
+    rol,
+    nombre: nombre || prev?.nombre || '',
+    alta: prev?.alta || hoyISO()
+  });
+  _usuariosCache = null;
+}
+async function quitarUsuario(id) {
+  const ok = await storage.quitarUsuario(id);
+  _usuariosCache = null;
+  return ok;
+}
+
+// Auditoría: Fecha/hora | Evento | Usuario ID | Usuario | Chat ID | Detalle
+async function auditar(evento, { from, chatId, detalle }) {
+  const quien = [from?.first_name, from?.last_name].filter(Boolean).join(' ') + (from?.username ? ` (@${from.username})` : '');
+  console.warn('[AUDITORIA]', evento, from?.id, quien, chatId, detalle);
+  try {
+    await storage.registrarAuditoria({
+      fecha: new Date().toISOString(),
+      evento,
+      user_id: String(from?.id ?? ''),
+      usuario: quien,
+      chat_id: String(chatId ?? ''),
+      detalle: String(detalle || '').slice(0, 300)
+    });
+  } catch (e) { logError('AUDITORIA', e); }
+}
+
+// true si puede; si no, responde amablemente y deja registro
+async function autorizar(msg, permiso) {
+  const chatId = msg.chat.id;
+  const rol = await rolDe(msg.from?.id, chatId);
+  if (rol && ROLES[rol].includes(permiso)) return true;
+  await auditar('DENEGADO', { from: msg.from, chatId, detalle: `${permiso}: ${msg.text || '(sin texto)'}` });
+  await sendTgMessage(chatId, rol
+    ? `🔒 Tu usuario (${rol}) no tiene permiso para esto. Pedíselo a un administrador.`
+    : `🔒 Hola! Este bot es privado. Si tenés que usarlo, pedile a un administrador que te habilite con tu ID: ${msg.from?.id ?? chatId}`);
+  return false;
+}
+async function autorizarCallback(cbq) {
+  const permiso = PERMISO_CALLBACK[String(cbq.data || '').split(':')[0]] || 'emitir';
+  const rol = await rolDe(cbq.from?.id, cbq.message.chat.id);
+  if (rol && ROLES[rol].includes(permiso)) return true;
+  await auditar('DENEGADO', { from: cbq.from, chatId: cbq.message.chat.id, detalle: `${permiso}: botón ${cbq.data}` });
+  await bot.answerCallbackQuery(cbq.id, { text: '🔒 No tenés permiso para esto.' });
+  return false;
+}
+// bot.onText con control de permisos
+function onComando(permiso, re, handler) {
+  bot.onText(re, async (msg, match) => {
+    if (!(await autorizar(msg, permiso))) return;
+    return handler(msg, match);
+  });
+}
+
+// ====== EMISOR DEL CHAT ======
+// Los admins usan cualquier emisor; el resto, los que no tienen lista de usuarios o los incluyen (usuario o chat)
+async function emisoresDeUsuario(userId, chatId) {
+  if ((await rolDe(userId, chatId)) === 'admin') return EMISORES;
+  return EMISORES.filter(e => !e.usuarios.length || e.usuarios.includes(String(userId)) || e.usuarios.includes(String(chatId)));
+}
+// El elegido con /emisor (va en la sesión del chat) o el primero habilitado. null si no tiene ninguno (ya avisó)
+async function emisorDelChat(chatId, userId) {
+  const permitidos = await emisoresDeUsuario(userId, chatId);
+  const s = await sesionChat(chatId);
+  const em = permitidos.find(e => e.id === s.emisor) || permitidos[0];
+  if (!em) await sendTgMessage(chatId, '🔒 No tenés ningún emisor asignado. Pedile a un administrador que te agregue en emisores.json.');
+  return em || null;
+}
+async function elegirEmisor(chatId, userId, id) {
+  const em = (await emisoresDeUsuario(userId, chatId)).find(e => e.id === id);
+  if (!em) return null;
+  const s = await sesionChat(chatId);
+  s.emisor = em.id;
+  persistirSesion(s);
+  return em;
+}
+const etiquetaEmisor = em => `${em.nombre} (CUIT ${em.cuit} · Pto Vta ${em.pto_vta})`;
+
+// /emisor → lista con botones · /emisor <id> → cambia el emisor de este chat
+onComando('consultar', /^\/emisor(?:\s+(\S+))?$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    if (match[1]) {
+      const em = await elegirEmisor(chatId, msg.from?.id, match[1]);
+      await sendTgMessage(chatId, em ? `✅ Emisor de este chat: ${etiquetaEmisor(em)}` : `❌ No tenés el emisor "${match[1]}". Mirá /emisor.`);
+      return;
+    }
+    const actual = await emisorDelChat(chatId, msg.from?.id);
+    if (!actual) return;
+    const permitidos = await emisoresDeUsuario(msg.from?.id, chatId);
+    await sendTgMessage(chatId, `Emisor de este chat: ${etiquetaEmisor(actual)}`
+      + (permitidos.length > 1 ? '\nElegí otro:' : ''), permitidos.length > 1 ? {
+      reply_markup: { inline_keyboard: permitidos.map(e => [{ text: `${e.id === actual.id ? '✅ ' : ''}${e.nombre}`, callback_data: `em:${e.id}` }]) }
+    } : undefined);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ ' + logError('EMISOR', e));
+  }
+});
+
+// ====== COMANDOS TELEGRAM (USUARIOS) ======
+
+// /usuarios
+onComando('usuarios', /^\/usuarios$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const usuarios = [...(await getUsuarios(true)).values()];
+    if (!usuarios.length) { await sendTgMessage(chatId, 'No hay usuarios habilitados.'); return; }
+    const lines = usuarios.map(u => `• ${u.id} — ${u.rol}${u.nombre ? ` (${u.nombre})` : ''}${u.semilla ? ' [env]' : ''}`);
+    await sendTgMessage(chatId, `Usuarios habilitados:\n${lines.join('\n')}\n\nRoles: admin (emite y gestiona), asistente (carga pacientes y consulta, sin emitir ni mandar mails), lector (solo consulta)`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ Error leyendo usuarios: ' + humanError(e));
+  }
+});
+
+// /usuario_agregar ID rol [Nombre]
+onComando('usuarios', /^\/usuario_agregar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const [idTxt, rolTxt, ...resto] = match[1].trim().split(/\s+/);
+    const id = String(idTxt || '').replace(/[^\d-]/g, '');
+    const rol = ROL_ALIAS[String(rolTxt || '').toLowerCase()] || String(rolTxt || '').toLowerCase();
+    if (!id || !ROLES[rol]) {
+      await sendTgMessage(chatId, 'Uso: /usuario_agregar ID admin|asistente|lector [Nombre]');
+      return;
+    }
+    const nombre = resto.join(' ');
+    await guardarUsuario({ id, rol, nombre });
+    await auditar('USUARIO_ALTA', { from: msg.from, chatId, detalle: `${id} → ${rol}${nombre ? ` (${nombre})` : ''}` });
+    await sendTgMessage(chatId, `✅ Usuario ${id} habilitado como ${rol}.`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude guardar: ' + humanError(e));
+  }
+});
+
+// /usuario_quitar ID
+onComando('usuarios', /^\/usuario_quitar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const id = match[1].trim().replace(/[^\d-]/g, '');
+    if (id === String(msg.from?.id)) { await sendTgMessage(chatId, 'No podés quitarte a vos mismo.'); return; }
+    if (adminsSemilla().includes(id)) { await sendTgMessage(chatId, 'Ese admin viene de TG_ADMIN_IDS: se quita desde la configuración del servidor.'); return; }
+    if (!(await quitarUsuario(id))) { await sendTgMessage(chatId, 'Ese ID no está habilitado.'); return; }
+    await auditar('USUARIO_BAJA', { from: msg.from, chatId, detalle: id });
+    await sendTgMessage(chatId, `✅ Usuario ${id} deshabilitado.`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude quitar: ' + humanError(e));
+  }
+});
+
+// ====== COMANDOS TELEGRAM (PACIENTES) ======
+
+// /paciente_guardar Nombre | DNI/CUIT NNN | Domicilio · /paciente_guardar CUIT NNN (el resto sale del padrón de AFIP)
+onComando('pacientes', /^\/paciente_guardar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const parts = match[1].split('|').map(s => s.trim());
+    const soloCuit = parts.length === 1 && /^(?:CUIT\s*)?[\d.\-\s]+$/i.test(parts[0]) && onlyDigits(parts[0]).length === 11;
+    if (parts.length < 3 && !soloCuit) {
+      await sendTgMessage(chatId, 'Uso: /paciente_guardar Nombre | DNI o CUIT NNN | Domicilio\nCon CUIT alcanza: /paciente_guardar CUIT NNN (nombre, domicilio y condición IVA salen del padrón de AFIP)');
+      return;
+    }
+    const [nombre, docCampo, domicilio] = soloCuit ? ['', `CUIT ${onlyDigits(parts[0])}`, ''] : parts;
+    const m = docCampo.match(/(DNI|CUIT)\s*(\d+)/i);
+    const doc_tipo = (m?.[1] || 'DNI').toUpperCase();
+    const doc_nro = (m?.[2] || docCampo).replace(/\D/g, '');
+
+    let padron = null, errPadron = '';
+    if (doc_tipo === 'CUIT') {
+      if (!esCUITValido(doc_nro)) { await sendTgMessage(chatId, `❌ El CUIT ${doc_nro} no es válido (dígito verificador). Revisalo.`); return; }
+      if (PADRON_ACTIVO) {
+        const em = await emisorDelChat(chatId, msg.from?.id);
+        if (!em) return;
+        try {
+          padron = await consultarPadron(doc_nro, em);
+          if (!padron) { await sendTgMessage(chatId, `❌ AFIP no tiene registrado el CUIT ${doc_nro}. Revisalo.`); return; }
+        } catch (e) {
+          errPadron = logError('PADRON', e);
+        }
+      }
+    }
+    if (!nombre && !padron?.nombre) {
+      await sendTgMessage(chatId, `❌ No pude consultar el padrón de AFIP (${errPadron}). Mandalo completo: /paciente_guardar Nombre | CUIT NNN | Domicilio`);
+      return;
+    }
+    const p = { nombre: nombre || padron.nombre, doc_tipo, doc_nro, domicilio: domicilio || padron?.domicilio || '' };
+    if (padron?.cond_iva) p.cond_iva = COND_IVA_LABELS[padron.cond_iva];
+    await upsertPaciente(p);
+    const delPadron = padron && [!nombre && p.nombre, !domicilio && padron.domicilio, padron.cond_iva && COND_IVA_LABELS[padron.cond_iva]].filter(Boolean);
+    await sendTgMessage(chatId, `✅ Paciente guardado: ${p.nombre} (${doc_tipo} ${doc_nro})`
+      + (delPadron?.length ? `\nDel padrón de AFIP: ${delPadron.join(' · ')}` : '')
+      + (padron && !padron.activo ? '\n⚠️ AFIP informa ese CUIT como inactivo.' : '')
+      + (errPadron ? `\n⚠️ No pude consultar el padrón de AFIP (${errPadron}): guardé solo lo que escribiste.` : ''));
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude guardar: ' + humanError(e));
+  }
+});
+
+// /paciente_email DNI correo@ejemplo.com
+onComando('pacientes', /^\/paciente_email\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const [docTxt, email] = match[1].trim().split(/\s+/);
+    if (!onlyDigits(docTxt) || !esEmailValido(email)) {
+      await sendTgMessage(chatId, 'Uso: /paciente_email DNI_o_CUIT correo@ejemplo.com');
+      return;
+    }
+    const pac = await getPacientePorDoc(docTxt);
+    if (!pac) { await sendTgMessage(chatId, 'No encontré ese paciente. Guardalo primero con /paciente_guardar'); return; }
+    await upsertPaciente({ ...pac, email: email.trim() });
+    await sendTgMessage(chatId, `✅ Mail de ${pac.nombre}: ${email.trim()}`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude guardar el mail: ' + humanError(e));
   }
 });
 
-// ====== HANDLER DE MENSAJES (FACTURACIÓN) ======
-bot.on('message', async (msg) => {
+// /paciente_editar DNI campo valor → cambia un dato (con - se borran los opcionales)
+const CAMPOS_EDITABLES = {
+  nombre: 'nombre', domicilio: 'domicilio', direccion: 'domicilio', email: 'email', mail: 'email', tipo: 'doc_tipo', doc: 'doc_nro',
+  iva: 'cond_iva', condicion: 'cond_iva', detalle: 'detalle', servicio: 'detalle', monto: 'monto', total: 'monto', entrega: 'entrega'
+};
+const CAMPOS_BORRABLES = ['domicilio', 'email', 'cond_iva', 'detalle', 'monto', 'entrega'];
+onComando('pacientes', /^\/paciente_editar(?:\s+(.*))?$/i, async (msg, match) => {
   const chatId = msg.chat.id;
-  const text = (msg.text || '').trim();
+  try {
+    const m = (match[1] || '').trim().match(/^(\S+)\s+(\S+)\s+(.+)$/);
+    const campo = m && CAMPOS_EDITABLES[claveColumna(m[2])];
+    if (!m || !campo) {
+      await sendTgMessage(chatId, 'Uso: /paciente_editar DNI_o_CUIT campo valor\nCampos: nombre, domicilio, email, tipo (DNI o CUIT), doc, iva (CF, exento, RI, monotributo…), detalle, monto, entrega (telegram o email)\nCon - se borra el domicilio, el mail, la condición IVA, el detalle, el monto o la entrega.');
+      return;
+    }
+    const pac = await getPacientePorDoc(m[1]);
+    if (!pac) { await sendTgMessage(chatId, 'No encontré ese paciente. Guardalo primero con /paciente_guardar'); return; }
+    let valor = m[3].trim();
+    if (valor === '-' && CAMPOS_BORRABLES.includes(campo)) valor = '';
+
+    let err = null;
+    const nuevo = { ...pac, [campo]: valor };
+    if (campo === 'nombre' && (!valor || valor === '-')) err = 'El nombre no puede quedar vacío.';
+    if (campo === 'email' && valor && !esEmailValido(valor)) err = `"${valor}" no es un mail válido.`;
+    if (campo === 'cond_iva' && valor) {
+      const cond = parseCondIVA(valor);
+      if (cond) nuevo.cond_iva = valor = COND_IVA_LABELS[cond];
+      else err = `No conozco la condición "${valor}". Probá con: CF, exento, RI, monotributo, no alcanzado.`;
+    }
+    if (campo === 'monto' && valor && !montoDePaciente({ monto: valor })) err = `No entendí el monto "${valor}". Ej.: 12.000 o USD 150.`;
+    if (campo === 'entrega' && valor) {
+      if (parseEntrega(valor)) nuevo.entrega = valor = parseEntrega(valor);
+      else err = 'La entrega puede ser telegram o email.';
+    }
+    if (campo === 'entrega' && valor === 'email' && !esEmailValido(pac.email)) err = `${etiquetaPaciente(pac)} no tiene mail: cargalo primero con /paciente_editar ${pac.doc_nro} email correo@ejemplo.com`;
+    if (campo === 'doc_tipo') {
+      nuevo.doc_tipo = valor.toUpperCase();
+      err = errorDocPaciente(nuevo.doc_tipo, pac.doc_nro);
+    }
+    if (campo === 'doc_nro') {
+      const d = valor.match(/^(DNI|CUIT)?\s*([\d.\-\s]+)$/i);
+      nuevo.doc_tipo = (d?.[1] || pac.doc_tipo).toUpperCase();
+      nuevo.doc_nro = onlyDigits(d?.[2]);
+      err = errorDocPaciente(nuevo.doc_tipo, nuevo.doc_nro);
+      const otro = !err && nuevo.doc_nro !== pac.doc_nro && await getPacientePorDoc(nuevo.doc_nro);
+      if (otro) err = `Ya hay otro paciente con ese documento: ${etiquetaPaciente(otro)}.`;
+    }
+    if (err) { await sendTgMessage(chatId, '❌ ' + err); return; }
 
-  if (text === '/start') {
-    await sendTgMessage(chatId, 'Hola! Podés facturar enviando:\n• Con 4 campos: Nombre | DNI o CUIT | Detalle | Total\n• O con 3 campos si ya guardaste al paciente: DNI o CUIT | Detalle | Total\n\nGestión de pacientes:\n/paciente_guardar Nombre | DNI o CUIT NNN | Domicilio\n/paciente_buscar texto\n/paciente_usar NNNNN\n/paciente_actual');
-    return;
+    await upsertPaciente(nuevo);
+    if (nuevo.doc_nro !== pac.doc_nro) await storage.quitarPaciente(pac.doc_nro); // cambió la clave: la fila vieja sobra
+    await sendTgMessage(chatId, `✅ ${etiquetaPaciente(nuevo)} · ${m[2].toLowerCase()}: ${valor || '(vacío)'}`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude guardar el cambio: ' + humanError(e));
   }
-  if (text.startsWith('/')) return; // otros comandos ya se manejan arriba
+});
 
-  // Watchdog: si en 35s no se resolvió, avisamos
-  let finished = false;
-  const watchdog = setTimeout(async () => {
-    if (!finished) {
-      await sendTgMessage(chatId, '⚠️ Se está demorando más de lo normal. Podés reintentar en unos minutos. Si vuelve a pasar, mirá Logs en Render.');
-    }
-  }, 35000);
+// /paciente_borrar DNI → pide confirmación con botones (pb:ok:<doc> | pb:no)
+onComando('pacientes', /^\/paciente_borrar(?:\s+(.*))?$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    if (!onlyDigits(match[1])) { await sendTgMessage(chatId, 'Uso: /paciente_borrar DNI_o_CUIT'); return; }
+    const pac = await getPacientePorDoc(match[1]);
+    if (!pac) { await sendTgMessage(chatId, 'No encontré ese documento en Pacientes.'); return; }
+    await sendTgMessage(chatId, `¿Borro a ${etiquetaPaciente(pac)} de Pacientes?\nLas facturas ya emitidas no cambian.`, {
+      reply_markup: {
+        inline_keyboard: [[
+          { text: '🗑️ Borrar', callback_data: `pb:ok:${pac.doc_nro}` },
+          { text: '❌ Cancelar', callback_data: 'pb:no' }
+        ]]
+      }
+    });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ ' + humanError(e));
+  }
+});
 
+// /pacientes_exportar → CSV de la pestaña Pacientes (se puede editar y volver a mandar para importarlo)
+onComando('pacientes', /^\/pacientes_exportar$/i, async (msg) => {
+  const chatId = msg.chat.id;
   try {
-    const parsed = parseMessage(text);
-    if (!parsed) {
-      await sendTgMessage(chatId, 'Formato incorrecto.\nUsá: Nombre | DNI o CUIT | Detalle | Total\nO si ya guardaste al paciente: DNI o CUIT | Detalle | Total');
-      finished = true; clearTimeout(watchdog);
+    const { filePath, cantidad } = await exportarPacientesCSV();
+    await sendTgDocument(chatId, filePath, { caption: `${cantidad} paciente(s). Editalo y mandámelo de vuelta para importar los cambios.` });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude exportar: ' + logError('EXPORTAR_PACIENTES', e));
+  }
+});
+
+// /paciente_buscar texto
+onComando('consultar', /^\/paciente_buscar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const q = match[1];
+    const res = await buscarPacientes(q);
+    if (!res.length) {
+      await sendTgMessage(chatId, 'Sin resultados. Probá con parte del nombre o el número de documento.');
       return;
     }
+    const keyboard = res.map(c => [{ text: `${c.nombre} (${c.doc_tipo} ${c.doc_nro})`, callback_data: 'use:' + c.doc_nro }]);
+    await bot.sendMessage(chatId, 'Elegí un paciente:', { reply_markup: { inline_keyboard: keyboard } });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ Error buscando: ' + humanError(e));
+  }
+});
 
-    // Completar datos desde "Pacientes" o paciente activo
-    const parsedCompleted = await completarPaciente(parsed, chatId);
+// /paciente_usar NNNNN
+onComando('consultar', /^\/paciente_usar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const doc = match[1].replace(/\D/g, '');
+    const pac = await getPacientePorDoc(doc);
+    if (!pac) { await sendTgMessage(chatId, 'No encontré ese documento en Pacientes.'); return; }
+    await setPacienteActivo(chatId, pac);
+    await sendTgMessage(chatId, `✅ Paciente activo: ${pac.nombre} (${pac.doc_tipo} ${pac.doc_nro})\nLos mensajes sin documento se le facturan a este paciente. /paciente_soltar para dejar de usarlo.`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ ' + logError('SESIONES', e));
+  }
+});
 
-    // 1) Google Sheets (facturas)
-    try { await appendRow(parsedCompleted); }
-    catch (e) {
-      const msgErr = logError('SHEETS_APPEND', e);
-      await sendTgMessage(chatId, '❌ Error en Google Sheets: ' + msgErr);
-      finished = true; clearTimeout(watchdog);
+// /paciente_actual (y las últimas facturas emitidas desde este chat)
+onComando('consultar', /^\/paciente_actual$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const pac = await getPacienteActivo(chatId);
+    const ultimas = (await sesionChat(chatId)).ultimas || [];
+    const lineas = pac
+      ? [`Paciente activo: ${pac.nombre}`, `Doc: ${pac.doc_tipo} ${pac.doc_nro}`, `Domicilio: ${pac.domicilio || '-'}`]
+      : ['No hay paciente activo. Usá /paciente_buscar o /paciente_usar.'];
+    if (pac) lineas.push(...lineasDefaultsPaciente((await getPacientePorDoc(pac.doc_nro)) || pac));
+    if (ultimas.length) {
+      lineas.push('', 'Últimas facturas de este chat:',
+        ...ultimas.map(u => `• ${u.nro} · ${u.fecha} · ${etiquetaPaciente(u)} · ${formatMonto(u.total, u.moneda)}`));
+    }
+    await sendTgMessage(chatId, lineas.join('\n'));
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ ' + logError('SESIONES', e));
+  }
+});
+
+// /paciente_soltar: los mensajes sin documento dejan de ir al paciente activo
+onComando('consultar', /^\/paciente_soltar$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const pac = await soltarPacienteActivo(chatId);
+    await sendTgMessage(chatId, pac ? `✅ Ya no hay paciente activo (era ${etiquetaPaciente(pac)}).` : 'No había paciente activo.');
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ ' + logError('SESIONES', e));
+  }
+});
+
+// Botones inline: seleccionar paciente
+bot.on('callback_query', async (cbq) => {
+  try {
+    const chatId = cbq.message.chat.id;
+    if (!(await autorizarCallback(cbq))) return;
+    if (cbq.data?.startsWith('use:')) {
+      const doc = cbq.data.slice(4).replace(/\D/g, '');
+      const pac = await getPacientePorDoc(doc);
+      if (!pac) { await bot.answerCallbackQuery(cbq.id, { text: 'No encontré el paciente.' }); return; }
+      await setPacienteActivo(chatId, pac);
+      await bot.answerCallbackQuery(cbq.id, { text: 'Paciente seleccionado ✅' });
+      await bot.sendMessage(chatId, `Paciente activo: ${pac.nombre} (${pac.doc_tipo} ${pac.doc_nro})`);
+    } else if (cbq.data?.startsWith('em:')) {
+      const em = await elegirEmisor(chatId, cbq.from?.id, cbq.data.slice(3));
+      await bot.answerCallbackQuery(cbq.id, { text: em ? 'Emisor seleccionado ✅' : 'No tenés ese emisor.' });
+      if (em) await sendTgMessage(chatId, `Emisor de este chat: ${etiquetaEmisor(em)}`);
+    } else if (cbq.data?.startsWith('ret:')) {
+      const em = await emisorDelChat(chatId, cbq.from?.id);
+      if (!em) { await bot.answerCallbackQuery(cbq.id); return; }
+      await bot.answerCallbackQuery(cbq.id, { text: 'Reintentando… 🔁' });
+      await reintentarYEntregar(chatId, em, parseRefFila(cbq.data.slice(4)));
+    } else if (cbq.data?.startsWith('fz:')) {
+      try { await callbackAsistente(cbq); }
+      catch (e) { await sendTgMessage(chatId, '❌ Error inesperado: ' + logError('ASISTENTE', e)); }
+    } else if (cbq.data === 'lote:ok' || cbq.data === 'lote:no') {
+      const lote = await pendienteDe(chatId, 'lote');
+      if (!lote || !(await terminarPendiente(chatId, 'lote', lote))) { await bot.answerCallbackQuery(cbq.id, { text: 'Ese lote ya no está pendiente.' }); return; }
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: cbq.message.message_id }); } catch { /* sin botones igual */ }
+      if (cbq.data === 'lote:no') {
+        await bot.answerCallbackQuery(cbq.id, { text: 'Cancelado' });
+        await sendTgMessage(chatId, '❌ Lote cancelado: no se emitió nada.');
+        return;
+      }
+      await bot.answerCallbackQuery(cbq.id, { text: 'Emitiendo… ⏳' });
+      await auditar('LOTE', { from: cbq.from, chatId, detalle: `${lote.archivo}: ${lote.filas.length} fila(s)` });
+      try { await emitirLote(chatId, lote); }
+      catch (e) { await sendTgMessage(chatId, '❌ Se cortó el lote: ' + logError('LOTE', e) + '\nMirá /pendientes antes de volver a mandarlo.'); }
+    } else if (cbq.data === 'pi:ok' || cbq.data === 'pi:no') {
+      const imp = await pendienteDe(chatId, 'importacion');
+      if (!imp || !(await terminarPendiente(chatId, 'importacion', imp))) { await bot.answerCallbackQuery(cbq.id, { text: 'Esa importación ya no está pendiente.' }); return; }
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: cbq.message.message_id }); } catch { /* sin botones igual */ }
+      if (cbq.data === 'pi:no') {
+        await bot.answerCallbackQuery(cbq.id, { text: 'Cancelado' });
+        await sendTgMessage(chatId, '❌ Importación cancelada: no cambié ningún paciente.');
+        return;
+      }
+      await bot.answerCallbackQuery(cbq.id, { text: 'Importando… ⏳' });
+      await auditar('PACIENTES_IMPORTADOS', { from: cbq.from, chatId, detalle: `${imp.archivo}: ${imp.pacientes.length} paciente(s)` });
+      await importarPacientes(chatId, imp);
+    } else if (cbq.data?.startsWith('pb:')) {
+      try { await bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: cbq.message.message_id }); } catch { /* sin botones igual */ }
+      if (cbq.data === 'pb:no') { await bot.answerCallbackQuery(cbq.id, { text: 'Cancelado' }); return; }
+      const pac = await getPacientePorDoc(cbq.data.slice(6));
+      if (!pac || !(await storage.quitarPaciente(pac.doc_nro))) { await bot.answerCallbackQuery(cbq.id, { text: 'Ese paciente ya no está.' }); return; }
+      await auditar('PACIENTE_BORRADO', { from: cbq.from, chatId, detalle: etiquetaPaciente(pac) });
+      if ((await getPacienteActivo(chatId))?.doc_nro === pac.doc_nro) await soltarPacienteActivo(chatId);
+      await bot.answerCallbackQuery(cbq.id, { text: 'Borrado 🗑️' });
+      await sendTgMessage(chatId, `🗑️ Borré a ${etiquetaPaciente(pac)} de Pacientes.`);
+    } else if (cbq.data?.startsWith('pdf:') || cbq.data?.startsWith('pdfa:')) {
+      const [prefijo, ref] = cbq.data.split(':');
+      const em = await emisorDelChat(chatId, cbq.from?.id);
+      if (!em) { await bot.answerCallbackQuery(cbq.id); return; }
+      const f = (await getFacturasRows(em)).find(r => (r.id || r.rowIndex) === parseRefFila(ref));
+      if (!f) { await bot.answerCallbackQuery(cbq.id, { text: 'No encontré ese comprobante.' }); return; }
+      await bot.answerCallbackQuery(cbq.id, { text: 'Armando el PDF… 📄' });
+      try { await reenviarPDF(chatId, f, { desdeAfip: prefijo === 'pdfa' }); }
+      catch (e) { await sendTgMessage(chatId, '❌ No pude rearmar el PDF: ' + logError('REIMPRESION', e)); }
+    } else if (cbq.data?.startsWith('des:')) {
+      try {
+        const em = await emisorDelChat(chatId, cbq.from?.id);
+        if (!em) { await bot.answerCallbackQuery(cbq.id); return; }
+        const row = await descartarFila(em, parseRefFila(cbq.data.slice(4)));
+        await auditar('DESCARTADA', { from: cbq.from, chatId, detalle: etiquetaFila(row) });
+        await bot.answerCallbackQuery(cbq.id, { text: 'Descartado 🗑️' });
+        await sendTgMessage(chatId, `🗑️ Descartado: ${etiquetaFila(row)}`);
+      } catch (e) {
+        await bot.answerCallbackQuery(cbq.id, { text: humanError(e).slice(0, 190) });
+      }
+    }
+  } catch (e) {
+    console.error('callback_query', e);
+  }
+});
+
+// ====== COMANDOS TELEGRAM (NOTAS DE CRÉDITO) ======
+
+// /anular 0001-00000123
+onComando('emitir', /^\/anular\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    await emitirNotaCredito(chatId, em, { ref: match[1] });
+  } catch (e) {
+    const msgErr = logError('NC_FATAL', e);
+    await sendTgMessage(chatId, '❌ Error inesperado: ' + msgErr);
+  }
+});
+
+// /nota_credito 0001-00000123 | Monto | Motivo
+onComando('emitir', /^\/nota_credito\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const [ref, montoStr, motivo] = match[1].split('|').map(s => s.trim());
+    if (!ref || !montoStr) {
+      await sendTgMessage(chatId, 'Uso: /nota_credito 0001-00000123 | Monto | Motivo');
       return;
     }
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    await emitirNotaCredito(chatId, em, { ref, monto: parseMonto(montoStr), motivo });
+  } catch (e) {
+    const msgErr = logError('NC_FATAL', e);
+    await sendTgMessage(chatId, '❌ Error inesperado: ' + msgErr);
+  }
+});
 
-    // Avances a Telegram
-    await sendTgMessage(chatId, '⏳ Recibí los datos. Estoy emitiendo la factura…');
-    await sendTgMessage(chatId, '➡️ Enviando solicitud a AFIP…');
+// ====== COMANDOS TELEGRAM (RECIBOS) ======
 
-    // 2) AFIP (con timeout)
-    let result;
-    try { result = await emitirFactura(parsedCompleted); }
-    catch (e) {
-      const msgErr = logError('AFIP_EMITIR', e);
-      await markLastRowError('AFIP: ' + msgErr);
-      await sendTgMessage(chatId, '❌ Error en AFIP: ' + msgErr);
-      finished = true; clearTimeout(watchdog);
+// /recibo 0001-00000123 [0001-00000124 ...] | Forma de pago [| Monto] [| Detalle]
+// /recibo DNI NNN | Forma de pago | Monto [| Detalle]   (pago a cuenta; sin DNI: el paciente activo)
+onComando('emitir', /^\/recibo(?:\s+(.+))?$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const [primero = '', formaPago, montoStr, detalle] = (match[1] || '').split('|').map(s => s.trim());
+    if (!formaPago) {
+      await sendTgMessage(chatId, 'Uso: /recibo 0001-00000123 [0001-00000124] | Forma de pago [| Monto] [| Detalle]\nSin facturas: /recibo DNI NNN | Forma de pago | Monto [| Detalle]');
       return;
     }
+    const monto = montoStr ? parseMonto(montoStr) : null;
+    if (montoStr && !(monto > 0)) { await sendTgMessage(chatId, `Monto inválido: "${montoStr}".`); return; }
+    const refs = primero.match(/(?:[ABC]\s*)?\d{1,5}\s*-\s*\d{1,8}/gi) || [];
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    await emitirRecibo(chatId, em, {
+      refs,
+      doc: refs.length ? '' : primero,
+      forma_pago: formaPago.charAt(0).toUpperCase() + formaPago.slice(1),
+      monto,
+      detalle
+    });
+  } catch (e) {
+    const msgErr = logError('RECIBO_FATAL', e);
+    await sendTgMessage(chatId, '❌ Error inesperado: ' + msgErr);
+  }
+});
 
-    await sendTgMessage(chatId, `🧾 AFIP respondió. Generando PDF… (CAE ${result.CAE})`);
+// ====== COMANDOS TELEGRAM (MAIL) ======
 
-    // 3) PDF y envío (con timeout global)
-    let pdfInfo;
-    try {
-      pdfInfo = await withTimeout(generarPDF({ row: result.norm || parsedCompleted, result }), PDF_TIMEOUT_MS, 'PDF build');
-      await sendTgDocument(
-        chatId,
-        pdfInfo.filePath,
-        { caption: `Factura C ${String(parsedCompleted.pto_vta).padStart(4,'0')}-${String(result.voucher_number).padStart(8, '0')} | CAE ${result.CAE}` }
-      );
-    } catch (e) {
-      logError('PDF', e);
-      await sendTgMessage(chatId, '⚠️ La factura salió pero no pude adjuntar el PDF.');
+// /enviar_mail 0001-00000123 [otro@correo.com] → regenera el PDF y lo manda de nuevo
+onComando('emitir', /^\/enviar_mail\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    if (!getMailer()) { await sendTgMessage(chatId, 'El envío por mail no está configurado (falta SMTP_HOST).'); return; }
+    const m = match[1].trim().match(/^(.*?)(?:\s+(\S+@\S+))?$/);
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const f = await resolverFactura(chatId, m[1], await getFacturasRows(em));
+    if (!f) return;
+    if (!f.CAE) { await sendTgMessage(chatId, `La factura no tiene CAE (estado: ${f.estado || '-'}).`); return; }
+    const { pdfInfo, result } = await regenerarPDF(f);
+    await mailComprobante(chatId, f, result, pdfInfo, m[2]);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude reenviar: ' + logError('ENVIAR_MAIL', e));
+  }
+});
+
+// ====== COMANDOS TELEGRAM (ASISTENTE) ======
+
+// /facturar: paso a paso con botones y vista previa antes de emitir
+onComando('emitir', /^\/facturar$/i, async (msg) => {
+  try {
+    const em = await emisorDelChat(msg.chat.id, msg.from?.id);
+    if (em) await iniciarAsistente(msg.chat.id, em);
+  }
+  catch (e) { await sendTgMessage(msg.chat.id, '❌ No pude iniciar el asistente: ' + logError('ASISTENTE', e)); }
+});
+
+// /cancelar: descarta el lote, la importación de pacientes, el asistente o la factura que espera confirmación.
+// La importación alcanza con permiso de pacientes (la puede haber subido un asistente); el resto pide emitir.
+onComando('pacientes', /^\/cancelar$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  const puedeEmitir = ROLES[await rolDe(msg.from?.id, chatId)].includes('emitir');
+  if (puedeEmitir && await terminarPendiente(chatId, 'lote')) { await sendTgMessage(chatId, '❌ Lote cancelado: no se emitió nada.'); return; }
+  if (await terminarPendiente(chatId, 'importacion')) { await sendTgMessage(chatId, '❌ Importación cancelada: no cambié ningún paciente.'); return; }
+  if (!puedeEmitir && ((await sesionChat(chatId)).lote || await asistenteDe(chatId))) { await autorizar(msg, 'emitir'); return; } // 🔒 y auditoría
+  if (!(await terminarAsistente(chatId))) { await sendTgMessage(chatId, 'No hay nada pendiente para cancelar.'); return; }
+  await sendTgMessage(chatId, '❌ Cancelado: no se emitió nada.');
+});
+
+// ====== COMANDOS TELEGRAM (REIMPRESIÓN) ======
+
+// /factura 0001-00000123 [afip] → rearma el PDF desde la planilla (con "afip", desde lo que autorizó AFIP)
+onComando('consultar', /^\/factura\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const m = match[1].trim().match(/^(.*?)(\s+afip)?$/i);
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const f = await resolverFactura(chatId, m[1], await getFacturasRows(em));
+    if (!f) return;
+    if (!f.CAE) { await sendTgMessage(chatId, `La factura no tiene CAE (estado: ${f.estado || '-'}).`); return; }
+    await reenviarPDF(chatId, f, { desdeAfip: !!m[2] });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude rearmar el PDF: ' + logError('REIMPRESION', e));
+  }
+});
+
+// /facturas DNI → comprobantes emitidos al paciente, con botones para pedir el PDF
+onComando('consultar', /^\/facturas\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const doc = onlyDigits(match[1]);
+    if (!doc) { await sendTgMessage(chatId, 'Uso: /facturas DNI (o CUIT)'); return; }
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const emitidas = (await getFacturasRows(em)).filter(r => r.CAE && onlyDigits(r.doc_nro) === doc);
+    if (!emitidas.length) { await sendTgMessage(chatId, `No hay comprobantes emitidos para ${doc}.`); return; }
+    const lista = emitidas.slice(-15).reverse(); // los más recientes primero
+    const nombre = (await getPacientePorDoc(doc))?.nombre || lista[0].cliente_nombre || doc;
+    const lineas = lista.map((r, i) => `${i + 1}. ${r.fecha} · ${cbteNombre(r.cbte_tipo)} ${formatNroCbte(r.pto_vta, r.voucher_number)}`
+      + ` · ${formatMonto(r.total, r.moneda)}${r.estado === 'ANULADA' ? ' (anulada)' : ''}`);
+    await sendTgMessage(chatId, `Comprobantes de ${nombre}: ${emitidas.length}${emitidas.length > lista.length ? ` (muestro los últimos ${lista.length})` : ''}\n\n`
+      + lineas.join('\n') + '\n\n"AFIP" rearma el PDF con los datos autorizados por AFIP.', {
+      reply_markup: {
+        inline_keyboard: lista.map((r, i) => [
+          { text: `📄 PDF ${i + 1}`, callback_data: `pdf:${r.id || r.rowIndex}` },
+          { text: `🔎 AFIP ${i + 1}`, callback_data: `pdfa:${r.id || r.rowIndex}` }
+        ])
+      }
+    });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude leer las facturas: ' + logError('FACTURAS_PACIENTE', e));
+  }
+});
+
+// ====== COMANDOS TELEGRAM (PENDIENTES) ======
+
+// /pendientes: filas en ERROR/PENDIENTE con botones para reintentar (misma fila) o descartar
+onComando('consultar', /^\/pendientes$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const pend = await pendientesDeEmision(em);
+    if (!pend.length) { await sendTgMessage(chatId, 'No hay comprobantes en ERROR ni PENDIENTE. 🎉'); return; }
+    const lista = pend.slice(-20); // los más recientes (límite de botones por mensaje)
+    const lineas = lista.map((r, i) => {
+      return `${i + 1}. ${r.estado}${emisionesEnCurso.has(claveEmision(r)) ? ' (emitiendo…)' : ''} ${r.fecha} · ${etiquetaFila(r)}`
+        + (r.error ? `\n   ${String(r.error).slice(0, 150)}` : '');
+    });
+    await sendTgMessage(chatId, `Comprobantes sin emitir: ${pend.length}${pend.length > lista.length ? ` (muestro los últimos ${lista.length})` : ''}\n\n`
+      + lineas.join('\n') + '\n\nReintentar todos: /reintentar_todo', {
+      reply_markup: {
+        inline_keyboard: lista.map((r, i) => [
+          { text: `🔁 Reintentar ${i + 1}`, callback_data: `ret:${r.id || r.rowIndex}` },
+          { text: `🗑️ Descartar ${i + 1}`, callback_data: `des:${r.id || r.rowIndex}` }
+        ])
+      }
+    });
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude leer los pendientes: ' + logError('PENDIENTES', e));
+  }
+});
+
+// /reintentar_todo: reintenta en orden todas las filas en ERROR/PENDIENTE (salvo las que se están emitiendo)
+onComando('emitir', /^\/reintentar_todo$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const pend = (await pendientesDeEmision(em)).filter(r => !emisionesEnCurso.has(claveEmision(r)));
+    if (!pend.length) { await sendTgMessage(chatId, 'No hay comprobantes para reintentar.'); return; }
+    await sendTgMessage(chatId, `🔁 Reintentando ${pend.length} comprobante(s)…`);
+    let ok = 0;
+    for (const r of pend) {
+      if ((await reintentarYEntregar(chatId, em, r.id || r.rowIndex)).ok) ok++;
     }
+    await sendTgMessage(chatId, `Listo: ${ok} emitido(s), ${pend.length - ok} con error.` + (ok < pend.length ? ' Revisalos con /pendientes' : ''));
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude reintentar: ' + logError('REINTENTAR_TODO', e));
+  }
+});
 
-    // 4) Drive (opcional)
-    if (DRIVE_FOLDER_ID) {
-      await sendTgMessage(chatId, '☁️ Subiendo copia a Drive…');
+// ====== COMANDOS TELEGRAM (RECONCILIACIÓN) ======
+
+// /reconciliar: busca en AFIP las filas en ERROR/PENDIENTE y registra las que sí se autorizaron
+onComando('emitir', /^\/reconciliar$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const rows = await getFacturasRows(em);
+    const pend = rows.filter(r => r.estado === 'ERROR' || r.estado === 'PENDIENTE');
+    if (!pend.length) { await sendTgMessage(chatId, 'No hay comprobantes en ERROR ni PENDIENTE.'); return; }
+    await sendTgMessage(chatId, `🔎 Revisando ${pend.length} comprobante(s) en AFIP…`);
+
+    const cache = new Map();
+    const recuperados = [], sinEmitir = [];
+    for (const r of pend) {
+      const ref = `${r.rowIndex ? `Fila ${r.rowIndex}` : r.id}: ${r.cliente_nombre || '-'} ${formatMonto(r.total, r.moneda)}`;
       try {
-        const driveFile = await withTimeout(subirPDFaDrive(pdfInfo || {}), DRIVE_TIMEOUT_MS, 'Drive upload wrapper');
-        if (driveFile?.webViewLink) {
-          await sendTgMessage(chatId, `📄 Guardé una copia en Drive: ${driveFile.webViewLink}`);
-        } else {
-          await sendTgMessage(chatId, '⚠️ Subí el archivo pero no recibí link (revisá permisos de la carpeta).');
-        }
+        const found = await enColaAfip(em, () => buscarComprobanteAutorizado(r, rows, cache));
+        if (!found) { sinEmitir.push(ref); continue; }
+        await updateRowWithResult(r, found);
+        r.voucher_number = found.voucher_number; // ese número ya no puede asignarse a otra fila
+        const anulada = await anularSiQuedaEnCero(r, rows);
+        r.estado = 'EMITIDO';
+        recuperados.push(`${ref} → ${cbteNombre(r.cbte_tipo)} ${formatNroCbte(r.pto_vta, found.voucher_number)}${anulada.replace('\n', ' · ')}`);
+        await entregarComprobante(chatId, found.norm, found);
       } catch (e) {
-        await sendTgMessage(chatId, '⚠️ No pude subir a Drive: ' + humanError(e));
+        sinEmitir.push(`${ref} (${logError('RECONCILIAR', e)})`);
       }
     }
 
-    // 5) Actualizar planilla
-    try { await updateLastRowWithResult(result); }
-    catch (e) {
-      const msgErr = logError('SHEETS_UPDATE', e);
-      await sendTgMessage(chatId, `✅ Factura emitida\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}\nNro: ${result.voucher_number}\n⚠️ No pude escribir el resultado en tu planilla: ${msgErr}`);
-      finished = true; clearTimeout(watchdog);
+    let out = `✅ Recuperados: ${recuperados.length}`;
+    if (recuperados.length) out += '\n' + recuperados.join('\n');
+    if (sinEmitir.length) out += `\n\nSin comprobante en AFIP (se pueden reintentar): ${sinEmitir.length}\n` + sinEmitir.join('\n');
+    await sendTgMessage(chatId, out);
+  } catch (e) {
+    const msgErr = logError('RECONCILIAR', e);
+    await sendTgMessage(chatId, '❌ Error reconciliando: ' + msgErr);
+  }
+});
+
+// ====== COMANDOS TELEGRAM (PROGRAMADAS) ======
+
+// /programar DNI | Detalle | Total | día del mes
+onComando('emitir', /^\/programar\s+(.+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const parts = match[1].split('|').map(s => s.trim());
+    const dia = Number(parts.pop());
+    const mensaje = parts.join(' | ');
+    const parsed = parts.length >= 2 ? parseMessage(mensaje) : null;
+    if (!parsed || !Number.isInteger(dia) || dia < 1 || dia > 31) {
+      await sendTgMessage(chatId, 'Uso: /programar DNI o CUIT | Detalle | Total | día del mes (1-31)');
       return;
     }
+    const errTot = validarTotales(parsed);
+    if (errTot) { await sendTgMessage(chatId, '❌ ' + errTot); return; }
+    const pac = await getPacientePorDoc(parsed.doc_nro);
+    if (!pac) { await sendTgMessage(chatId, 'No encontré ese paciente. Guardalo primero con /paciente_guardar'); return; }
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+
+    const hoy = new Date();
+    const p = {
+      id: crypto.randomBytes(3).toString('hex').toUpperCase(),
+      chat_id: chatId,
+      emisor: em.id,
+      doc_nro: pac.doc_nro,
+      mensaje,
+      total: parsed.total,
+      dia,
+      alta: hoyISO(),
+      // Si el día de este mes ya pasó, la primera sale el mes que viene
+      ultimo_mes: hoy.getDate() > diaDeEmision(dia, hoy) ? mesActual(hoy) : '',
+      ultimo_resultado: ''
+    };
+    await storage.guardarProgramado(p);
+    await sendTgMessage(chatId, `✅ Programada ${p.id}: ${pac.nombre} · ${parsed.detalle} · ${formatMonto(parsed.total, parsed.moneda)} todos los días ${dia}`
+      + (EMISORES.length > 1 ? `\nEmisor: ${em.nombre}` : '')
+      + (p.ultimo_mes ? '\nLa primera sale el mes que viene.' : '')
+      + '\nVer: /programados · Cancelar: /desprogramar ' + p.id);
+    if (!p.ultimo_mes) correrProgramados(); // si vence hoy, sale ahora
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude programar: ' + logError('PROGRAMAR', e));
+  }
+});
 
-    // 6) Mensaje final OK
-    await sendTgMessage(chatId, `✅ Factura emitida\nCAE: ${result.CAE}\nVence: ${result.CAEFchVto}\nNro: ${result.voucher_number}`);
-    finished = true; clearTimeout(watchdog);
+onComando('consultar', /^\/programados$/i, async (msg) => {
+  const chatId = msg.chat.id;
+  try {
+    const lista = await storage.listarProgramados();
+    if (!lista.length) { await sendTgMessage(chatId, 'No hay facturas programadas. Usá /programar DNI | Detalle | Total | día'); return; }
+    const pacientes = await storage.listarPacientes();
+    const lines = lista.map(p => {
+      const nombre = pacientes.find(x => x.doc_nro === p.doc_nro)?.nombre || p.doc_nro;
+      return `• ${p.id} — ${nombre}: ${p.mensaje} · día ${p.dia}`
+        + (EMISORES.length > 1 ? ` · emisor ${EMISOR_POR_ID.get(p.emisor)?.nombre || p.emisor || EMISORES[0].nombre}` : '')
+        + (p.ultimo_resultado ? `\n   último (${p.ultimo_mes}): ${p.ultimo_resultado}` : '');
+    });
+    await sendTgMessage(chatId, `Facturas programadas:\n${lines.join('\n')}`);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude leer las programadas: ' + logError('PROGRAMADOS', e));
+  }
+});
+
+onComando('emitir', /^\/desprogramar\s+(\S+)$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const ok = await storage.quitarProgramado(match[1].toUpperCase());
+    await sendTgMessage(chatId, ok ? `🗑️ Programada ${match[1].toUpperCase()} cancelada.` : 'No existe esa programada. Mirá los IDs con /programados');
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude cancelar: ' + logError('DESPROGRAMAR', e));
+  }
+});
+
+// ====== COMANDOS TELEGRAM (RESUMEN) ======
+
+// /resumen → mes actual + últimos 12 meses · /resumen 2026-03 (o 03/2026) → ese mes · /resumen 2025 → ese año
+onComando('consultar', /^\/resumen(?:\s+(.+))?$/i, async (msg, match) => {
+  const chatId = msg.chat.id;
+  try {
+    const arg = (match[1] || '').trim();
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+    const porMes = totalesPorMes(await getFacturasRows(em));
+    const titulo = EMISORES.length > 1 ? ` · ${em.nombre}` : '';
+    const lineaMes = mes => {
+      const t = porMes.get(mes) || { facturado: 0, nc: 0, neto: 0, cant: 0 };
+      return `${mes}: ${formatARS(t.neto)}` + (t.nc ? ` (facturado ${formatARS(t.facturado)} − NC ${formatARS(t.nc)})` : '') + ` · ${t.cant} fact.`;
+    };
+
+    const m = arg.match(/^(\d{4})-(\d{1,2})$/) || arg.match(/^(\d{1,2})\/(\d{4})$/);
+    if (m) {
+      const [anio, mm] = m[1].length === 4 ? [m[1], m[2]] : [m[2], m[1]];
+      const mes = `${anio}-${String(mm).padStart(2, '0')}`;
+      await sendTgMessage(chatId, `📊 Resumen ${mes}${titulo}\n${lineaMes(mes)}`);
+      return;
+    }
+    if (/^\d{4}$/.test(arg)) {
+      const meses = Array.from({ length: 12 }, (_, i) => `${arg}-${String(i + 1).padStart(2, '0')}`);
+      const total = round2(meses.reduce((acc, mes) => acc + (porMes.get(mes)?.neto || 0), 0));
+      const lineas = meses.filter(mes => porMes.has(mes)).map(lineaMes);
+      await sendTgMessage(chatId, `📊 Resumen ${arg}${titulo}\n${lineas.join('\n') || 'Sin comprobantes.'}\n\nTotal ${arg}: ${formatARS(total)}`);
+      return;
+    }
+    if (arg) { await sendTgMessage(chatId, 'Uso: /resumen · /resumen 2026-03 · /resumen 2025'); return; }
+
+    const meses = ultimosMeses(12);
+    const total = totalUltimos12(porMes);
+    await sendTgMessage(chatId, `📊 Resumen${titulo}\nEste mes ${lineaMes(meses[11])}\n\nÚltimos 12 meses (${meses[0]} a ${meses[11]}): ${formatARS(total)}\n${lineaTope(total, em)}\n\n`
+      + meses.filter(mes => porMes.has(mes)).map(lineaMes).join('\n'));
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude armar el resumen: ' + logError('RESUMEN', e));
+  }
+});
+
+// ====== HANDLER DE ARCHIVOS (FACTURACIÓN EN LOTE E IMPORTACIÓN DE PACIENTES) ======
+// Se distinguen por las columnas: con total es un lote de facturas; con nombre y documento, pacientes
+bot.on('document', async (msg) => {
+  const chatId = msg.chat.id;
+  if (!(await autorizar(msg, 'pacientes'))) return; // el mínimo de los dos (emitir incluye pacientes)
+  try {
+    const archivo = msg.document.file_name || 'archivo';
+    const filas = await leerArchivoTabla(chatId, msg.document);
+    if (!filas) return;
+    if (esArchivoPacientes(filas[0])) { await recibirArchivoPacientes(chatId, archivo, filas); return; }
+    if (!(await autorizar(msg, 'emitir'))) return;
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (em) await recibirArchivoLote(chatId, archivo, filas, em);
+  } catch (e) {
+    await sendTgMessage(chatId, '❌ No pude leer el archivo: ' + logError('LOTE', e));
+  }
+});
+
+// ====== HANDLER DE MENSAJES (FACTURACIÓN) ======
+bot.on('message', async (msg) => {
+  const chatId = msg.chat.id;
+  const text = (msg.text || '').trim();
+  if (msg.document) return; // lo maneja el handler de archivos
+
+  if (text === '/start') {
+    if (!(await autorizar(msg, 'consultar'))) return;
+    await sendTgMessage(chatId, 'Hola! Podés facturar enviando:\n• Con 4 campos: Nombre | DNI o CUIT | Detalle | Total\n• O con 3 campos si ya guardaste al paciente: DNI o CUIT | Detalle | Total\n• Varios ítems: DNI o CUIT | 3 x Sesión 12.000; 1 x Evaluación 20.000 (Total opcional al final)\n• O en varias líneas: DNI o CUIT en la primera y un ítem por línea\n• En dólares: el total como USD 150 (USD 150 @ 1050 fija la cotización; si no, usa la de AFIP)\n• Fechas (opcional, como campo aparte): fecha 30/09 · periodo 2026-09 · desde 01/09 hasta 30/09 · vence 10/10\n• O paso a paso, con vista previa: /facturar (/cancelar para salir)\n• Muchas juntas: mandá un .csv con columnas doc | detalle | total | periodo (nombre, opcional)\n\nGestión de pacientes:\n/paciente_guardar Nombre | DNI o CUIT NNN | Domicilio\n/paciente_guardar CUIT NNN (datos del padrón de AFIP)\n/paciente_email DNI correo@ejemplo.com\n/paciente_buscar texto\n/paciente_usar NNNNN\n/paciente_actual\n/paciente_soltar\n/paciente_editar DNI campo valor\n/paciente_borrar DNI\n/pacientes_exportar\n• Importar: mandá un .csv con Nombre | Tipo doc | Nro doc | Domicilio | Email (como el de /pacientes_exportar)\n• Condición IVA y valores habituales: /paciente_editar DNI iva exento · detalle Sesión · monto 12.000 · entrega email (después alcanza con mandar el DNI)\n\nEmisor (si hay varios):\n/emisor [id]\n\nNotas de crédito:\n/anular 0001-00000123\n/nota_credito 0001-00000123 | Monto | Motivo\n\nRecibos (pagos recibidos):\n/recibo 0001-00000123 [0001-00000124] | Forma de pago [| Monto]\n/recibo DNI NNN | Forma de pago | Monto | Concepto (pago a cuenta)\n\nFacturas mensuales:\n/programar DNI | Detalle | Total | día\n/programados\n/desprogramar ID\n\nTotales y tope del monotributo:\n/resumen [2026-03 | 2025]\n\nVolver a pedir el PDF:\n/factura 0001-00000123 [afip]\n/facturas DNI\n\nReenviar el PDF por mail:\n/enviar_mail 0001-00000123 [otro@correo.com]\n\nComprobantes con error:\n/pendientes\n/reintentar_todo\n\nSi AFIP no respondió:\n/reconciliar\n\nUsuarios (admin):\n/usuarios\n/usuario_agregar ID admin|asistente|lector [Nombre]\n/usuario_quitar ID');
+    return;
+  }
+  if (text.startsWith('/')) return; // otros comandos ya se manejan arriba
+  if (!(await autorizar(msg, 'emitir'))) return;
+
+  try {
+    // Asistente /facturar esperando un dato: el texto es la respuesta
+    if (await responderAsistente(chatId, text)) return;
+
+    const atajo = await expandirAtajoPaciente(text);
+    if (atajo?.error) { await sendTgMessage(chatId, '❌ ' + atajo.error); return; }
+    const parsed = parseMessage(atajo?.texto || text);
+    if (!parsed) {
+      await sendTgMessage(chatId, 'Formato incorrecto.\nUsá: Nombre | DNI o CUIT | Detalle | Total\nO si ya guardaste al paciente: DNI o CUIT | Detalle | Total (o solo DNI, con su detalle y monto habituales)\nVarios ítems: DNI o CUIT | 3 x Sesión 12.000; 1 x Evaluación 20.000\nO paso a paso: /facturar');
+      return;
+    }
+    const errTot = validarTotales(parsed);
+    if (errTot) {
+      await sendTgMessage(chatId, '❌ ' + errTot);
+      return;
+    }
+
+    const em = await emisorDelChat(chatId, msg.from?.id);
+    if (!em) return;
+
+    // Completar datos desde "Pacientes" o paciente activo
+    const parsedCompleted = await completarPaciente(asignarEmisor(parsed, em), chatId);
+    const errCuit = await verificarCUIT(parsedCompleted, em);
+    if (errCuit) {
+      await sendTgMessage(chatId, `⚠️ ${errCuit}\nNo emití nada. Si igual va a Consumidor Final, mandalo con DNI 0.`);
+      return;
+    }
+    parsedCompleted.cbte_tipo = tipoFacturaPara(parsedCompleted);
+    const errFch = await validarFechasEmision(parsedCompleted);
+    if (errFch) {
+      await sendTgMessage(chatId, '❌ ' + errFch);
+      return;
+    }
+
+    // Montos altos: vista previa y confirmación antes de ir a AFIP
+    if (await requiereConfirmacion(parsedCompleted)) {
+      await mostrarVistaPrevia(chatId, { row: parsedCompleted });
+      return;
+    }
+    await emitirDesdeChat(chatId, parsedCompleted);
   } catch (e) {
     const msgErr = logError('HANDLER_FATAL', e);
-    await markLastRowError('FATAL: ' + msgErr);
     await sendTgMessage(chatId, '❌ Error inesperado: ' + msgErr);
-  } finally {
-    try { clearTimeout(watchdog); } catch {}
   }
 });
 
 // ====== START ======
-app.listen(PORT, () => {
-  console.log('Server on', PORT, '| PROD=', AFIP_PROD, '| PtoVta=', AFIP_PTO_VTA, '| Tipo=', AFIP_CBTE_TIPO);
-});
-process.on('unhandledRejection', (e) => console.error('[unhandledRejection]', e));
-process.on('uncaughtException', (e) => console.error('[uncaughtException]', e));
+// Con `node server.js` arranca solo. Cargado desde otro módulo (pruebas) no abre el puerto ni programa nada:
+// iniciar() / detener() a mano.
+let servidor = null;
+let timersProgramados = null;
+function iniciar(port = PORT) {
+  if (servidor) return servidor;
+  const srv = app.listen(port, () => {
+    console.log('Server on', srv.address()?.port ?? port, '| PROD=', AFIP_PROD, AFIP_SDK_URL ? `| AFIP en ${AFIP_SDK_URL}` : '', '| Emisores:',
+      EMISORES.map(e => `${e.id} (CUIT ${e.cuit} · PtoVta ${e.pto_vta} · ${e.ri ? 'A/B (RI)' : e.cbte_tipo})`).join(', '));
+  });
+  servidor = srv;
+  if (!adminsSemilla().length) {
+    console.warn('[USUARIOS] Sin TG_ADMIN_IDS no hay admins: solo podrán usar el bot los usuarios guardados en', storage.descripcion,
+      '— poné tu chat_id (aparece en el log como [TELEGRAM_CHAT_ID]) en TG_ADMIN_IDS');
+  }
+  // Facturas programadas: primera revisión al arrancar y después cada PROGRAMADOS_INTERVALO_MS
+  timersProgramados = {
+    primera: setTimeout(correrProgramados, 10000),
+    cada: setInterval(correrProgramados, PROGRAMADOS_INTERVALO_MS)
+  };
+  return servidor;
+}
+function detener() {
+  if (timersProgramados) {
+    clearTimeout(timersProgramados.primera);
+    clearInterval(timersProgramados.cada);
+    timersProgramados = null;
+  }
+  if (!servidor) return Promise.resolve();
+  const s = servidor;
+  servidor = null;
+  return new Promise(resolve => { s.closeAllConnections?.(); s.close(() => resolve()); });
+}
+
+if (require.main === module) {
+  iniciar();
+  process.on('unhandledRejection', (e) => console.error('[unhandledRejection]', e));
+  process.on('uncaughtException', (e) => console.error('[uncaughtException]', e));
+}
+
+// Para pruebas con los clientes de simulados/ (ver clientes.js y test/)
+module.exports = {
+  app, bot, storage, correrProgramados, iniciar, detener,
+  normalizarReceptor, emitirConReconciliacion, buscarComprobanteAutorizado
+};
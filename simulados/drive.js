@@ -0,0 +1,40 @@
+// simulados/drive.js — Google Drive de mentira: los archivos subidos quedan en una carpeta local
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+/**
+ * @param {object} o
+ * @param {string} o.dir carpeta donde se guardan los archivos (se crea si no existe)
+ */
+function crearDriveSimulado({ dir }) {
+  const subidos = []; // { id, name, parents, ruta }
+
+  return {
+    simulado: true,
+    subidos,
+    files: {
+      async create({ requestBody, media }) {
+        const id = crypto.randomBytes(8).toString('hex');
+        const ruta = path.join(dir, `${id}-${path.basename(requestBody.name)}`);
+        fs.mkdirSync(dir, { recursive: true });
+        if (typeof media?.body?.pipe === 'function') await pipeline(media.body, fs.createWriteStream(ruta));
+        else fs.writeFileSync(ruta, media?.body ?? '');
+        const f = { id, name: requestBody.name, parents: requestBody.parents || [], ruta };
+        subidos.push(f);
+        const link = `file://${ruta}`;
+        return { data: { id, parents: f.parents, webViewLink: link, webContentLink: link } };
+      }
+    },
+    about: {
+      async get() {
+        return { data: { user: { emailAddress: 'simulado@localhost', displayName: 'Drive simulado' } } };
+      }
+    }
+  };
+}
+
+module.exports = { crearDriveSimulado };
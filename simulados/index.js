@@ -0,0 +1,9 @@
+// simulados/index.js — reemplazos locales de Telegram, Google Sheets y Google Drive (para pruebas; ver clientes.js)
+// Para AFIP está afip-simulador.js (con AFIP_SDK_URL).
+'use strict';
+
+const { crearBotSimulado } = require('./telegram');
+const { crearSheetsSimulado } = require('./sheets');
+const { crearDriveSimulado } = require('./drive');
+
+module.exports = { crearBotSimulado, crearSheetsSimulado, crearDriveSimulado };
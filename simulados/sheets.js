@@ -0,0 +1,114 @@
+// simulados/sheets.js — planilla en memoria con la parte de google.sheets v4 que usa storage/sheets.js
+'use strict';
+
+const copia = x => JSON.parse(JSON.stringify(x));
+
+// "B" → 1 · "AA" → 26
+function colIndice(letras) {
+  return letras.split('').reduce((acc, c) => acc * 26 + c.charCodeAt(0) - 64, 0) - 1;
+}
+// "Hoja 1!A2:J2" → { hoja, c1, f1, c2, f2 } (índices desde 0; f1/f2 null = toda la columna)
+function parsearRango(rango) {
+  const i = rango.lastIndexOf('!');
+  const hoja = rango.slice(0, i).replace(/^'(.*)'$/, '$1');
+  const m = rango.slice(i + 1).match(/^([A-Z]+)(\d*)(?::([A-Z]+)(\d*))?$/);
+  if (!m) throw new Error(`Rango no soportado por la planilla simulada: ${rango}`);
+  return {
+    hoja,
+    c1: colIndice(m[1]), f1: m[2] ? Number(m[2]) - 1 : null,
+    c2: colIndice(m[3] || m[1]), f2: m[4] ? Number(m[4]) - 1 : (m[3] ? null : (m[2] ? Number(m[2]) - 1 : null))
+  };
+}
+
+/**
+ * @param {object} [o]
+ * @param {Object<string, any[][]>} [o.hojas] contenido inicial por pestaña (filas con su encabezado)
+ */
+function crearSheetsSimulado({ hojas = {} } = {}) {
+  const datos = copia(hojas);
+
+  function hoja(nombre) {
+    if (!datos[nombre]) {
+      const e = new Error(`Unable to parse range: ${nombre}`);
+      e.code = 400;
+      throw e;
+    }
+    return datos[nombre];
+  }
+  // Como la API: sin celdas vacías al final de cada fila ni filas vacías al final
+  function recortar(filas) {
+    const out = filas.map(f => {
+      const r = [...(f || [])];
+      while (r.length && (r[r.length - 1] === '' || r[r.length - 1] == null)) r.pop();
+      return r.map(v => (v == null ? '' : v));
+    });
+    while (out.length && !out[out.length - 1].length) out.pop();
+    return out;
+  }
+  // Sin UNFORMATTED_VALUE la API devuelve texto
+  const formatear = (v, opcion) => (opcion === 'UNFORMATTED_VALUE' || typeof v === 'string' ? v : String(v));
+
+  function escribirEn(r, valores) {
+    const filas = hoja(r.hoja);
+    valores.forEach((vals, k) => {
+      const fi = (r.f1 ?? 0) + k;
+      while (filas.length <= fi) filas.push([]);
+      vals.forEach((v, j) => { filas[fi][r.c1 + j] = v; });
+    });
+  }
+
+  const values = {
+    async get({ range, valueRenderOption }) {
+      const r = parsearRango(range);
+      const filas = hoja(r.hoja).slice(r.f1 ?? 0, r.f2 == null ? undefined : r.f2 + 1);
+      const recorte = recortar(filas.map(f => (f || []).slice(r.c1, r.c2 + 1)));
+      return { data: { range, values: recorte.map(f => f.map(v => formatear(v, valueRenderOption))) } };
+    },
+    async append({ range, requestBody }) {
+      const r = parsearRango(range);
+      const filas = hoja(r.hoja);
+      const desde = recortar(filas).length;
+      escribirEn({ ...r, f1: desde }, copia(requestBody.values));
+      return { data: { updates: { updatedRange: `${r.hoja}!A${desde + 1}`, updatedRows: requestBody.values.length } } };
+    },
+    async update({ range, requestBody }) {
+      escribirEn(parsearRango(range), copia(requestBody.values));
+      return { data: { updatedRange: range } };
+    },
+    async batchUpdate({ requestBody }) {
+      for (const d of requestBody.data || []) escribirEn(parsearRango(d.range), copia(d.values));
+      return { data: { totalUpdatedRanges: (requestBody.data || []).length } };
+    },
+    async clear({ range }) {
+      const r = parsearRango(range);
+      const filas = hoja(r.hoja);
+      const hasta = r.f2 == null ? filas.length - 1 : r.f2;
+      for (let i = r.f1 ?? 0; i <= hasta && i < filas.length; i++) {
+        for (let c = r.c1; c <= r.c2; c++) if (filas[i]) filas[i][c] = '';
+      }
+      return { data: { clearedRange: range } };
+    }
+  };
+
+  return {
+    simulado: true,
+    datos, // pestaña → filas (para mirar desde las pruebas)
+    spreadsheets: {
+      values,
+      async get() {
+        return { data: { sheets: Object.keys(datos).map(title => ({ properties: { title } })) } };
+      },
+      async batchUpdate({ requestBody }) {
+        for (const req of requestBody.requests || []) {
+          const title = req.addSheet?.properties?.title;
+          if (!title) throw new Error('La planilla simulada solo soporta addSheet');
+          if (datos[title]) throw new Error(`Ya existe una hoja con el nombre "${title}"`);
+          datos[title] = [];
+        }
+        return { data: {} };
+      }
+    }
+  };
+}
+
+module.exports = { crearSheetsSimulado };
@@ -0,0 +1,106 @@
+// simulados/telegram.js — bot de Telegram de mentira: recibe updates simulados y anota todo lo que el server manda
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Misma interfaz que usa server.js de node-telegram-bot-api (onText, on, processUpdate, sendMessage, ...)
+function crearBotSimulado() {
+  const textos = [];    // [regexp, callback]
+  const eventos = {};   // evento → [callback]
+  const enviados = [];  // { tipo: 'mensaje'|'documento'|'respuesta'|'edicion', chat_id, texto, archivo, opts }
+  const archivos = new Map(); // file_id → ruta local (documentos que "mandó" el usuario)
+  let nroMensaje = 0;
+
+  function anotar(e) {
+    enviados.push(e);
+    return { message_id: ++nroMensaje, chat: { id: e.chat_id }, text: e.texto };
+  }
+
+  // Como node-telegram-bot-api: primero 'message', después cada onText que coincida, después 'callback_query'.
+  // Devuelve una promesa que espera a todos los handlers (en Telegram real no se espera a nadie).
+  function processUpdate(update) {
+    const tareas = [];
+    const emitir = (ev, ...args) => (eventos[ev] || []).forEach(fn => tareas.push(fn(...args)));
+    const msg = update.message;
+    if (msg) {
+      emitir('message', msg);
+      if (msg.document) emitir('document', msg);
+      if (msg.text) {
+        for (const [re, fn] of textos) {
+          re.lastIndex = 0;
+          const m = re.exec(msg.text);
+          if (m) tareas.push(fn(msg, m));
+        }
+      }
+    }
+    if (update.callback_query) emitir('callback_query', update.callback_query);
+    return Promise.all(tareas);
+  }
+
+  const bot = {
+    simulado: true,
+    enviados,
+    setWebHook: async () => true,
+    onText(re, fn) { textos.push([re, fn]); },
+    on(ev, fn) { (eventos[ev] = eventos[ev] || []).push(fn); },
+    processUpdate,
+
+    async sendMessage(chatId, text, opts) {
+      return anotar({ tipo: 'mensaje', chat_id: chatId, texto: text, opts });
+    },
+    async sendDocument(chatId, doc, opts) {
+      const archivo = typeof doc === 'string' ? doc : doc?.path;
+      if (doc?.destroy) doc.destroy(); // el server manda un ReadStream: no queda abierto
+      return anotar({ tipo: 'documento', chat_id: chatId, archivo, nombre: archivo && path.basename(archivo), opts });
+    },
+    async answerCallbackQuery(id, opts) {
+      enviados.push({ tipo: 'respuesta', callback_id: id, texto: opts?.text || '', opts });
+      return true;
+    },
+    async editMessageReplyMarkup(markup, opts) {
+      enviados.push({ tipo: 'edicion', chat_id: opts?.chat_id, message_id: opts?.message_id, opts: { reply_markup: markup } });
+      return true;
+    },
+    async editMessageText(text, opts) {
+      enviados.push({ tipo: 'edicion', chat_id: opts?.chat_id, message_id: opts?.message_id, texto: text, opts });
+      return true;
+    },
+    getFileStream(fileId) {
+      if (!archivos.has(fileId)) throw new Error(`ETELEGRAM: 400 Bad Request: invalid file_id ${fileId}`);
+      return fs.createReadStream(archivos.get(fileId));
+    },
+
+    // ---- Para las pruebas ----
+    // Un mensaje de texto (from = el mismo chat, como en un chat privado)
+    recibir(chatId, texto, { from = { id: chatId, first_name: 'Prueba' }, ...extra } = {}) {
+      return processUpdate({ message: { message_id: ++nroMensaje, chat: { id: chatId }, from, date: Math.floor(Date.now() / 1000), text: texto, ...extra } });
+    },
+    // Un documento (archivo local) mandado al chat, con caption opcional
+    enviarArchivo(chatId, ruta, { from = { id: chatId, first_name: 'Prueba' }, caption } = {}) {
+      const file_id = `f${++nroMensaje}`;
+      archivos.set(file_id, ruta);
+      const document = { file_id, file_name: path.basename(ruta), file_size: fs.statSync(ruta).size };
+      return processUpdate({ message: { message_id: nroMensaje, chat: { id: chatId }, from, date: Math.floor(Date.now() / 1000), document, caption } });
+    },
+    // Tocar un botón inline (callback_data)
+    tocar(chatId, data, { from = { id: chatId, first_name: 'Prueba' }, message_id = nroMensaje } = {}) {
+      return processUpdate({ callback_query: { id: `cb${++nroMensaje}`, from, data, message: { message_id, chat: { id: chatId } } } });
+    },
+    // Textos que recibió el chat (mensajes y captions de documentos), en orden
+    conversacion(chatId) {
+      return enviados
+        .filter(e => String(e.chat_id) === String(chatId) && (e.tipo === 'mensaje' || e.tipo === 'documento'))
+        .map(e => (e.tipo === 'documento' ? `[${e.nombre}] ${e.opts?.caption || ''}` : e.texto));
+    },
+    ultimo(chatId) {
+      return bot.conversacion(chatId).pop();
+    },
+    limpiar() {
+      enviados.length = 0;
+    }
+  };
+  return bot;
+}
+
+module.exports = { crearBotSimulado };
@@ -0,0 +1,70 @@
+// storage/index.js — elige dónde se guardan facturas, pacientes, usuarios, auditoría, programadas y sesiones
+//
+// Todos los backends exponen la misma interfaz (async):
+//   agregarFactura(f) · listarFacturas() · actualizarFactura(ref, campos)
+//   facturasEn(hoja) → { agregarFactura, listarFacturas, actualizarFactura } en la pestaña de otro emisor
+//   listarPacientes() · guardarPaciente(p) → 'APPENDED' | 'UPDATED' · quitarPaciente(doc_nro) → bool
+//   listarUsuarios() · guardarUsuario(u) · quitarUsuario(id) → bool
+//   registrarAuditoria(a)
+//   listarProgramados() · guardarProgramado(p) · quitarProgramado(id) → bool
+//   listarSesiones() · guardarSesion(s) · quitarSesion(chatId) → bool   (una por chat_id)
+//   exportar({ hojasFacturas }) · importar(datos)   (para migrar de un backend a otro)
+'use strict';
+
+const crypto = require('crypto');
+const { crearSheetsStorage } = require('./sheets');
+const { crearLocalStorage } = require('./local');
+
+const TIPOS = ['sheets', 'local'];
+
+// STORAGE=sheets|local. Sin STORAGE: Sheets si hay credenciales de Google, si no local.
+function tipoStorage(env = process.env) {
+  const t = String(env.STORAGE || (env.GOOGLE_SA_JSON ? 'sheets' : 'local')).toLowerCase();
+  if (!TIPOS.includes(t)) throw new Error(`STORAGE inválido: "${t}" (usá ${TIPOS.join(' o ')})`);
+  return t;
+}
+
+// Credenciales de la cuenta de servicio (null si no hay o no son JSON válido)
+function googleCredenciales(env = process.env) {
+  if (!env.GOOGLE_SA_JSON) return null;
+  try { return JSON.parse(env.GOOGLE_SA_JSON); }
+  catch (e) { throw new Error(`GOOGLE_SA_JSON no es un JSON válido: ${e.message}`); }
+}
+
+// o.sheets: otro cliente de Sheets (p. ej. el de simulados/); sin él, el real con GOOGLE_SA_JSON
+function crearStorage(env = process.env, tipo = tipoStorage(env), o = {}) {
+  if (tipo === 'local') {
+    return crearLocalStorage({ dir: env.STORAGE_DIR || './data' });
+  }
+  if (!env.SHEET_ID) throw new Error('STORAGE=sheets necesita SHEET_ID');
+  return crearSheetsStorage({
+    sheets: o.sheets || clienteSheets(env),
+    spreadsheetId: env.SHEET_ID,
+    hojas: {
+      facturas: env.SHEET_NAME || 'Hoja 1',
+      pacientes: env.PACIENTES_SHEET_NAME || 'Pacientes',
+      usuarios: env.USUARIOS_SHEET_NAME || 'Usuarios',
+      auditoria: env.AUDITORIA_SHEET_NAME || 'Auditoria',
+      programados: env.PROGRAMADOS_SHEET_NAME || 'Programados',
+      sesiones: env.SESIONES_SHEET_NAME || 'Sesiones'
+    }
+  });
+}
+
+function clienteSheets(env) {
+  const credentials = googleCredenciales(env);
+  if (!credentials) throw new Error('STORAGE=sheets necesita GOOGLE_SA_JSON');
+  const { google } = require('googleapis');
+  const auth = new google.auth.GoogleAuth({
+    credentials,
+    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+  });
+  return google.sheets({ version: 'v4', auth });
+}
+
+// ID único por comprobante: las actualizaciones posteriores apuntan a ese registro
+function nuevoIdFactura() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`.toUpperCase();
+}
+
+module.exports = { crearStorage, tipoStorage, googleCredenciales, nuevoIdFactura, TIPOS };
@@ -0,0 +1,197 @@
+// storage/local.js — persistencia en un archivo JSON local (sin Google)
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const COLECCIONES = ['facturas', 'pacientes', 'usuarios', 'auditoria', 'programados', 'sesiones'];
+const onlyDigits = s => String(s || '').replace(/\D/g, '');
+const copia = x => JSON.parse(JSON.stringify(x));
+
+/**
+ * @param {object} o
+ * @param {string} o.dir carpeta donde vive facturacion.json (se crea si no existe)
+ */
+function crearLocalStorage({ dir }) {
+  const file = path.join(dir, 'facturacion.json');
+  let db = null;
+  let cola = Promise.resolve();
+
+  function cargar() {
+    if (db) return db;
+    try {
+      db = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new Error(`No pude leer ${file}: ${e.message}`);
+      db = {};
+    }
+    for (const c of COLECCIONES) db[c] = Array.isArray(db[c]) ? db[c] : [];
+    return db;
+  }
+  // Escritura atómica: archivo temporal + rename (un corte no deja el JSON a medias)
+  function guardar() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(db, null, 2));
+    fs.renameSync(tmp, file);
+  }
+  // Las escrituras se encolan para que dos mensajes simultáneos no se pisen
+  function escribir(fn) {
+    const p = cola.then(() => {
+      const r = fn(cargar());
+      guardar();
+      return r;
+    });
+    cola = p.catch(() => {});
+    return p;
+  }
+  async function leer(coleccion) {
+    await cola;
+    return copia(cargar()[coleccion] || []);
+  }
+
+  // ---- Facturas ----
+  // Cada emisor puede tener su propia colección ("facturas:<hoja>"); sin hoja, la de siempre
+  function facturasEn(hoja) {
+    const col = hoja ? `facturas:${hoja}` : 'facturas';
+    function agregarFactura(f) {
+      if (!f.id) throw new Error('La factura necesita un id');
+      return escribir(d => { (d[col] = d[col] || []).push(copia(f)); });
+    }
+    function listarFacturas() {
+      return leer(col);
+    }
+    function actualizarFactura(ref, campos) {
+      return escribir(d => {
+        const f = (d[col] || []).find(x => x.id === ref);
+        if (!f) throw new Error(`No encontré la factura ${ref} en ${file}`);
+        Object.assign(f, copia(campos));
+      });
+    }
+    return { agregarFactura, listarFacturas, actualizarFactura };
+  }
+  const { agregarFactura, listarFacturas, actualizarFactura } = facturasEn();
+
+  // ---- Pacientes ----
+  function listarPacientes() {
+    return leer('pacientes');
+  }
+  function guardarPaciente(p) {
+    const nuevo = {
+      nombre: p.nombre,
+      doc_tipo: (p.doc_tipo || '').toUpperCase(),
+      doc_nro: onlyDigits(p.doc_nro),
+      domicilio: p.domicilio || '',
+      email: p.email || '',
+      cond_iva: p.cond_iva || '',
+      detalle: p.detalle || '',
+      monto: p.monto ?? '',
+      entrega: p.entrega || ''
+    };
+    return escribir(d => {
+      const i = d.pacientes.findIndex(x => x.doc_nro === nuevo.doc_nro);
+      if (i >= 0) { d.pacientes[i] = nuevo; return 'UPDATED'; }
+      d.pacientes.push(nuevo);
+      return 'APPENDED';
+    });
+  }
+  function quitarPaciente(doc_nro) {
+    return escribir(d => {
+      const antes = d.pacientes.length;
+      d.pacientes = d.pacientes.filter(x => x.doc_nro !== onlyDigits(doc_nro));
+      return d.pacientes.length < antes;
+    });
+  }
+
+  // ---- Usuarios ----
+  function listarUsuarios() {
+    return leer('usuarios');
+  }
+  function guardarUsuario(u) {
+    const nuevo = { id: String(u.id), rol: u.rol, nombre: u.nombre || '', alta: u.alta || '' };
+    return escribir(d => {
+      const i = d.usuarios.findIndex(x => x.id === nuevo.id);
+      if (i >= 0) d.usuarios[i] = nuevo;
+      else d.usuarios.push(nuevo);
+    });
+  }
+  function quitarUsuario(id) {
+    return escribir(d => {
+      const antes = d.usuarios.length;
+      d.usuarios = d.usuarios.filter(x => x.id !== String(id));
+      return d.usuarios.length < antes;
+    });
+  }
+
+  // ---- Auditoría ----
+  function registrarAuditoria(a) {
+    return escribir(d => { d.auditoria.push(copia(a)); });
+  }
+
+  // ---- Facturas programadas (mensuales) ----
+  function listarProgramados() {
+    return leer('programados');
+  }
+  function guardarProgramado(p) {
+    const nuevo = copia(p);
+    return escribir(d => {
+      const i = d.programados.findIndex(x => x.id === nuevo.id);
+      if (i >= 0) d.programados[i] = nuevo;
+      else d.programados.push(nuevo);
+    });
+  }
+  function quitarProgramado(id) {
+    return escribir(d => {
+      const antes = d.programados.length;
+      d.programados = d.programados.filter(x => x.id !== id);
+      return d.programados.length < antes;
+    });
+  }
+
+  // ---- Sesiones de chat (paciente activo, asistente) ----
+  function listarSesiones() {
+    return leer('sesiones');
+  }
+  function guardarSesion(s) {
+    const nueva = { ...copia(s), chat_id: String(s.chat_id) };
+    return escribir(d => {
+      const i = d.sesiones.findIndex(x => x.chat_id === nueva.chat_id);
+      if (i >= 0) d.sesiones[i] = nueva;
+      else d.sesiones.push(nueva);
+    });
+  }
+  function quitarSesion(chatId) {
+    return escribir(d => {
+      const antes = d.sesiones.length;
+      d.sesiones = d.sesiones.filter(x => x.chat_id !== String(chatId));
+      return d.sesiones.length < antes;
+    });
+  }
+
+  // ---- Migración ----
+  // Incluye las facturas de otros emisores ("facturas:<hoja>") que haya en el archivo
+  async function exportar() {
+    await cola;
+    return copia(cargar());
+  }
+  function importar(datos) {
+    return escribir(d => {
+      for (const c of COLECCIONES) d[c] = copia(datos[c] || []);
+      for (const c of Object.keys(datos).filter(k => k.startsWith('facturas:'))) d[c] = copia(datos[c]);
+    });
+  }
+
+  return {
+    tipo: 'local',
+    descripcion: `archivo local ${file}`,
+    agregarFactura, listarFacturas, actualizarFactura, facturasEn,
+    listarPacientes, guardarPaciente, quitarPaciente,
+    listarUsuarios, guardarUsuario, quitarUsuario,
+    registrarAuditoria,
+    listarProgramados, guardarProgramado, quitarProgramado,
+    listarSesiones, guardarSesion, quitarSesion,
+    exportar, importar
+  };
+}
+
+module.exports = { crearLocalStorage };
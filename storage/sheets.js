@@ -0,0 +1,399 @@
+// storage/sheets.js — persistencia en Google Sheets (una pestaña por colección)
+'use strict';
+
+// Columnas de la hoja de facturas (A..AG), en orden
+const COLS_FACTURAS = [
+  'fecha', 'cliente_nombre', 'doc_tipo', 'doc_nro', 'concepto', 'detalle', 'total', 'pto_vta', 'cbte_tipo', // A..I
+  'estado', 'CAE', 'CAEFchVto', 'voucher_number', 'error',   // J..N
+  'domicilio',                                               // O
+  'cbte_asoc',                                               // P "11:0001-00000123" (notas de crédito)
+  'items',                                                   // Q ítems en JSON
+  'neto', 'iva', 'exento',                                   // R..T
+  'id',                                                      // U
+  'pdf', 'drive',                                            // V..W
+  'mail_estado', 'mail_detalle',                             // X..Y ENVIADO | ERROR | SIN_EMAIL
+  'moneda', 'cotizacion',                                    // Z..AA PES | DOL y tipo de cambio informado a AFIP
+  'fch_serv_desde', 'fch_serv_hasta', 'fch_vto_pago',        // AB..AD período del servicio y vencimiento del pago
+  'cond_iva',                                                // AE condición IVA del receptor (código AFIP; vacía: según el documento)
+  'forma_pago', 'cbtes_cancelados'                           // AF..AG recibos: cómo pagó y "11:0001-00000123=1500; ..." (lo aplicado a cada factura)
+];
+const ENCABEZADOS = {
+  facturas: ['Fecha', 'Cliente', 'Doc tipo', 'Doc nro', 'Concepto', 'Detalle', 'Total', 'Pto vta', 'Cbte tipo',
+    'Estado', 'CAE', 'CAE Vto', 'Nro', 'Error', 'Domicilio', 'Cbte asociado', 'Ítems', 'Neto', 'IVA', 'Exento', 'ID', 'PDF', 'Drive', 'Mail', 'Mail detalle', 'Moneda', 'Cotización',
+    'Serv. desde', 'Serv. hasta', 'Vto. pago', 'Cond. IVA', 'Forma de pago', 'Facturas canceladas'],
+  pacientes: ['Nombre', 'Tipo doc', 'Nro doc', 'Domicilio', 'Email', 'Cond. IVA', 'Detalle habitual', 'Monto habitual', 'Entrega'],
+  usuarios: ['ID', 'Rol', 'Nombre', 'Alta'],
+  auditoria: ['Fecha', 'Evento', 'Usuario ID', 'Usuario', 'Chat ID', 'Detalle'],
+  programados: ['ID', 'Chat ID', 'Doc nro', 'Mensaje', 'Total', 'Día', 'Alta', 'Último mes', 'Último resultado', 'Emisor'],
+  sesiones: ['Chat ID', 'Datos', 'Actualizado']
+};
+
+const onlyDigits = s => String(s || '').replace(/\D/g, '');
+// Índice de columna (0 = A) → letra(s): 25 = Z, 26 = AA
+const colLetra = i => (i >= 26 ? colLetra(Math.floor(i / 26) - 1) : '') + String.fromCharCode(65 + (i % 26));
+const ULTIMA_COL = colLetra(COLS_FACTURAS.length - 1);
+
+function formatCbteAsoc(a) {
+  return `${a.tipo}:${String(a.pto_vta).padStart(4, '0')}-${String(a.nro).padStart(8, '0')}`;
+}
+function parseCbteAsoc(str) {
+  const m = String(str || '').match(/^(\d+):(\d+)-(\d+)$/);
+  if (!m) return null;
+  return { tipo: Number(m[1]), pto_vta: Number(m[2]), nro: Number(m[3]) };
+}
+// Recibos: [{ tipo, pto_vta, nro, importe }] ↔ "11:0001-00000123=1500; 11:0001-00000124=700"
+function formatCbtesCancelados(lista) {
+  return lista.map(a => `${formatCbteAsoc(a)}=${a.importe}`).join('; ');
+}
+function parseCbtesCancelados(str) {
+  const out = String(str || '').split(';').map(s => {
+    const [asoc, importe] = s.trim().split('=');
+    const a = parseCbteAsoc(asoc);
+    return a && { ...a, importe: Number(importe) || 0 };
+  }).filter(Boolean);
+  return out.length ? out : null;
+}
+function parseItemsJSON(str) {
+  if (!str) return null;
+  try { return JSON.parse(str); } catch { return null; }
+}
+
+// Objeto factura → celdas (solo los campos presentes)
+function celdaFactura(campo, v) {
+  if (campo === 'cbte_asoc') return v ? formatCbteAsoc(v) : '';
+  if (campo === 'cbtes_cancelados') return v?.length ? formatCbtesCancelados(v) : '';
+  if (campo === 'items') return v?.length ? JSON.stringify(v) : '';
+  return v ?? '';
+}
+function facturaDesdeFila(r, rowIndex) {
+  return {
+    rowIndex,
+    fecha: r[0],
+    cliente_nombre: r[1],
+    doc_tipo: r[2],
+    doc_nro: r[3],
+    concepto: Number(r[4]),
+    detalle: r[5],
+    total: Number(r[6]),
+    pto_vta: Number(r[7]),
+    cbte_tipo: Number(r[8]),
+    estado: r[9],
+    CAE: r[10],
+    CAEFchVto: r[11],
+    voucher_number: Number(r[12]),
+    error: r[13],
+    domicilio: r[14] || '',
+    cbte_asoc: parseCbteAsoc(r[15]),
+    items: parseItemsJSON(r[16]),
+    neto: Number(r[17]) || 0,
+    iva: Number(r[18]) || 0,
+    exento: Number(r[19]) || 0,
+    id: r[20] || '',
+    pdf: r[21] || '',
+    drive: r[22] || '',
+    mail_estado: r[23] || '',
+    mail_detalle: r[24] || '',
+    moneda: r[25] || 'PES', // filas anteriores a la columna: pesos
+    cotizacion: Number(r[26]) || null,
+    fch_serv_desde: r[27] || '',
+    fch_serv_hasta: r[28] || '',
+    fch_vto_pago: r[29] || '',
+    cond_iva: Number(r[30]) || null,
+    forma_pago: r[31] || '',
+    cbtes_cancelados: parseCbtesCancelados(r[32])
+  };
+}
+function filaPaciente(p) {
+  return [ p.nombre, (p.doc_tipo || '').toUpperCase(), onlyDigits(p.doc_nro), p.domicilio || '', p.email || '',
+    p.cond_iva || '', p.detalle || '', p.monto ?? '', p.entrega || '' ];
+}
+function filaUsuario(u) {
+  return [ String(u.id), u.rol, u.nombre || '', u.alta || '' ];
+}
+function filaAuditoria(a) {
+  return [ a.fecha, a.evento, a.user_id, a.usuario, a.chat_id, a.detalle ];
+}
+function filaProgramado(p) {
+  return [ p.id, String(p.chat_id ?? ''), p.doc_nro || '', p.mensaje, p.total ?? '', p.dia, p.alta || '', p.ultimo_mes || '', p.ultimo_resultado || '', p.emisor || '' ];
+}
+// Sesión de chat: el estado va como JSON en una sola celda
+function filaSesion({ chat_id, actualizado, ...datos }) {
+  return [ String(chat_id), JSON.stringify(datos), actualizado || '' ];
+}
+
+/**
+ * @param {object} o
+ * @param {object} o.sheets cliente google.sheets v4
+ * @param {string} o.spreadsheetId
+ * @param {{facturas:string, pacientes:string, usuarios:string, auditoria:string, programados:string, sesiones:string}} o.hojas nombres de pestaña
+ */
+function crearSheetsStorage({ sheets, spreadsheetId, hojas }) {
+  const values = sheets.spreadsheets.values;
+
+  async function leer(hoja, rango = 'A:Z', opts = {}) {
+    const resp = await values.get({ spreadsheetId, range: `${hoja}!${rango}`, ...opts });
+    return resp.data.values || [];
+  }
+  // Pestañas ya verificadas en este proceso
+  const hojasListas = new Set();
+  async function titulosExistentes() {
+    const meta = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+    return new Set((meta.data.sheets || []).map(s => s.properties.title));
+  }
+  async function crearHojas(titulos) {
+    if (!titulos.length) return;
+    await sheets.spreadsheets.batchUpdate({
+      spreadsheetId,
+      requestBody: { requests: titulos.map(title => ({ addSheet: { properties: { title } } })) }
+    });
+  }
+  // Crea la pestaña con su encabezado si todavía no existe (p. ej. "Programados" en una planilla vieja)
+  async function asegurarHoja(col, hoja = hojas[col]) {
+    if (hojasListas.has(hoja)) return;
+    if (!(await titulosExistentes()).has(hoja)) {
+      await crearHojas([ hoja ]);
+      await escribir(hoja, 'A1', [ ENCABEZADOS[col] ]);
+    }
+    hojasListas.add(hoja);
+  }
+  async function agregar(col, rango, filas, hoja = hojas[col]) {
+    await asegurarHoja(col, hoja);
+    return values.append({
+      spreadsheetId,
+      range: `${hoja}!${rango}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: filas }
+    });
+  }
+  async function escribir(hoja, rango, filas) {
+    return values.update({
+      spreadsheetId,
+      range: `${hoja}!${rango}`,
+      valueInputOption: 'RAW',
+      requestBody: { values: filas }
+    });
+  }
+
+  // ---- Facturas ----
+  // Misma estructura en cualquier pestaña: cada emisor puede tener la suya (sin hoja, la de siempre)
+  function facturasEn(hoja = hojas.facturas) {
+    async function findRowIndexById(id) {
+      const rows = await leer(hoja, 'U:U');
+      for (let i = rows.length - 1; i >= 1; i--) {
+        if (rows[i][0] === id) return i + 1;
+      }
+      throw new Error(`No encontré la fila ${id} en la planilla`);
+    }
+
+    async function agregarFactura(f) {
+      await agregar('facturas', `A:${ULTIMA_COL}`, [ COLS_FACTURAS.map(c => celdaFactura(c, f[c])) ], hoja);
+    }
+    // Lee con valores sin formato: números como números
+    async function listarFacturas() {
+      await asegurarHoja('facturas', hoja);
+      const rows = await leer(hoja, `A:${ULTIMA_COL}`, { valueRenderOption: 'UNFORMATTED_VALUE' });
+      const out = [];
+      for (let i = 1; i < rows.length; i++) out.push(facturaDesdeFila(rows[i], i + 1)); // salteo encabezado
+      return out;
+    }
+    // ref: ID de la factura o número de fila (filas viejas, sin ID).
+    // Escribe solo las columnas de los campos recibidos, agrupadas en tramos contiguos.
+    async function actualizarFactura(ref, campos) {
+      const rowIndex = typeof ref === 'number' ? ref : await findRowIndexById(ref);
+      const idx = Object.keys(campos).map(c => {
+        const i = COLS_FACTURAS.indexOf(c);
+        if (i < 0) throw new Error(`Campo de factura desconocido: ${c}`);
+        return i;
+      }).sort((a, b) => a - b);
+      const tramos = [];
+      for (const i of idx) {
+        const t = tramos[tramos.length - 1];
+        if (t && t.hasta === i - 1) t.hasta = i;
+        else tramos.push({ desde: i, hasta: i });
+      }
+      await values.batchUpdate({
+        spreadsheetId,
+        requestBody: {
+          valueInputOption: 'RAW',
+          data: tramos.map(t => ({
+            range: `${hoja}!${colLetra(t.desde)}${rowIndex}:${colLetra(t.hasta)}${rowIndex}`,
+            values: [ COLS_FACTURAS.slice(t.desde, t.hasta + 1).map(c => celdaFactura(c, campos[c])) ]
+          }))
+        }
+      });
+      return rowIndex;
+    }
+
+    return { agregarFactura, listarFacturas, actualizarFactura };
+  }
+  const { agregarFactura, listarFacturas, actualizarFactura } = facturasEn();
+
+  // ---- Pacientes ----
+  async function listarPacientes() {
+    const rows = await leer(hojas.pacientes, 'A:I');
+    const out = [];
+    for (let i = 1; i < rows.length; i++) { // salteo encabezado
+      const [nombre, doc_tipo, doc_nro, domicilio, email, cond_iva, detalle, monto, entrega] = rows[i];
+      if (!nombre && !doc_nro) continue;
+      out.push({
+        nombre, doc_tipo, doc_nro: onlyDigits(doc_nro), domicilio, email,
+        cond_iva: cond_iva || '', detalle: detalle || '', monto: monto || '', entrega: entrega || '',
+        rowIndex: i + 1
+      });
+    }
+    return out;
+  }
+  // Alta o modificación por número de documento
+  async function guardarPaciente(p) {
+    const prev = (await listarPacientes()).find(x => x.doc_nro === onlyDigits(p.doc_nro));
+    if (prev) {
+      await escribir(hojas.pacientes, `A${prev.rowIndex}:I${prev.rowIndex}`, [ filaPaciente(p) ]);
+      return 'UPDATED';
+    }
+    await agregar('pacientes', 'A:I', [ filaPaciente(p) ]);
+    return 'APPENDED';
+  }
+  // La fila queda en blanco (no se borra para no correr las demás)
+  async function quitarPaciente(doc_nro) {
+    const prev = (await listarPacientes()).find(x => x.doc_nro === onlyDigits(doc_nro));
+    if (!prev) return false;
+    await escribir(hojas.pacientes, `A${prev.rowIndex}:I${prev.rowIndex}`, [ Array(9).fill('') ]);
+    return true;
+  }
+
+  // ---- Usuarios ----
+  async function listarUsuarios() {
+    const rows = await leer(hojas.usuarios, 'A:D');
+    const out = [];
+    for (let i = 1; i < rows.length; i++) { // salteo encabezado
+      const [id, rol, nombre, alta] = rows[i];
+      if (id) out.push({ id: String(id).trim(), rol, nombre: nombre || '', alta: alta || '', rowIndex: i + 1 });
+    }
+    return out;
+  }
+  async function guardarUsuario(u) {
+    const prev = (await listarUsuarios()).find(x => x.id === String(u.id));
+    if (prev) await escribir(hojas.usuarios, `A${prev.rowIndex}:D${prev.rowIndex}`, [ filaUsuario(u) ]);
+    else await agregar('usuarios', 'A:D', [ filaUsuario(u) ]);
+  }
+  // La fila queda en blanco (no se borra para no correr las demás)
+  async function quitarUsuario(id) {
+    const prev = (await listarUsuarios()).find(x => x.id === String(id));
+    if (!prev) return false;
+    await escribir(hojas.usuarios, `A${prev.rowIndex}:D${prev.rowIndex}`, [[ '', '', '', '' ]]);
+    return true;
+  }
+
+  // ---- Auditoría ----
+  async function registrarAuditoria(a) {
+    await agregar('auditoria', 'A:F', [ filaAuditoria(a) ]);
+  }
+  async function listarAuditoria() {
+    const rows = await leer(hojas.auditoria, 'A:F');
+    return rows.slice(1).filter(r => r.length).map(([fecha, evento, user_id, usuario, chat_id, detalle]) =>
+      ({ fecha, evento, user_id, usuario, chat_id, detalle }));
+  }
+
+  // ---- Facturas programadas (mensuales) ----
+  async function listarProgramados() {
+    const rows = await leer(hojas.programados, 'A:J');
+    const out = [];
+    for (let i = 1; i < rows.length; i++) { // salteo encabezado
+      const [id, chat_id, doc_nro, mensaje, total, dia, alta, ultimo_mes, ultimo_resultado, emisor] = rows[i];
+      if (!id) continue;
+      out.push({ id, chat_id, doc_nro: doc_nro || '', mensaje, total: Number(total) || 0, dia: Number(dia),
+        alta: alta || '', ultimo_mes: ultimo_mes || '', ultimo_resultado: ultimo_resultado || '', emisor: emisor || '', rowIndex: i + 1 });
+    }
+    return out;
+  }
+  async function guardarProgramado(p) {
+    const prev = (await listarProgramados()).find(x => x.id === p.id);
+    if (prev) await escribir(hojas.programados, `A${prev.rowIndex}:J${prev.rowIndex}`, [ filaProgramado(p) ]);
+    else await agregar('programados', 'A:J', [ filaProgramado(p) ]);
+  }
+  async function quitarProgramado(id) {
+    const prev = (await listarProgramados()).find(x => x.id === id);
+    if (!prev) return false;
+    await escribir(hojas.programados, `A${prev.rowIndex}:J${prev.rowIndex}`, [ Array(10).fill('') ]);
+    return true;
+  }
+
+  // ---- Sesiones de chat (paciente activo, asistente) ----
+  async function listarSesiones() {
+    const rows = await leer(hojas.sesiones, 'A:C');
+    const out = [];
+    for (let i = 1; i < rows.length; i++) { // salteo encabezado
+      const [chat_id, datos, actualizado] = rows[i];
+      if (!chat_id) continue;
+      let d = {};
+      try { d = JSON.parse(datos || '{}'); } catch { /* celda editada a mano: sesión vacía */ }
+      out.push({ ...d, chat_id: String(chat_id), actualizado: actualizado || '', rowIndex: i + 1 });
+    }
+    return out;
+  }
+  async function guardarSesion(s) {
+    const prev = (await listarSesiones()).find(x => x.chat_id === String(s.chat_id));
+    if (prev) await escribir(hojas.sesiones, `A${prev.rowIndex}:C${prev.rowIndex}`, [ filaSesion(s) ]);
+    else await agregar('sesiones', 'A:C', [ filaSesion(s) ]);
+  }
+  async function quitarSesion(chatId) {
+    const prev = (await listarSesiones()).find(x => x.chat_id === String(chatId));
+    if (!prev) return false;
+    await escribir(hojas.sesiones, `A${prev.rowIndex}:C${prev.rowIndex}`, [[ '', '', '' ]]);
+    return true;
+  }
+
+  // ---- Migración ----
+  // hojasFacturas: pestañas de facturas de otros emisores; van como "facturas:<pestaña>"
+  async function exportar({ hojasFacturas = [] } = {}) {
+    const limpiar = arr => arr.map(({ rowIndex, ...x }) => x);
+    const otras = {};
+    for (const h of hojasFacturas) otras[`facturas:${h}`] = limpiar(await facturasEn(h).listarFacturas());
+    return {
+      ...otras,
+      facturas: limpiar(await listarFacturas()),
+      pacientes: limpiar(await listarPacientes()),
+      usuarios: limpiar(await listarUsuarios()),
+      auditoria: await listarAuditoria(),
+      programados: limpiar(await listarProgramados()),
+      sesiones: limpiar(await listarSesiones())
+    };
+  }
+  // Reemplaza el contenido de cada pestaña (crea las que falten) dejando el encabezado en la fila 1
+  async function importar(datos) {
+    const existentes = await titulosExistentes();
+    await crearHojas(Object.values(hojas).filter(t => !existentes.has(t)));
+    const filas = {
+      facturas: (datos.facturas || []).map(f => COLS_FACTURAS.map(c => celdaFactura(c, f[c]))),
+      pacientes: (datos.pacientes || []).map(filaPaciente),
+      usuarios: (datos.usuarios || []).map(filaUsuario),
+      auditoria: (datos.auditoria || []).map(filaAuditoria),
+      programados: (datos.programados || []).map(filaProgramado),
+      sesiones: (datos.sesiones || []).map(filaSesion)
+    };
+    for (const [col, hoja] of Object.entries(hojas)) {
+      await values.clear({ spreadsheetId, range: `${hoja}!A:${ULTIMA_COL}` });
+      await escribir(hoja, 'A1', [ ENCABEZADOS[col], ...filas[col] ]);
+    }
+    for (const [clave, lista] of Object.entries(datos).filter(([k]) => k.startsWith('facturas:'))) {
+      const hoja = clave.slice('facturas:'.length);
+      await asegurarHoja('facturas', hoja);
+      await values.clear({ spreadsheetId, range: `${hoja}!A:${ULTIMA_COL}` });
+      await escribir(hoja, 'A1', [ ENCABEZADOS.facturas, ...lista.map(f => COLS_FACTURAS.map(c => celdaFactura(c, f[c]))) ]);
+    }
+  }
+
+  return {
+    tipo: 'sheets',
+    descripcion: `Google Sheets ${spreadsheetId}`,
+    agregarFactura, listarFacturas, actualizarFactura, facturasEn,
+    listarPacientes, guardarPaciente, quitarPaciente,
+    listarUsuarios, guardarUsuario, quitarUsuario,
+    registrarAuditoria,
+    listarProgramados, guardarProgramado, quitarProgramado,
+    listarSesiones, guardarSesion, quitarSesion,
+    exportar, importar
+  };
+}
+
+module.exports = { crearSheetsStorage, COLS_FACTURAS };
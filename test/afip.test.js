@@ -0,0 +1,140 @@
+// test/afip.test.js — mensaje → planilla → AFIP (simulador) → PDF, normalización del receptor, timeouts y rechazos
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { levantar } = require('./entorno');
+
+let t;
+before(async () => { t = await levantar(); });
+after(() => t.cerrar());
+
+const hoy = () => new Date().toISOString().slice(0, 10);
+const filaDe = async doc => (await t.facturas()).filter(f => String(f.doc_nro) === doc).pop();
+const autorizadosPara = docNro => t.sim.estado().comprobantes.filter(c => Number(c.DocNro) === docNro);
+
+test('normalizarReceptor: CUIT y DNI válidos quedan; el resto sale a Consumidor Final', () => {
+  const { normalizarReceptor } = t.server;
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'CUIT', doc_nro: '20-12345678-6' }), { doc_tipo: 'CUIT', doc_nro: '20123456786' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'CUIT', doc_nro: '20123456780' }), { doc_tipo: 'CF', doc_nro: '0' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'DNI', doc_nro: '30.111.222' }), { doc_tipo: 'DNI', doc_nro: '30111222' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'DNI', doc_nro: '1234567' }), { doc_tipo: 'DNI', doc_nro: '1234567' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'DNI', doc_nro: '123456' }), { doc_tipo: 'CF', doc_nro: '0' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'DNI', doc_nro: '123456789' }), { doc_tipo: 'CF', doc_nro: '0' });
+  assert.deepEqual(normalizarReceptor({ doc_tipo: 'PASAPORTE', doc_nro: 'AB123' }), { doc_tipo: 'CF', doc_nro: '0' });
+  assert.deepEqual(normalizarReceptor({}), { doc_tipo: 'CF', doc_nro: '0' });
+});
+
+test('mensaje → planilla → AFIP → PDF', async () => {
+  await t.bot.recibir(t.chat, 'Ana Pérez | DNI 30111222 | Sesión | 1.500');
+
+  const f = await filaDe('30111222');
+  assert.equal(f.estado, 'EMITIDO');
+  assert.equal(f.cliente_nombre, 'Ana Pérez');
+  assert.equal(f.total, 1500);
+  assert.equal(f.cbte_tipo, 11);
+  const [c] = autorizadosPara(30111222);
+  assert.equal(c.CodAutorizacion, f.CAE);
+  assert.equal(c.CbteDesde, f.voucher_number);
+  assert.equal(c.DocTipo, 96);
+  assert.equal(c.ImpTotal, 1500);
+
+  const pdf = t.bot.enviados.find(e => e.tipo === 'documento' && e.opts?.caption?.includes(f.CAE));
+  assert.ok(pdf, 'manda el PDF');
+  assert.ok(fs.existsSync(pdf.archivo));
+  assert.equal(f.pdf, pdf.nombre);
+  assert.match(t.bot.ultimo(t.chat), /✅ Factura emitida/);
+});
+
+test('DNI inválido: AFIP recibe Consumidor Final (DocTipo 99, DocNro 0)', async () => {
+  const antes = t.sim.estado().comprobantes.length;
+  await t.bot.recibir(t.chat, 'Sin Doc | DNI 12345 | Sesión | 700');
+
+  const nuevos = t.sim.estado().comprobantes.slice(antes);
+  assert.equal(nuevos.length, 1);
+  assert.equal(nuevos[0].DocTipo, 99);
+  assert.equal(Number(nuevos[0].DocNro), 0);
+  assert.equal(nuevos[0].CondicionIVAReceptorId, 5);
+  assert.equal((await filaDe('12345')).estado, 'EMITIDO');
+});
+
+test('AFIP rechaza: la fila queda en ERROR con el motivo y se avisa', async () => {
+  t.sim.configurar({ rechazos: [{ codigo: 10016, mensaje: 'Rechazo de prueba', veces: 1 }] });
+  await t.bot.recibir(t.chat, 'Beto | DNI 30111223 | Sesión | 2000');
+
+  const f = await filaDe('30111223');
+  assert.equal(f.estado, 'ERROR');
+  assert.match(f.error, /10016/);
+  assert.equal(autorizadosPara(30111223).length, 0);
+  assert.match(t.bot.conversacion(t.chat).join('\n'), /❌ Error en AFIP: .*10016/);
+});
+
+test('AFIP caído (503): ERROR transitorio, sin comprobante autorizado', async () => {
+  t.sim.configurar({ caido: true });
+  try {
+    await t.bot.recibir(t.chat, 'Caro | DNI 30111224 | Sesión | 3000');
+  } finally {
+    t.sim.configurar({ caido: false });
+  }
+  const f = await filaDe('30111224');
+  assert.equal(f.estado, 'ERROR');
+  assert.match(f.error, /503/);
+  assert.equal(autorizadosPara(30111224).length, 0);
+});
+
+test('AFIP autoriza pero no responde: timeout y después reconciliación con el comprobante autorizado', async () => {
+  t.sim.configurar({ colgar: { autoriza: true, veces: 1, corta_ms: 1000 } });
+  await t.bot.recibir(t.chat, 'Dani | DNI 30111225 | Sesión | 4000');
+
+  const autorizados = autorizadosPara(30111225);
+  assert.equal(autorizados.length, 1, 'no se emite dos veces');
+  const f = await filaDe('30111225');
+  assert.equal(f.estado, 'EMITIDO');
+  assert.equal(f.CAE, autorizados[0].CodAutorizacion);
+  assert.equal(f.voucher_number, autorizados[0].CbteDesde);
+});
+
+test('AFIP autoriza después del timeout del cliente: la reconciliación espera a que termine la llamada', async () => {
+  // El cliente corta a los 500 ms; AFIP autoriza a los 800 y la conexión se cae a los 1000
+  t.sim.configurar({ colgar: { autoriza: true, autoriza_ms: 800, corta_ms: 1000, veces: 1 } });
+  await t.bot.recibir(t.chat, 'Fede | DNI 30111229 | Sesión | 4500');
+
+  const autorizados = autorizadosPara(30111229);
+  assert.equal(autorizados.length, 1);
+  const f = await filaDe('30111229');
+  assert.equal(f.estado, 'EMITIDO');
+  assert.equal(f.CAE, autorizados[0].CodAutorizacion);
+});
+
+test('AFIP no autoriza ni responde: timeout, nada para reconciliar, ERROR', async () => {
+  t.sim.configurar({ colgar: { autoriza: false, veces: 1, corta_ms: 1000 } });
+  await t.bot.recibir(t.chat, 'Eli | DNI 30111226 | Sesión | 5000');
+
+  assert.equal(autorizadosPara(30111226).length, 0);
+  const f = await filaDe('30111226');
+  assert.equal(f.estado, 'ERROR');
+  assert.match(f.error, /timeout/);
+});
+
+test('emitirConReconciliacion y buscarComprobanteAutorizado, directo', async () => {
+  const row = { id: 'DIRECTO-1', emisor: 'principal', pto_vta: 1, cbte_tipo: 11, concepto: 2, fecha: hoy(),
+    doc_tipo: 'DNI', doc_nro: '30111227', detalle: 'Sesión', total: 900 };
+  const rows = await t.facturas();
+  assert.equal(await t.server.buscarComprobanteAutorizado(row, rows), null, 'todavía no hay nada autorizado');
+
+  t.sim.configurar({ colgar: { autoriza: true, veces: 1, corta_ms: 1000 } });
+  const res = await t.server.emitirConReconciliacion(row);
+  assert.equal(res.reconciliado, true);
+  const [c] = autorizadosPara(30111227);
+  assert.equal(res.CAE, c.CodAutorizacion);
+  assert.equal(res.voucher_number, c.CbteDesde);
+
+  // Otra fila igual ya registrada con ese número: no la vuelve a tomar
+  const registrada = { ...row, id: 'OTRA', voucher_number: c.CbteDesde };
+  assert.equal(await t.server.buscarComprobanteAutorizado(row, [...rows, registrada]), null);
+
+  // Sin colgar, un error que no es transitorio no se reconcilia
+  t.sim.configurar({ rechazos: [{ codigo: 10048, veces: 1 }] });
+  await assert.rejects(t.server.emitirConReconciliacion({ ...row, id: 'DIRECTO-2', doc_nro: '30111228' }), /10048/);
+});
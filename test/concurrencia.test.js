@@ -0,0 +1,47 @@
+// test/concurrencia.test.js — dos chats facturando a la vez: cada fila recibe su propio CAE y número
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { levantar } = require('./entorno');
+
+let t;
+// Timeout holgado: con demora_ms cada emisión hace varias consultas lentas y acá no se prueban timeouts
+before(async () => { t = await levantar({ env: { TG_ADMIN_IDS: '1,2', AFIP_TIMEOUT_MS: '5000' } }); });
+after(() => t.cerrar());
+
+test('mensajes simultáneos de dos chats: cada fila con su ID, CAE y número', async () => {
+  // Una fila vieja trabada en PENDIENTE no tiene que recibir el resultado de nadie
+  await t.storage.agregarFactura({ id: 'VIEJA-1', fecha: '2026-01-05', cliente_nombre: 'Vieja', doc_tipo: 'DNI', doc_nro: '20111000',
+    concepto: 2, detalle: 'x', total: 100, pto_vta: 1, cbte_tipo: 11, estado: 'PENDIENTE' });
+  t.sim.configurar({ demora_ms: 150 }); // las dos filas quedan guardadas antes de que AFIP conteste a la primera
+
+  await Promise.all([
+    t.bot.recibir(1, 'Ana | DNI 30111222 | Sesión | 1000'),
+    t.bot.recibir(2, 'Beto | DNI 30111333 | Evaluación | 2000')
+  ]);
+  t.sim.configurar({ demora_ms: 0 });
+
+  const filas = await t.facturas();
+  const ana = filas.find(f => f.doc_nro === '30111222');
+  const beto = filas.find(f => f.doc_nro === '30111333');
+  for (const f of [ana, beto]) assert.equal(f.estado, 'EMITIDO');
+  assert.notEqual(ana.id, beto.id);
+  assert.notEqual(ana.CAE, beto.CAE);
+  assert.deepEqual([ana.voucher_number, beto.voucher_number].sort(), [1, 2]);
+
+  // Lo que quedó en la planilla es lo que AFIP autorizó para ese paciente
+  for (const f of [ana, beto]) {
+    const c = t.sim.estado().comprobantes.find(x => x.CbteDesde === f.voucher_number);
+    assert.equal(Number(c.DocNro), Number(f.doc_nro));
+    assert.equal(c.ImpTotal, f.total);
+    assert.equal(c.CodAutorizacion, f.CAE);
+  }
+  const vieja = filas.find(f => f.id === 'VIEJA-1');
+  assert.equal(vieja.estado, 'PENDIENTE');
+  assert.ok(!vieja.CAE && !vieja.voucher_number);
+
+  // Cada chat recibió su propia factura
+  assert.match(t.bot.ultimo(1), new RegExp(`Nro: ${ana.voucher_number}\\n`));
+  assert.match(t.bot.ultimo(2), new RegExp(`Nro: ${beto.voucher_number}\\n`));
+});
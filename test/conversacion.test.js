@@ -0,0 +1,191 @@
+// test/conversacion.test.js — el bot de punta a punta con los clientes de simulados/: lo que ve el chat y lo que queda en la planilla
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { levantar } = require('./entorno');
+const { COLS_FACTURAS } = require('../storage/sheets');
+
+let t;
+before(async () => { t = await levantar({ storage: 'sheets', emisor: { drive_folder_id: 'carpeta-prueba' } }); });
+after(() => t.cerrar());
+
+// Filas de la pestaña de facturas como objetos (sin encabezado)
+const filasPlanilla = () => t.sheets.datos['Hoja 1'].slice(1)
+  .map(r => Object.fromEntries(COLS_FACTURAS.map((c, i) => [c, r[i] ?? ''])));
+const fila = (tipo, nro) => filasPlanilla().find(r => Number(r.cbte_tipo) === tipo && Number(r.voucher_number) === nro);
+// Lo que el chat recibió desde la marca
+const desde = marca => () => t.bot.conversacion(t.chat).slice(marca).join('\n');
+
+test('paciente → factura → /anular → /recibo', async () => {
+  let chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/paciente_guardar Ana Pérez | DNI 30111222 | Calle 1');
+  assert.match(chat(), /✅ Paciente guardado: Ana Pérez \(DNI 30111222\)/);
+  assert.deepEqual(t.sheets.datos.Pacientes[1].slice(0, 4), ['Ana Pérez', 'DNI', '30111222', 'Calle 1']);
+
+  // Con el paciente guardado alcanza con DNI | Detalle | Total
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '30111222 | Sesión | 10.000');
+  assert.match(chat(), /\[Factura_C_0001-00000001\.pdf\] Factura C 0001-00000001 \| CAE \d+/);
+  assert.match(chat(), /✅ Factura emitida\nCAE: \d+\nVence: [\d-]+\nNro: 1\nPaciente: Ana Pérez \(DNI 30111222\)/);
+  assert.match(chat(), /📄 Guardé una copia en Drive: file:\/\//);
+  const f1 = fila(11, 1);
+  assert.equal(f1.estado, 'EMITIDO');
+  assert.equal(f1.cliente_nombre, 'Ana Pérez');
+  assert.equal(f1.domicilio, 'Calle 1');
+  assert.equal(Number(f1.total), 10000);
+  assert.equal(f1.pdf, 'Factura_C_0001-00000001.pdf');
+  assert.match(f1.drive, /^file:\/\//);
+  assert.deepEqual(t.drive.subidos.map(d => [d.name, d.parents[0]]), [['Factura_C_0001-00000001.pdf', 'carpeta-prueba']]);
+
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/anular 0001-00000001');
+  assert.match(chat(), /✅ Nota de Crédito C emitida[\s\S]*Factura 0001-00000001 ANULADA/);
+  assert.equal(fila(11, 1).estado, 'ANULADA');
+  const nc = fila(13, 1);
+  assert.equal(nc.estado, 'EMITIDO');
+  assert.equal(nc.cbte_asoc, '11:0001-00000001');
+  assert.equal(Number(nc.total), 10000);
+
+  // Una anulada ya no se cobra
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/recibo 0001-00000001 | efectivo');
+  assert.equal(chat(), 'La factura 0001-00000001 no se puede cobrar (estado: ANULADA).');
+
+  await t.bot.recibir(t.chat, '30111222 | Sesión | 6.000');
+  assert.equal(fila(11, 2).estado, 'EMITIDO');
+
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/recibo 0001-00000002 | transferencia | 2.500');
+  assert.match(chat(), /\[Recibo_C_0001-00000001\.pdf\] Recibo C 0001-00000001/);
+  assert.match(chat(), /✅ Recibo C emitido[\s\S]*Forma de pago: Transferencia\nCancela 0001-00000002: \$ 2\.500,00\nQueda por cobrar: \$ 3\.500,00/);
+  const r1 = fila(15, 1);
+  assert.equal(r1.estado, 'EMITIDO');
+  assert.equal(r1.forma_pago, 'Transferencia');
+  assert.equal(r1.cbtes_cancelados, '11:0001-00000002=2500');
+
+  // Sin monto: lo que falta
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/recibo 0001-00000002 | efectivo');
+  assert.match(chat(), /Cancela 0001-00000002: \$ 3\.500,00/);
+  assert.doesNotMatch(chat(), /Queda por cobrar/);
+  assert.equal(fila(15, 2).cbtes_cancelados, '11:0001-00000002=3500');
+
+  chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/recibo 0001-00000002 | efectivo');
+  assert.equal(chat(), 'La factura 0001-00000002 ya está cobrada.');
+
+  // Lo que autorizó AFIP: facturas, NC y recibos, cada uno con su numeración
+  const tipos = t.sim.estado().comprobantes.map(c => `${c.CbteTipo}-${c.CbteDesde}`);
+  assert.deepEqual(tipos, ['11-1', '13-1', '11-2', '15-1', '15-2']);
+  const recibo = t.sim.estado().comprobantes.find(c => c.CbteTipo === 15);
+  assert.deepEqual(recibo.CbtesAsoc.CbteAsoc.map(a => [a.Tipo, a.PtoVta, a.Nro]), [[11, 1, 2]]);
+});
+
+test('botones: /paciente_borrar pide confirmación y borra con el botón', async () => {
+  const chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/paciente_guardar Beto | DNI 30111333 | Calle 2');
+  await t.bot.recibir(t.chat, '/paciente_borrar 30111333');
+  const pregunta = t.bot.enviados.filter(e => e.tipo === 'mensaje').pop();
+  const botones = pregunta.opts.reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+  assert.ok(botones.includes('pb:ok:30111333'));
+
+  await t.bot.tocar(t.chat, 'pb:ok:30111333');
+  assert.ok(!t.sheets.datos.Pacientes.some(r => r[2] === '30111333'));
+  assert.match(chat(), /Beto/);
+});
+
+test('un usuario sin permiso no factura y queda en la auditoría', async () => {
+  await t.bot.recibir(99, 'Intruso | DNI 30999999 | Sesión | 100');
+  assert.match(t.bot.ultimo(99), /🔒/);
+  assert.ok(!filasPlanilla().some(r => String(r.doc_nro) === '30999999'));
+  assert.ok(t.sheets.datos.Auditoria.some(r => r[1] === 'DENEGADO' && String(r[2]) === '99'));
+});
+
+test('asistente: carga pacientes pero no factura ni reenvía mails', async () => {
+  await t.bot.recibir(t.chat, '/usuario_agregar 5 asistente Recepción');
+  await t.bot.recibir(5, '/paciente_guardar Caro | DNI 30111444 | Calle 3');
+  assert.match(t.bot.ultimo(5), /✅ Paciente guardado/);
+  await t.bot.recibir(5, '/paciente_usar 30111444');
+  assert.match(t.bot.ultimo(5), /✅ Paciente activo: Caro/);
+
+  await t.bot.recibir(5, '/enviar_mail 0001-00000002 otro@correo.com');
+  assert.match(t.bot.ultimo(5), /🔒/);
+  await t.bot.recibir(5, '30111444 | Sesión | 100');
+  assert.match(t.bot.ultimo(5), /🔒/);
+  assert.ok(!filasPlanilla().some(r => String(r.doc_nro) === '30111444'));
+});
+
+test('pacientes por CSV: celdas con comillas, ida y vuelta con /pacientes_exportar; Excel no se lee', async () => {
+  const ruta = path.join(t.dir, 'pacientes.csv');
+  fs.writeFileSync(ruta, '﻿Nombre;Tipo doc;Nro doc;Domicilio;Email\r\n'
+    + '"Díaz; Lola";DNI;30111555;"Calle ""4"" 123";lola@correo.com\r\n;;;;\r\n');
+  await t.bot.enviarArchivo(t.chat, ruta);
+  assert.match(t.bot.ultimo(t.chat), /🆕 Nuevos: 1\n  Díaz; Lola/);
+  await t.bot.tocar(t.chat, 'pi:ok');
+  const pac = t.sheets.datos.Pacientes.find(r => r[2] === '30111555');
+  assert.deepEqual(pac.slice(0, 5), ['Díaz; Lola', 'DNI', '30111555', 'Calle "4" 123', 'lola@correo.com']);
+
+  await t.bot.recibir(t.chat, '/pacientes_exportar');
+  const exportado = t.bot.enviados.filter(e => e.tipo === 'documento').pop();
+  assert.match(fs.readFileSync(exportado.archivo, 'utf8'), /^"Díaz; Lola";DNI;30111555;"Calle ""4"" 123";lola@correo\.com;/m);
+
+  const xlsx = path.join(t.dir, 'pacientes.xlsx');
+  fs.writeFileSync(xlsx, 'PK');
+  await t.bot.enviarArchivo(t.chat, xlsx);
+  assert.match(t.bot.ultimo(t.chat), /No leo archivos de Excel: guardalo como CSV/);
+});
+
+test('NC que queda en ERROR: frena otra NC y, al reintentarla, anula la factura', async () => {
+  await t.bot.recibir(t.chat, 'Gabi | DNI 30111666 | Sesión | 3.000');
+  const fact = filasPlanilla().find(r => r.doc_nro === '30111666' && Number(r.cbte_tipo) === 11);
+  const nro = `0001-${String(fact.voucher_number).padStart(8, '0')}`;
+
+  t.sim.configurar({ rechazos: [{ codigo: 10016, veces: 1 }] });
+  await t.bot.recibir(t.chat, `/anular ${nro}`);
+  const nc = () => filasPlanilla().find(r => r.doc_nro === '30111666' && Number(r.cbte_tipo) === 13);
+  assert.equal(nc().estado, 'ERROR');
+
+  await t.bot.recibir(t.chat, `/nota_credito ${nro} | 1.000 | Ajuste`);
+  assert.match(t.bot.ultimo(t.chat), /saldo de la factura \(\$ 0,00\)\.\nHay 1 nota\(s\) de crédito sin emitir/);
+
+  const chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/reintentar_todo');
+  assert.match(chat(), new RegExp(`Factura ${nro} ANULADA`));
+  assert.equal(nc().estado, 'EMITIDO');
+  assert.equal(filasPlanilla().find(r => r.id === fact.id).estado, 'ANULADA');
+});
+
+test('/reconciliar recupera una NC que AFIP autorizó tarde y anula la factura', async () => {
+  await t.bot.recibir(t.chat, 'Hugo | DNI 30111777 | Sesión | 2.000');
+  const fact = filasPlanilla().find(r => r.doc_nro === '30111777' && Number(r.cbte_tipo) === 11);
+  const nro = `0001-${String(fact.voucher_number).padStart(8, '0')}`;
+
+  // AFIP corta la conexión a los 800 ms y autoriza a los 1200: al reconciliar en el momento todavía no está
+  t.sim.configurar({ colgar: { autoriza: true, autoriza_ms: 1200, corta_ms: 800, veces: 1 } });
+  await t.bot.recibir(t.chat, `/anular ${nro}`);
+  const nc = () => filasPlanilla().find(r => r.doc_nro === '30111777' && Number(r.cbte_tipo) === 13);
+  assert.equal(nc().estado, 'ERROR');
+  await new Promise(r => setTimeout(r, 500));
+
+  const chat = desde(t.bot.conversacion(t.chat).length);
+  await t.bot.recibir(t.chat, '/reconciliar');
+  assert.match(chat(), new RegExp(`✅ Recuperados: 1\\n.*Nota de Crédito C 0001-\\d{8} · Factura ${nro} ANULADA`));
+  assert.equal(nc().estado, 'EMITIDO');
+  assert.equal(filasPlanilla().find(r => r.id === fact.id).estado, 'ANULADA');
+});
+
+test('asistente: /cancelar descarta la importación de pacientes que subió', async () => {
+  const ruta = path.join(t.dir, 'pacientes-asistente.csv');
+  fs.writeFileSync(ruta, 'Nombre;Tipo doc;Nro doc;Domicilio;Email\nIvo;DNI;30111888;Calle 5;\n');
+  await t.bot.enviarArchivo(5, ruta);
+  assert.match(t.bot.ultimo(5), /🆕 Nuevos: 1/);
+
+  await t.bot.recibir(5, '/cancelar');
+  assert.equal(t.bot.ultimo(5), '❌ Importación cancelada: no cambié ningún paciente.');
+  assert.ok(!t.sheets.datos.Pacientes.some(r => r[2] === '30111888'));
+  await t.bot.recibir(5, '/cancelar');
+  assert.equal(t.bot.ultimo(5), 'No hay nada pendiente para cancelar.');
+});
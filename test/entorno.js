@@ -0,0 +1,81 @@
+// test/entorno.js — server.js contra afip-simulador.js y los clientes de simulados/, en una carpeta temporal
+//
+//   const { levantar } = require('./entorno');
+//   const t = await levantar();                 // storage local · levantar({ storage: 'sheets' }) usa la planilla simulada
+//   await t.bot.recibir(1, 'Ana | DNI 30111222 | Sesión | 1000');
+//   await t.facturas() · t.sim.estado() · t.bot.conversacion(1)
+//   await t.cerrar();
+//
+// server.js lee la configuración al cargarse: un solo levantar() por archivo de prueba (node --test corre cada
+// archivo en su propio proceso). Con TEST_LOGS=1 se ven los logs del server.
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { crearSimulador } = require('../afip-simulador');
+const { inyectarClientes } = require('../clientes');
+const { crearBotSimulado, crearSheetsSimulado, crearDriveSimulado } = require('../simulados');
+
+const CHAT_ADMIN = 1;
+const ENCABEZADOS_SHEETS = {
+  Pacientes: [['Nombre']],
+  Usuarios: [['ID']],
+  Auditoria: [['Fecha']],
+  Programados: [['ID']],
+  Sesiones: [['Chat ID']]
+};
+
+/**
+ * @param {object} [o]
+ * @param {'local'|'sheets'} [o.storage]
+ * @param {object} [o.env] variables extra (pisan las de la prueba)
+ * @param {object} [o.emisor] campos extra del emisor (emisores.json)
+ */
+async function levantar({ storage = 'local', env = {}, emisor = {} } = {}) {
+  const sim = crearSimulador();
+  const port = await sim.listen(0);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'facturacion-test-'));
+  const emisoresFile = path.join(dir, 'emisores.json');
+  fs.writeFileSync(emisoresFile, JSON.stringify([{ id: 'principal', cuit: '20409378472', nombre: 'Consultorio de prueba', pto_vta: 1, cbte_tipo: 11, ...emisor }]));
+
+  Object.assign(process.env, {
+    STORAGE: storage,
+    STORAGE_DIR: path.join(dir, 'data'),
+    SHEET_ID: 'simulada',
+    EMISORES_FILE: emisoresFile,
+    TG_ADMIN_IDS: String(CHAT_ADMIN),
+    AFIP_SDK_URL: `http://localhost:${port}/api/`,
+    AFIP_TIMEOUT_MS: '500',
+    AFIP_PADRON: 'false',
+    REINTENTOS_AUTO: '0',
+    MAIL_AUTO: 'false',
+    ...env
+  });
+  delete process.env.GOOGLE_SA_JSON;
+  delete process.env.SMTP_HOST;
+
+  const sheets = storage === 'sheets' ? crearSheetsSimulado({ hojas: { 'Hoja 1': [['Fecha']], ...ENCABEZADOS_SHEETS } }) : null;
+  const drive = crearDriveSimulado({ dir: path.join(dir, 'drive') });
+  inyectarClientes({ bot: crearBotSimulado(), ...(sheets ? { sheets } : {}), drive });
+
+  const consola = { log: console.log, warn: console.warn, error: console.error };
+  if (!process.env.TEST_LOGS) console.log = console.warn = console.error = () => {};
+  const server = require('../server');
+
+  return {
+    sim, server, sheets, drive, dir,
+    bot: server.bot,
+    storage: server.storage,
+    chat: CHAT_ADMIN,
+    facturas: () => server.storage.listarFacturas(),
+    async cerrar() {
+      await server.detener();
+      await sim.close();
+      Object.assign(console, consola);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { levantar, CHAT_ADMIN };
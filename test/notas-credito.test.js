@@ -0,0 +1,30 @@
+// test/notas-credito.test.js — emisor Responsable Inscripto: una NC parcial acredita el IVA de cada alícuota de la factura
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { levantar } = require('./entorno');
+
+let t;
+before(async () => { t = await levantar({ emisor: { cond_iva: 'RI', cbte_tipo: 6 } }); });
+after(() => t.cerrar());
+
+const ivaDe = c => (c.Iva?.AlicIva || []).map(a => [a.Id, a.BaseImp, a.Importe]);
+
+test('NC parcial sobre una Factura B con 21% y 10,5%: se reparte en la proporción de la factura', async () => {
+  await t.bot.recibir(t.chat, 'Ana | DNI 30111222 | 1 x Sesión 12.100 21%; 1 x Informe 4.420 10,5%');
+  const [fact] = t.sim.estado().comprobantes;
+  assert.equal(fact.CbteTipo, 6);
+  assert.deepEqual(ivaDe(fact), [[5, 10000, 2100], [4, 4000, 420]]);
+
+  // La mitad del total: la mitad de cada alícuota
+  await t.bot.recibir(t.chat, '/nota_credito 0001-00000001 | 8.260 | Ajuste');
+  assert.match(t.bot.ultimo(t.chat), /✅ Nota de Crédito B emitida/);
+  const nc = t.sim.estado().comprobantes.find(c => c.CbteTipo === 8);
+  assert.equal(nc.ImpTotal, 8260);
+  assert.deepEqual(ivaDe(nc), [[5, 5000, 1050], [4, 2000, 210]]);
+  assert.equal(nc.ImpIVA, 1260);
+
+  const fila = (await t.facturas()).find(f => f.cbte_tipo === 8);
+  assert.deepEqual(fila.items.map(it => [it.detalle, it.importe, it.iva]), [['Ajuste (IVA 21%)', 6050, 21], ['Ajuste (IVA 10,5%)', 2210, 10.5]]);
+});